@@ -3,11 +3,13 @@
 import child_process from 'child_process';
 import * as constants from './constants.js';
 import { fetch } from 'undici';
-import fs from 'fs';
+import * as files from './files.js';
 import * as nativeMessaging from './native-messaging.js';
 import os from 'os';
 import path from 'path';
+import * as sandbox from './sandbox.js';
 import * as settings from './settings.js';
+import * as tw from './tw.js';
 import * as util from './util.js';
 
 
@@ -21,6 +23,9 @@ async function onMessage(app, msg) {
     case constants.KIND_DOWNLOAD:
       return dl_save(app, msg);
 
+    case constants.KIND_FILE_SAVE:
+      return file_save(app, msg);
+
     case constants.KIND_HTTP_FETCH:
       return http_fetch(app, msg);
 
@@ -33,6 +38,9 @@ async function onMessage(app, msg) {
     case constants.KIND_TW_SAVE:
       return tw_save(app, msg);
 
+    case constants.KIND_TW_STATE:
+      return tw_state(app, msg);
+
     default:
       return unhandledMessage(msg);
   }
@@ -47,6 +55,15 @@ function unhandledMessage(msg) {
   };
 }
 
+// Builds error response.
+// Path and TiddlyWiki (sanity check, conflict) errors are passed as structured
+// errors, so that the extension can handle them.
+function errorResponse(error) {
+  const structured = (error instanceof sandbox.PathError) || (error instanceof tw.SanityError) ||
+    (error instanceof tw.ConflictError);
+  return { error: structured ? error.forMessage() : util.formatObject(error) };
+}
+
 function app_specs(app, msg) {
   return {
     //version: config.version,
@@ -196,6 +213,17 @@ function dl_save(app, msg) {
   return deferred.promise;
 }
 
+// Saves file under allowed root directories.
+// See 'files.saveFile' for details.
+async function file_save(app, msg) {
+  try {
+    return { path: await files.saveFile(settings.allowedRoots, msg) };
+  } catch (error) {
+    console.log(`Failed to save file path=<${msg.path}>:`, util.formatObject(error));
+    return errorResponse(error);
+  }
+}
+
 async function http_fetch(app, msg) {
   try {
     const r = await fetch(msg.resource, msg.options);
@@ -288,14 +316,23 @@ async function http_fetch(app, msg) {
   }
 }
 
-function tw_save(app, msg) {
-  const deferred = new util.Deferred();
-
-  fs.writeFile(msg.path, msg.content, err => {
-    const response = { };
-    if (err) response.error = err;
-    deferred.resolve(response);
-  });
+async function tw_save(app, msg) {
+  try {
+    return await tw.saveWiki(settings.allowedRoots, msg, settings.twBackupRetention);
+  } catch (error) {
+    console.log(`Failed to save TiddlyWiki path=<${msg.path}>:`, util.formatObject(error));
+    return errorResponse(error);
+  }
+}
 
-  return deferred.promise;
+async function tw_state(app, msg) {
+  try {
+    const response = { state: await tw.getWikiState(settings.allowedRoots, msg.path) };
+    // Also return content when requested.
+    if (msg.withContent) response.content = await tw.loadWiki(settings.allowedRoots, msg.path);
+    return response;
+  } catch (error) {
+    console.log(`Failed to get TiddlyWiki path=<${msg.path}> state:`, util.formatObject(error));
+    return errorResponse(error);
+  }
 }
@@ -5,8 +5,14 @@
 
 export const KIND_CONSOLE = 'console';
 export const KIND_DOWNLOAD = 'download';
+export const KIND_FILE_SAVE = 'fileSave';
 export const KIND_HTTP_FETCH = 'http-fetch';
 export const KIND_NOTIFICATION = 'notification';
 export const KIND_PING = 'ping';
 export const KIND_SPECS = 'specs';
 export const KIND_TW_SAVE = 'twSave';
+export const KIND_TW_STATE = 'twState';
+
+export const ERROR_PATH_NOT_ALLOWED = 'pathNotAllowed';
+export const ERROR_TW_CONFLICT = 'twConflict';
+export const ERROR_TW_SANITY_CHECK = 'twSanityCheck';
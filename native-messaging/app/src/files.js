@@ -0,0 +1,84 @@
+'use strict';
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import * as sandbox from './sandbox.js';
+
+
+// Conflict policies, when target file already exists.
+export const CONFLICT_FAIL = 'fail';
+export const CONFLICT_OVERWRITE = 'overwrite';
+export const CONFLICT_RENAME = 'rename';
+const conflictPolicies = new Set([CONFLICT_FAIL, CONFLICT_OVERWRITE, CONFLICT_RENAME]);
+
+// Maximum number of alternative names tried upon renaming.
+const RENAME_MAX_ATTEMPTS = 1000;
+
+// Errors raised when hard links are not supported (e.g. FAT/exFAT, network
+// shares).
+const LINK_UNSUPPORTED_ERRORS = new Set(['EPERM', 'ENOTSUP', 'EOPNOTSUPP']);
+
+// Gets alternative path upon conflict: 'name (n).ext'.
+function getRenamedPath(p, n) {
+  const { dir, name, ext } = path.parse(p);
+  return path.join(dir, `${name} (${n})${ext}`);
+}
+
+// Saves content to file.
+// Expected details:
+//  - path: where to save the file; must be allowed by sandbox
+//  - content: the content to save
+//  - encoding (optional): 'text' (default) or 'base64'
+//  - createDirs (optional): whether to create missing parent directories
+//  - conflict (optional): what to do when file exists; 'fail' (default),
+//    'overwrite' or 'rename'
+// Content is first written in a temporary file next to the target, which is
+// then renamed (overwrite) or linked (otherwise: fails if target exists) to
+// the target, so that the target is never partially written.
+// When hard links are not supported, the temporary file is copied instead
+// (still failing if target exists).
+// Returns the path actually saved.
+export async function saveFile(roots, details) {
+  const target = await sandbox.checkPath(roots, details.path);
+  const encoding = details.encoding || 'text';
+  if ((encoding !== 'text') && (encoding !== 'base64')) throw new Error(`Unhandled encoding=<${encoding}>`);
+  const conflict = details.conflict || CONFLICT_FAIL;
+  if (!conflictPolicies.has(conflict)) throw new Error(`Unhandled conflict policy=<${conflict}>`);
+  if (typeof(details.content) !== 'string') throw new Error('Missing content');
+  const content = (encoding === 'base64') ? Buffer.from(details.content, 'base64') : details.content;
+
+  const dir = path.dirname(target);
+  if (details.createDirs) await fs.promises.mkdir(dir, { recursive: true });
+  const tmp = path.join(dir, `.${path.basename(target)}.${crypto.randomUUID()}.tmp`);
+  await fs.promises.writeFile(tmp, content, { flag: 'wx' });
+  try {
+    if (conflict === CONFLICT_OVERWRITE) {
+      await fs.promises.rename(tmp, target);
+      return target;
+    }
+    let canLink = true;
+    for (let n = 0; n <= RENAME_MAX_ATTEMPTS; n++) {
+      const actual = n ? getRenamedPath(target, n) : target;
+      try {
+        if (canLink) {
+          try {
+            await fs.promises.link(tmp, actual);
+            return actual;
+          } catch (error) {
+            if (!LINK_UNSUPPORTED_ERRORS.has(error.code)) throw error;
+            canLink = false;
+          }
+        }
+        await fs.promises.copyFile(tmp, actual, fs.constants.COPYFILE_EXCL);
+        return actual;
+      } catch (error) {
+        if ((error.code !== 'EEXIST') || (conflict !== CONFLICT_RENAME)) throw error;
+      }
+    }
+    throw new Error(`Could not find available name for path=<${target}>`);
+  } finally {
+    // Remove temporary file if still present (not renamed).
+    await fs.promises.rm(tmp, { force: true });
+  }
+}
@@ -41,6 +41,11 @@ let appCommand;
 //  --extension-id: the (authorized) WebExtension id
 //  --dl-mngr-interpreter: the binary to execute dl-mngr script
 //  --dl-mngr-path: the dl-mngr script
+//  --allowed-root (optional, may be repeated): root directory in which file
+//    operations are allowed; none are allowed without it
+//  --tw-backup-keep, --tw-backup-daily, --tw-backup-weekly (optional):
+//    TiddlyWiki backups retention (number of most recent backups, and of days
+//    and weeks for which the most recent backup is kept)
 function nonEmpty(s) {
   return (typeof(s) == 'string') && s.trim().length;
 }
@@ -60,6 +65,22 @@ if (!nonEmpty(params.dlMngrPath)) {
   console.error('Missing --dl-mngr-path CLI option');
   process.exit(1);
 }
+// TiddlyWiki backups retention: only keep given values, others are defaulted
+// by the application.
+const twBackupRetention = {};
+for (const [key, value] of Object.entries({ keep: params.twBackupKeep, daily: params.twBackupDaily, weekly: params.twBackupWeekly })) {
+  if (value === undefined) continue;
+  if (!Number.isInteger(value) || (value < 0)) {
+    console.error(`Invalid --tw-backup-${key} CLI option value=<${value}>`);
+    process.exit(1);
+  }
+  twBackupRetention[key] = value;
+}
+// File operations (e.g. TiddlyWiki saving) are rejected without allowed root.
+const allowedRoots = [].concat(params.allowedRoot || []).map(root => path.resolve(String(root)));
+if (!allowedRoots.length) {
+  console.warn('No --allowed-root CLI option: file operations (e.g. TiddlyWiki saving) will be rejected');
+}
 
 let f;
 console.log('');
@@ -109,6 +130,8 @@ f.then(() => {
 
 export const dlMngrInterpreter = ${JSON.stringify(params.dlMngrInterpreter)};
 export const dlMngrPath = ${JSON.stringify(params.dlMngrPath)};
+export const allowedRoots = ${JSON.stringify(allowedRoots)};
+export const twBackupRetention = ${JSON.stringify(twBackupRetention)};
 `;
   return fse.writeFile('settings.js', settingsContent);
 }).then(() => {
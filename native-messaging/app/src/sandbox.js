@@ -0,0 +1,98 @@
+'use strict';
+
+import * as constants from './constants.js';
+import fs from 'fs';
+import path from 'path';
+
+
+// Path sandboxing
+// ===============
+// File operations are only allowed on paths located under configured root
+// directories (see 'allowedRoots' in settings).
+// Paths are rejected when:
+//  - they contain traversal ('..') segments
+//  - they are not lexically located under a root directory
+//  - they actually (following symbolic links) are not located under a root
+//    directory, or point to a dangling symbolic link
+// Root directories are given upon installation: rejection messages tell how
+// to allow paths, since installs predating the sandbox have none configured.
+
+const ALLOW_HINT = 'to allow paths, re-run native application install with \'--allowed-root <directory>\'';
+
+// Error raised when path is not allowed.
+export class PathError extends Error {
+
+  constructor(message, p) {
+    super(message);
+    this.name = 'PathError';
+    this.path = p;
+  }
+
+  // Gets structured error, to pass in response.
+  forMessage() {
+    return {
+      kind: constants.ERROR_PATH_NOT_ALLOWED,
+      message: this.message,
+      path: this.path
+    };
+  }
+
+}
+
+// Whether path is strictly (not the root itself) located under given root.
+function isUnder(root, p) {
+  const relative = path.relative(root, p);
+  return !!relative && (relative.split(path.sep)[0] !== '..') && !path.isAbsolute(relative);
+}
+
+// Gets real path, following symbolic links.
+// Missing path elements are kept as-is, after the real path of the deepest
+// existing ancestor.
+async function getRealPath(p) {
+  const missing = [];
+  let current = p;
+  for (;;) {
+    try {
+      return path.join(await fs.promises.realpath(current), ...missing);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    // Path does not exist, unless this is a dangling symbolic link.
+    let stats;
+    try {
+      stats = await fs.promises.lstat(current);
+    } catch {
+      // Really missing.
+    }
+    if (stats?.isSymbolicLink()) throw new PathError(`Path=<${p}> contains dangling symbolic link=<${current}>`, p);
+    const parent = path.dirname(current);
+    if (parent === current) return p;
+    missing.unshift(path.basename(current));
+    current = parent;
+  }
+}
+
+// Checks path is allowed, given root directories.
+// Relative paths are resolved against the first root.
+// Returns the resolved path, or throws a PathError.
+export async function checkPath(roots, p) {
+  if ((typeof(p) !== 'string') || !p.trim()) throw new PathError('Missing path', p);
+  roots = (roots || []).map(root => path.resolve(root));
+  if (!roots.length) throw new PathError(`No allowed root directory configured: ${ALLOW_HINT}`, p);
+  if (p.includes('\0')) throw new PathError(`Path=<${p}> contains nul character`, p);
+  if (p.split(/[\\/]/).includes('..')) throw new PathError(`Path=<${p}> contains traversal segment`, p);
+
+  const resolved = path.resolve(roots[0], p);
+  if (!roots.some(root => isUnder(root, resolved))) {
+    throw new PathError(`Path=<${resolved}> is not under allowed root directories: ${ALLOW_HINT}`, resolved);
+  }
+
+  // Check again once symbolic links are followed.
+  const real = await getRealPath(resolved);
+  const realRoots = await Promise.all(roots.map(root => getRealPath(root)));
+  if (!realRoots.some(root => isUnder(root, real))) {
+    throw new PathError(`Path=<${resolved}> actual path=<${real}> is not under allowed root directories: ${ALLOW_HINT}`, resolved);
+  }
+
+  return resolved;
+}
@@ -0,0 +1,287 @@
+'use strict';
+
+import * as constants from './constants.js';
+import crypto from 'crypto';
+import * as files from './files.js';
+import fs from 'fs';
+import path from 'path';
+import * as sandbox from './sandbox.js';
+
+
+// TiddlyWiki saving
+// =================
+// Before saving, the current file is copied in a 'backups' folder next to it,
+// with a timestamp in its name. Backups are then rotated according to the
+// configured retention.
+// Content is checked before saving, so that a bad save (e.g. truncated
+// content) does not replace the wiki, unless caller forces it.
+// Caller may also pass the file state (as retrieved when loading the wiki, or
+// after last save), so that saving is refused when the file was changed by
+// someone else (e.g. synchronized folder, other browser), unless caller
+// overwrites it.
+
+// Backups folder name.
+const BACKUPS_FOLDER = 'backups';
+
+// Default backups retention:
+//  - keep: number of most recent backups to keep
+//  - daily: number of days for which the most recent backup is kept
+//  - weekly: number of weeks for which the most recent backup is kept
+export const DEFAULT_BACKUP_RETENTION = {
+  keep: 10,
+  daily: 7,
+  weekly: 4
+};
+
+// Minimum size of content to save, relatively to current file size.
+const SANITY_MIN_SIZE_RATIO = 0.5;
+
+// Markers expected in TiddlyWiki content.
+const TW_MARKERS = [
+  // TW5: <meta name="application-name" content="TiddlyWiki" />
+  /<meta\s[^>]*name=["']application-name["'][^>]*content=["']TiddlyWiki["']/i,
+  // TiddlyWiki Classic store area.
+  /<div\s[^>]*id=["']storeArea["']/i
+];
+
+// Error raised when content to save does not pass sanity check.
+export class SanityError extends Error {
+
+  constructor(message, p) {
+    super(message);
+    this.name = 'SanityError';
+    this.path = p;
+  }
+
+  // Gets structured error, to pass in response.
+  forMessage() {
+    return {
+      kind: constants.ERROR_TW_SANITY_CHECK,
+      message: this.message,
+      path: this.path
+    };
+  }
+
+}
+
+// Error raised when file was changed since expected state.
+export class ConflictError extends Error {
+
+  constructor(message, p, state) {
+    super(message);
+    this.name = 'ConflictError';
+    this.path = p;
+    this.state = state;
+  }
+
+  // Gets structured error, to pass in response.
+  forMessage() {
+    return {
+      kind: constants.ERROR_TW_CONFLICT,
+      message: this.message,
+      path: this.path,
+      state: this.state
+    };
+  }
+
+}
+
+function pad(n, length) {
+  return `${n}`.padStart(length || 2, '0');
+}
+
+// Formats (local) date as backup timestamp: 'YYYYMMDD-HHmmss-SSS'.
+export function formatTimestamp(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}` +
+    `-${pad(date.getMilliseconds(), 3)}`;
+}
+
+// Parses backup timestamp.
+function parseTimestamp(s) {
+  const m = s.match(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})-(\d{3})$/);
+  if (!m) return;
+  const [year, month, day, hours, minutes, seconds, ms] = m.slice(1).map(v => parseInt(v));
+  return new Date(year, month - 1, day, hours, minutes, seconds, ms);
+}
+
+// Gets backup file name: 'name.timestamp.ext'.
+function getBackupName(p, date) {
+  const { name, ext } = path.parse(p);
+  return `${name}.${formatTimestamp(date)}${ext}`;
+}
+
+// Lists existing backups of given file.
+// Returns backups (name and date), most recent first.
+async function listBackups(backupsDir, p) {
+  const { name, ext } = path.parse(p);
+  let entries;
+  try {
+    entries = await fs.promises.readdir(backupsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const backups = [];
+  for (const entry of entries) {
+    if (!entry.startsWith(`${name}.`) || !entry.endsWith(ext)) continue;
+    const date = parseTimestamp(entry.substring(name.length + 1, entry.length - ext.length));
+    if (date) backups.push({ name: entry, date });
+  }
+  return backups.sort((b1, b2) => b2.date - b1.date);
+}
+
+// Gets day key of date.
+function getDayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+}
+
+// Gets week key of date: day key of the week monday.
+function getWeekKey(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+  return getDayKey(monday);
+}
+
+// Selects backups to keep, according to retention.
+// Backups are expected sorted, most recent first.
+// Keeps the most recent backups, plus the most recent backup of each of the
+// last days and weeks (that have backups).
+export function selectBackups(backups, retention) {
+  const keep = retention?.keep ?? DEFAULT_BACKUP_RETENTION.keep;
+  const daily = retention?.daily ?? DEFAULT_BACKUP_RETENTION.daily;
+  const weekly = retention?.weekly ?? DEFAULT_BACKUP_RETENTION.weekly;
+  const kept = new Set(backups.slice(0, Math.max(keep, 0)));
+  const days = new Set();
+  const weeks = new Set();
+  for (const backup of backups) {
+    const day = getDayKey(backup.date);
+    const week = getWeekKey(backup.date);
+    if (!days.has(day) && (days.size < daily)) {
+      days.add(day);
+      kept.add(backup);
+    }
+    if (!weeks.has(week) && (weeks.size < weekly)) {
+      weeks.add(week);
+      kept.add(backup);
+    }
+  }
+  return backups.filter(backup => kept.has(backup));
+}
+
+// Gets file state: modification time, size and content hash.
+// Returns an empty state if file does not exist.
+async function getState(p) {
+  let content;
+  let stats;
+  try {
+    content = await fs.promises.readFile(p);
+    stats = await fs.promises.stat(p);
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  return {
+    mtime: stats.mtimeMs,
+    size: stats.size,
+    hash: crypto.createHash('sha256').update(content).digest('hex')
+  };
+}
+
+// Gets wiki file state.
+export async function getWikiState(roots, p) {
+  return await getState(await sandbox.checkPath(roots, p));
+}
+
+// Loads wiki file content.
+// TiddlyWiki Classic needs the original file content when saving.
+export async function loadWiki(roots, p) {
+  return await fs.promises.readFile(await sandbox.checkPath(roots, p), { encoding: 'utf-8' });
+}
+
+// Checks file was not changed since expected state.
+// Only the content hash matters: file may have been touched without actual
+// change.
+async function checkState(p, expected) {
+  const state = await getState(p);
+  if (state.hash !== expected.hash) {
+    throw new ConflictError('File was modified since it was loaded or last saved', p, state);
+  }
+}
+
+// Checks content to save.
+// Content must contain TiddlyWiki markers, and not be much smaller than the
+// current file.
+function checkContent(p, content, stats) {
+  if (!TW_MARKERS.some(marker => marker.test(content))) {
+    throw new SanityError('Content to save does not look like a TiddlyWiki', p);
+  }
+  const size = Buffer.byteLength(content);
+  if (stats && (size < stats.size * SANITY_MIN_SIZE_RATIO)) {
+    throw new SanityError(`Content to save size=<${size}> is much smaller than current file size=<${stats.size}>`, p);
+  }
+}
+
+// Backs up current file, and rotates backups.
+// Returns the backup path.
+async function backupFile(roots, p, retention) {
+  const backupsDir = await sandbox.checkPath(roots, path.join(path.dirname(p), BACKUPS_FOLDER));
+  await fs.promises.mkdir(backupsDir, { recursive: true });
+  const backupPath = path.join(backupsDir, getBackupName(p, new Date()));
+  await fs.promises.copyFile(p, backupPath, fs.constants.COPYFILE_EXCL);
+
+  const backups = await listBackups(backupsDir, p);
+  const kept = new Set(selectBackups(backups, retention));
+  for (const backup of backups) {
+    if (kept.has(backup)) continue;
+    await fs.promises.rm(path.join(backupsDir, backup.name), { force: true });
+  }
+  return backupPath;
+}
+
+// Saves TiddlyWiki.
+// Expected details:
+//  - path: the wiki file path; must be allowed by sandbox
+//  - content: the wiki content
+//  - force (optional): whether to skip content sanity check
+//  - state (optional): expected file state, as previously returned
+//  - overwrite (optional): whether to skip file state check
+//  - copy (optional): whether to save a copy next to the file instead
+//  - auxiliary (optional): whether file is not the wiki itself (TiddlyWiki
+//    Classic backups and RSS feed), which is then simply saved: no backup nor
+//    checks
+// Returns the saved path, the backup path if any, and the new file state.
+export async function saveWiki(roots, details, retention) {
+  const target = await sandbox.checkPath(roots, details.path);
+  if (typeof(details.content) !== 'string') throw new Error('Missing content');
+
+  if (details.auxiliary) {
+    await files.saveFile(roots, { path: target, content: details.content, conflict: files.CONFLICT_OVERWRITE });
+    return { path: target };
+  }
+
+  if (details.copy) {
+    const { name, ext } = path.parse(target);
+    const copy = await files.saveFile(roots, {
+      path: path.join(path.dirname(target), `${name}.conflict-${formatTimestamp(new Date())}${ext}`),
+      content: details.content,
+      conflict: files.CONFLICT_RENAME
+    });
+    return { path: copy };
+  }
+
+  if (details.state && !details.overwrite) await checkState(target, details.state);
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(target);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (!details.force) checkContent(target, details.content, stats);
+
+  const backup = stats ? await backupFile(roots, target, retention) : undefined;
+  // Write atomically (temporary file renamed), so that the wiki is never left
+  // truncated, e.g. upon crash or full disk.
+  await files.saveFile(roots, { path: target, content: details.content, conflict: files.CONFLICT_OVERWRITE });
+  return { path: target, backup, state: await getState(target) };
+}
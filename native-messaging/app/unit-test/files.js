@@ -0,0 +1,84 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as files from '../src/files.js';
+import * as sandbox from '../src/sandbox.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+
+describe('files', function() {
+
+  let tmp;
+  let root;
+  let outside;
+
+  beforeEach(function() {
+    // Use real path, as temporary directory may be a symbolic link.
+    tmp = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'webext-native-test-')));
+    root = path.join(tmp, 'root');
+    outside = path.join(tmp, 'outside');
+    fs.mkdirSync(path.join(root, 'sub'), { recursive: true });
+    fs.mkdirSync(outside);
+  });
+
+  afterEach(function() {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  describe('#saveFile', function() {
+
+    it('should save file under roots', async function() {
+      const p = path.join(root, 'sub', 'file.txt');
+      assert.equal(await files.saveFile([root], {path: p, content: 'content'}), p);
+      assert.equal(fs.readFileSync(p, 'utf-8'), 'content');
+      const p2 = path.join(root, 'new', 'file.bin');
+      assert.equal(await files.saveFile([root], {path: p2, content: Buffer.from('binary').toString('base64'), encoding: 'base64', createDirs: true}), p2);
+      assert.equal(fs.readFileSync(p2, 'utf-8'), 'binary');
+      // No temporary file remains.
+      assert.deepEqual(fs.readdirSync(path.join(root, 'sub')), ['file.txt']);
+    });
+
+    it('should apply conflict policy', async function() {
+      const p = path.join(root, 'file.txt');
+      await files.saveFile([root], {path: p, content: 'first'});
+      await assert.rejects(files.saveFile([root], {path: p, content: 'second'}), { code: 'EEXIST' });
+      assert.equal(fs.readFileSync(p, 'utf-8'), 'first');
+      assert.equal(await files.saveFile([root], {path: p, content: 'second', conflict: files.CONFLICT_RENAME}), path.join(root, 'file (1).txt'));
+      assert.equal(fs.readFileSync(path.join(root, 'file (1).txt'), 'utf-8'), 'second');
+      assert.equal(await files.saveFile([root], {path: p, content: 'third', conflict: files.CONFLICT_OVERWRITE}), p);
+      assert.equal(fs.readFileSync(p, 'utf-8'), 'third');
+      assert.deepEqual(fs.readdirSync(root).sort(), ['file (1).txt', 'file.txt', 'sub']);
+    });
+
+    it('should copy file when hard links are not supported', async function() {
+      const link = fs.promises.link;
+      fs.promises.link = async function() {
+        const error = new Error('operation not supported');
+        error.code = 'ENOTSUP';
+        throw error;
+      };
+      try {
+        const p = path.join(root, 'file.txt');
+        assert.equal(await files.saveFile([root], {path: p, content: 'first'}), p);
+        await assert.rejects(files.saveFile([root], {path: p, content: 'second'}), { code: 'EEXIST' });
+        assert.equal(await files.saveFile([root], {path: p, content: 'second', conflict: files.CONFLICT_RENAME}), path.join(root, 'file (1).txt'));
+        assert.equal(fs.readFileSync(p, 'utf-8'), 'first');
+        assert.equal(fs.readFileSync(path.join(root, 'file (1).txt'), 'utf-8'), 'second');
+        assert.deepEqual(fs.readdirSync(root).sort(), ['file (1).txt', 'file.txt', 'sub']);
+      } finally {
+        fs.promises.link = link;
+      }
+    });
+
+    it('should not write outside roots', async function() {
+      fs.symlinkSync(outside, path.join(root, 'link'));
+      await assert.rejects(files.saveFile([root], {path: path.join(root, 'link', 'file.txt'), content: 'content'}), sandbox.PathError);
+      await assert.rejects(files.saveFile([root], {path: '../outside/file.txt', content: 'content'}), sandbox.PathError);
+      assert.deepEqual(fs.readdirSync(outside), []);
+    });
+
+  });
+
+});
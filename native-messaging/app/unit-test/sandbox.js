@@ -0,0 +1,118 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as constants from '../src/constants.js';
+import * as sandbox from '../src/sandbox.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+
+describe('sandbox', function() {
+
+  let tmp;
+  let root;
+  let outside;
+
+  beforeEach(function() {
+    // Use real path, as temporary directory may be a symbolic link.
+    tmp = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'webext-native-test-')));
+    root = path.join(tmp, 'root');
+    outside = path.join(tmp, 'outside');
+    fs.mkdirSync(path.join(root, 'sub'), { recursive: true });
+    fs.mkdirSync(outside);
+  });
+
+  afterEach(function() {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  async function assertRejected(roots, p) {
+    await assert.rejects(sandbox.checkPath(roots, p), sandbox.PathError, `Path=<${p}> should be rejected`);
+  }
+
+  describe('#checkPath', function() {
+
+    it('should accept paths under roots', async function() {
+      assert.equal(await sandbox.checkPath([root], path.join(root, 'file.txt')), path.join(root, 'file.txt'));
+      assert.equal(await sandbox.checkPath([root], path.join(root, 'sub', 'file.txt')), path.join(root, 'sub', 'file.txt'));
+      assert.equal(await sandbox.checkPath([root], path.join(root, 'missing', 'dir', 'file.txt')), path.join(root, 'missing', 'dir', 'file.txt'));
+      assert.equal(await sandbox.checkPath([outside, root], path.join(root, 'file.txt')), path.join(root, 'file.txt'));
+      // File names may start with dots.
+      assert.equal(await sandbox.checkPath([root], path.join(root, '..file.txt')), path.join(root, '..file.txt'));
+    });
+
+    it('should resolve relative paths against first root', async function() {
+      assert.equal(await sandbox.checkPath([root, outside], 'file.txt'), path.join(root, 'file.txt'));
+      assert.equal(await sandbox.checkPath([root], path.join('sub', 'file.txt')), path.join(root, 'sub', 'file.txt'));
+    });
+
+    it('should reject missing path or roots', async function() {
+      for (const p of [undefined, null, '', ' ', 1]) {
+        await assertRejected([root], p);
+      }
+      for (const roots of [undefined, null, []]) {
+        await assertRejected(roots, path.join(root, 'file.txt'));
+      }
+    });
+
+    it('should reject traversal', async function() {
+      await assertRejected([root], path.join(root, '..', 'outside', 'file.txt'));
+      await assertRejected([root], `${root}/sub/../file.txt`);
+      await assertRejected([root], '../outside/file.txt');
+      await assertRejected([root], 'sub\\..\\..\\file.txt');
+      await assertRejected([root], path.join(root, 'file\0.txt'));
+    });
+
+    it('should reject paths outside roots', async function() {
+      await assertRejected([root], path.join(outside, 'file.txt'));
+      await assertRejected([root], root);
+      await assertRejected([root], tmp);
+      await assertRejected([root], `${root}-other/file.txt`);
+    });
+
+    it('should reject symbolic link escapes', async function() {
+      fs.symlinkSync(outside, path.join(root, 'link'));
+      fs.symlinkSync(path.join(outside, 'file.txt'), path.join(root, 'file-link.txt'));
+      fs.writeFileSync(path.join(outside, 'file.txt'), 'content');
+      await assertRejected([root], path.join(root, 'link', 'file.txt'));
+      await assertRejected([root], path.join(root, 'link', 'missing', 'file.txt'));
+      await assertRejected([root], path.join(root, 'file-link.txt'));
+    });
+
+    it('should reject dangling symbolic links', async function() {
+      fs.symlinkSync(path.join(outside, 'missing.txt'), path.join(root, 'dangling.txt'));
+      fs.symlinkSync(path.join(root, 'missing'), path.join(root, 'dangling'));
+      await assertRejected([root], path.join(root, 'dangling.txt'));
+      await assertRejected([root], path.join(root, 'dangling', 'file.txt'));
+    });
+
+    it('should accept symbolic links within roots', async function() {
+      fs.symlinkSync(path.join(root, 'sub'), path.join(root, 'link'));
+      assert.equal(await sandbox.checkPath([root], path.join(root, 'link', 'file.txt')), path.join(root, 'link', 'file.txt'));
+      // Root itself may be a symbolic link.
+      const rootLink = path.join(tmp, 'root-link');
+      fs.symlinkSync(root, rootLink);
+      assert.equal(await sandbox.checkPath([rootLink], path.join(rootLink, 'file.txt')), path.join(rootLink, 'file.txt'));
+    });
+
+  });
+
+  describe('PathError', function() {
+
+    it('should give structured error', async function() {
+      const p = path.join(outside, 'file.txt');
+      await assert.rejects(sandbox.checkPath([root], p), error => {
+        const structured = error.forMessage();
+        assert.equal(structured.kind, constants.ERROR_PATH_NOT_ALLOWED);
+        assert.equal(structured.path, p);
+        assert.equal(structured.message, error.message);
+        // Structured error survives JSON serialization.
+        assert.deepEqual(JSON.parse(JSON.stringify(structured)), structured);
+        return true;
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as constants from '../src/constants.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as sandbox from '../src/sandbox.js';
+import * as tw from '../src/tw.js';
+
+
+const TW5_CONTENT = '<!doctype html><html><head><meta name="application-name" content="TiddlyWiki" /></head><body>wiki</body></html>';
+const CLASSIC_CONTENT = '<html><head></head><body><div id="storeArea"></div></body></html>';
+
+describe('tw', function() {
+
+  let tmp;
+  let root;
+  let wiki;
+  let backups;
+
+  beforeEach(function() {
+    // Use real path, as temporary directory may be a symbolic link.
+    tmp = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'webext-native-test-')));
+    root = path.join(tmp, 'root');
+    wiki = path.join(root, 'wiki.html');
+    backups = path.join(root, 'backups');
+    fs.mkdirSync(root);
+  });
+
+  afterEach(function() {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  describe('#saveWiki', function() {
+
+    it('should save new wiki without backup', async function() {
+      const r = await tw.saveWiki([root], {path: wiki, content: TW5_CONTENT});
+      assert.equal(r.path, wiki);
+      assert.equal(r.backup, undefined);
+      assert.equal(fs.readFileSync(wiki, 'utf-8'), TW5_CONTENT);
+      assert.ok(!fs.existsSync(backups));
+    });
+
+    it('should backup previous file', async function() {
+      fs.writeFileSync(wiki, CLASSIC_CONTENT);
+      const backup = (await tw.saveWiki([root], {path: wiki, content: TW5_CONTENT})).backup;
+      assert.equal(path.dirname(backup), backups);
+      assert.match(path.basename(backup), /^wiki\.\d{8}-\d{6}-\d{3}\.html$/);
+      assert.equal(fs.readFileSync(backup, 'utf-8'), CLASSIC_CONTENT);
+      assert.equal(fs.readFileSync(wiki, 'utf-8'), TW5_CONTENT);
+      // No temporary file remains.
+      assert.deepEqual(fs.readdirSync(root).sort(), ['backups', 'wiki.html']);
+    });
+
+    it('should rotate backups', async function() {
+      fs.writeFileSync(wiki, TW5_CONTENT);
+      fs.mkdirSync(backups);
+      // Old backups, and unrelated files.
+      const old = ['wiki.20200101-120000-000.html', 'wiki.20200102-120000-000.html'];
+      const unrelated = ['other.20200101-120000-000.html', 'wiki.html', 'wiki.invalid.html'];
+      for (const name of old.concat(unrelated)) {
+        fs.writeFileSync(path.join(backups, name), 'backup');
+      }
+      const backup = (await tw.saveWiki([root], {path: wiki, content: TW5_CONTENT}, {keep: 1, daily: 0, weekly: 0})).backup;
+      assert.deepEqual(fs.readdirSync(backups).sort(), [path.basename(backup)].concat(unrelated).sort());
+    });
+
+    it('should refuse invalid content unless forced', async function() {
+      await assert.rejects(tw.saveWiki([root], {path: wiki, content: 'not a wiki'}), tw.SanityError);
+      assert.ok(!fs.existsSync(wiki));
+
+      fs.writeFileSync(wiki, TW5_CONTENT + ' '.repeat(1000));
+      await assert.rejects(tw.saveWiki([root], {path: wiki, content: TW5_CONTENT}), error => {
+        assert.ok(error instanceof tw.SanityError);
+        const structured = error.forMessage();
+        assert.equal(structured.kind, constants.ERROR_TW_SANITY_CHECK);
+        assert.equal(structured.path, wiki);
+        return true;
+      });
+      assert.ok(!fs.existsSync(backups));
+
+      await tw.saveWiki([root], {path: wiki, content: TW5_CONTENT, force: true});
+      assert.equal(fs.readFileSync(wiki, 'utf-8'), TW5_CONTENT);
+      assert.equal(fs.readdirSync(backups).length, 1);
+    });
+
+    it('should refuse saving modified file unless overwritten', async function() {
+      fs.writeFileSync(wiki, TW5_CONTENT);
+      const state = await tw.getWikiState([root], wiki);
+      assert.equal(state.size, TW5_CONTENT.length);
+      // Saving with expected state returns the new state.
+      const saved = await tw.saveWiki([root], {path: wiki, content: TW5_CONTENT + 'v2', state});
+      assert.deepEqual(saved.state, await tw.getWikiState([root], wiki));
+      assert.notEqual(saved.state.hash, state.hash);
+
+      // Touching file without changing content is not a conflict.
+      const now = new Date();
+      fs.utimesSync(wiki, now, now);
+      const touched = await tw.saveWiki([root], {path: wiki, content: TW5_CONTENT + 'v3', state: saved.state});
+
+      // File modified by someone else.
+      fs.writeFileSync(wiki, TW5_CONTENT + 'other');
+      await assert.rejects(tw.saveWiki([root], {path: wiki, content: TW5_CONTENT + 'v4', state: touched.state}), error => {
+        assert.ok(error instanceof tw.ConflictError);
+        const structured = error.forMessage();
+        assert.equal(structured.kind, constants.ERROR_TW_CONFLICT);
+        assert.equal(structured.path, wiki);
+        assert.equal(structured.state.size, (TW5_CONTENT + 'other').length);
+        return true;
+      });
+      assert.equal(fs.readFileSync(wiki, 'utf-8'), TW5_CONTENT + 'other');
+
+      // File removed by someone else.
+      fs.rmSync(wiki);
+      await assert.rejects(tw.saveWiki([root], {path: wiki, content: TW5_CONTENT + 'v4', state: touched.state}), tw.ConflictError);
+
+      await tw.saveWiki([root], {path: wiki, content: TW5_CONTENT + 'v4', state: touched.state, overwrite: true});
+      assert.equal(fs.readFileSync(wiki, 'utf-8'), TW5_CONTENT + 'v4');
+    });
+
+    it('should save copy', async function() {
+      fs.writeFileSync(wiki, TW5_CONTENT);
+      const state = await tw.getWikiState([root], wiki);
+      fs.writeFileSync(wiki, TW5_CONTENT + 'other');
+      const r = await tw.saveWiki([root], {path: wiki, content: TW5_CONTENT + 'v2', state, copy: true});
+      assert.equal(path.dirname(r.path), root);
+      assert.match(path.basename(r.path), /^wiki\.conflict-\d{8}-\d{6}-\d{3}\.html$/);
+      assert.equal(fs.readFileSync(r.path, 'utf-8'), TW5_CONTENT + 'v2');
+      assert.equal(fs.readFileSync(wiki, 'utf-8'), TW5_CONTENT + 'other');
+      assert.ok(!fs.existsSync(backups));
+    });
+
+    it('should save auxiliary files without backup', async function() {
+      const rss = path.join(root, 'wiki.xml');
+      fs.writeFileSync(rss, '<rss></rss>');
+      const r = await tw.saveWiki([root], {path: rss, content: '<rss>v2</rss>', auxiliary: true});
+      assert.deepEqual(r, {path: rss});
+      assert.equal(fs.readFileSync(rss, 'utf-8'), '<rss>v2</rss>');
+      assert.ok(!fs.existsSync(backups));
+    });
+
+  });
+
+  describe('#getWikiState', function() {
+
+    it('should handle missing file', async function() {
+      assert.deepEqual(await tw.getWikiState([root], wiki), {});
+    });
+
+    it('should reject paths outside roots', async function() {
+      await assert.rejects(tw.getWikiState([root], path.join(tmp, 'wiki.html')), sandbox.PathError);
+    });
+
+  });
+
+  describe('#loadWiki', function() {
+
+    it('should load wiki content', async function() {
+      fs.writeFileSync(wiki, TW5_CONTENT);
+      assert.equal(await tw.loadWiki([root], wiki), TW5_CONTENT);
+      await assert.rejects(tw.loadWiki([root], path.join(tmp, 'wiki.html')), sandbox.PathError);
+    });
+
+  });
+
+  describe('#selectBackups', function() {
+
+    function backup(year, month, day, hours) {
+      return { name: `${year}-${month}-${day}-${hours}`, date: new Date(year, month - 1, day, hours) };
+    }
+
+    // Backups: every day at 08:00 and 20:00, from 2026-10-01 (Thursday) to
+    // 2026-10-19 (Monday), most recent first.
+    const backups = [];
+    for (let day = 19; day > 0; day--) {
+      backups.push(backup(2026, 10, day, 20));
+      backups.push(backup(2026, 10, day, 8));
+    }
+
+    function names(selected) {
+      return selected.map(b => b.name);
+    }
+
+    it('should keep most recent backups', function() {
+      assert.deepEqual(names(tw.selectBackups(backups, {keep: 3, daily: 0, weekly: 0})), names(backups.slice(0, 3)));
+      assert.deepEqual(tw.selectBackups(backups, {keep: 0, daily: 0, weekly: 0}), []);
+    });
+
+    it('should keep most recent backup of last days', function() {
+      assert.deepEqual(names(tw.selectBackups(backups, {keep: 0, daily: 3, weekly: 0})), ['2026-10-19-20', '2026-10-18-20', '2026-10-17-20']);
+      assert.deepEqual(names(tw.selectBackups(backups, {keep: 3, daily: 2, weekly: 0})), ['2026-10-19-20', '2026-10-19-8', '2026-10-18-20']);
+    });
+
+    it('should keep most recent backup of last weeks', function() {
+      // Weeks start on monday.
+      assert.deepEqual(names(tw.selectBackups(backups, {keep: 0, daily: 0, weekly: 3})), ['2026-10-19-20', '2026-10-18-20', '2026-10-11-20']);
+      assert.deepEqual(names(tw.selectBackups(backups, {keep: 1, daily: 2, weekly: 4})), ['2026-10-19-20', '2026-10-18-20', '2026-10-11-20', '2026-10-4-20']);
+    });
+
+    it('should apply default retention', function() {
+      // 7 days, plus the 2 previous weeks.
+      assert.equal(tw.selectBackups(backups, {keep: 0}).length, 7 + 2);
+      // 10 backups (5 days), plus 2 other days, plus the 2 previous weeks.
+      assert.equal(tw.selectBackups(backups).length, 10 + 2 + 2);
+    });
+
+  });
+
+});
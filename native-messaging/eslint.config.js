@@ -60,6 +60,7 @@ export default [
     files: [
       'gulpfile.js',
       'app/src/*.js',
+      'app/unit-test/*.js',
       'extension/src/unit-test/*.js'
     ],
     languageOptions: {
@@ -80,14 +81,19 @@ export default [
         windowId: 'readonly',
         tabId: 'readonly',
         frameId: 'readonly',
-        notifDefaults: 'readonly'
+        notifDefaults: 'readonly',
+        // Firefox content scripts helper to expose functions to page scripts.
+        exportFunction: 'readonly'
       }
     }
   },
 
   // Overrides for unit tests.
   {
-    files: ['extension/src/unit-test/*.js'],
+    files: [
+      'app/unit-test/*.js',
+      'extension/src/unit-test/*.js'
+    ],
     languageOptions: {
       globals: {
         ...globals.mocha
@@ -8,6 +8,7 @@ import { WebExtension, NativeApplication } from '../common/messaging.js';
 import { RequestsInterceptor } from './requests-interceptor.js';
 import { dlMngr, RequestsHandler } from './downloads.js';
 import { MenuHandler } from './menus.js';
+import { CommandsHandler } from './commands.js';
 import { VideoSourceHandler } from './video-sources.js';
 import { TabSuccessor } from './tab-successor.js';
 import { TabsHandler } from './tabs.js';
@@ -78,7 +79,16 @@ async function onMessage(extension, msg, sender) {
     case constants.KIND_TW_SAVE:
       // Protection: we really do expect this message to come from a tab.
       if (!sender.tab) return unhandledMessage(msg, sender);
-      return tw_save(msg);
+      return await tw_save(msg, sender);
+
+    case constants.KIND_TW_STATE:
+      if (!sender.tab) return unhandledMessage(msg, sender);
+      return await tw_state(msg, sender);
+
+    case constants.KIND_FILE_SAVE:
+      // Protection: only extension pages may save arbitrary files.
+      if (!sender.url?.startsWith(browser.runtime.getURL('/'))) return unhandledMessage(msg, sender);
+      return await file_save(msg, sender);
 
     case constants.KIND_HTTP_FETCH:
       return await http_fetch(msg);
@@ -89,12 +99,51 @@ async function onMessage(extension, msg, sender) {
     case constants.KIND_DL_VIDEO:
       return dl_downloadVideo(msg);
 
+    case constants.KIND_DL_VIDEO_BEST:
+      return dl_downloadBestVideo(msg);
+
+    case constants.KIND_DL_EXPORT_VIDEOS:
+      return dl_exportVideos(msg);
+
+    case constants.KIND_DL_REMOVE_VIDEOS:
+      return dl_removeVideos(msg);
+
+    case constants.KIND_DL_IGNORE_VIDEO:
+      return dl_ignoreVideo(msg);
+
+    case constants.KIND_DL_LINKS:
+      return dl_downloadLinks(msg);
+
+    case constants.KIND_GET_DL_LINKS_SIZES:
+      return dl_getLinksSizes(msg);
+
     case constants.KIND_DOWNLOAD:
       return dl_download(msg);
 
     case constants.KIND_GET_DL_VIDEOS:
       return dl_getVideos(msg);
 
+    case constants.KIND_GET_DL_VIDEOS_ALL_TABS:
+      return dl_getVideosAllTabs(msg);
+
+    case constants.KIND_GET_BROWSER_ACTION_VIEW:
+      return ext_getBrowserActionView(msg);
+
+    case constants.KIND_GET_DL_QUEUE:
+      return dl_getQueue(msg);
+
+    case constants.KIND_DL_RETRY_QUEUED:
+      return dl_retryQueued(msg);
+
+    case constants.KIND_DL_DISCARD_QUEUED:
+      return dl_discardQueued(msg);
+
+    case constants.KIND_GET_DL_HISTORY:
+      return dl_getHistory(msg);
+
+    case constants.KIND_DL_RESEND:
+      return dl_resend(msg);
+
     case constants.KIND_CLEAR_MESSAGES:
       return ext_clearMessages(msg);
 
@@ -111,6 +160,10 @@ async function onMessage(extension, msg, sender) {
       if (!settings.video.intercept) return;
       return dl_addVideoSubtitles(msg, sender);
 
+    case constants.KIND_ADD_VIDEO_THUMBNAIL:
+      if (!settings.video.intercept) return;
+      return dl_addVideoThumbnail(msg, sender);
+
     case constants.KIND_CONSOLE:
       return ext_console(msg, sender);
 
@@ -183,9 +236,44 @@ function tw_checkConcurrent(msg) {
 }
 
 // Saves TiddlyWiki document.
-function tw_save(msg) {
+async function tw_save(msg, sender) {
   // Request native application to do the saving, as WebExtensions have no right to properly do it.
-  return nativeApp.postRequest(msg, constants.TW_SAVE_TIMEOUT);
+  const response = await nativeApp.postRequest(msg, constants.TW_SAVE_TIMEOUT);
+  await notifyPathError(response, sender);
+  return response;
+}
+
+// Gets TiddlyWiki document file state.
+// Native application returns file modification time, size and content hash,
+// which are then passed when saving to detect external modifications.
+async function tw_state(msg, sender) {
+  const response = await nativeApp.postRequest(msg, constants.TW_SAVE_TIMEOUT);
+  await notifyPathError(response, sender);
+  return response;
+}
+
+// Saves file through native application.
+// Expected message fields: 'path', 'content', and optional 'encoding' ('text'
+// or 'base64'), 'createDirs' and 'conflict' ('fail', 'overwrite' or 'rename').
+// The native application only saves files under its allowed root directories,
+// and returns the actual saved file 'path'.
+async function file_save(msg, sender) {
+  const response = await nativeApp.postRequest(msg, constants.FILE_SAVE_TIMEOUT);
+  await notifyPathError(response, sender);
+  return response;
+}
+
+// Notifies native application rejected path, if applicable.
+// Path is rejected when not located under the native application allowed root
+// directories.
+async function notifyPathError(response, sender) {
+  const error = response?.error;
+  if (error?.kind !== constants.ERROR_PATH_NOT_ALLOWED) return;
+  await notification({
+    level: 'error',
+    title: 'File path not allowed',
+    message: error.message
+  }, sender);
 }
 
 // Delegate HTTP fetch to native app, fallback to native fetch upon issue.
@@ -214,15 +302,76 @@ function dl_download(msg) {
   return dlMngr.download(msg.details, msg.params);
 }
 
+// Downloads caught links.
+function dl_downloadLinks(msg) {
+  return requestsHandler.downloadLinks(msg);
+}
+
+// Gets caught links content size.
+function dl_getLinksSizes(msg) {
+  return requestsHandler.getLinksSizes(msg.urls);
+}
+
 function dl_downloadVideo(msg, sender) {
   return videoSourceHandler.download(msg.source, msg.details);
 }
 
+// Downloads the best video (quality profile) found in currently focused tab.
+function dl_downloadBestVideo(msg) {
+  return videoSourceHandler.downloadBest(undefined, msg.details);
+}
+
+// Exports videos found in currently focused tab, or all tabs.
+function dl_exportVideos(msg) {
+  return videoSourceHandler.exportSources(msg.format, msg.allTabs);
+}
+
+// Removes (and optionally ignores) videos.
+function dl_removeVideos(msg) {
+  return videoSourceHandler.removeSources(msg.sources, msg.ignore);
+}
+
+// Adds video (or its domain) to the ignore list.
+function dl_ignoreVideo(msg) {
+  return videoSourceHandler.addToIgnoreList(msg.url, msg.host);
+}
+
 // Gets videos found in currently focused tab.
 function dl_getVideos(msg) {
   return videoSourceHandler.getSources();
 }
 
+// Gets videos found in all tabs.
+function dl_getVideosAllTabs(msg) {
+  return videoSourceHandler.getAllTabsSources();
+}
+
+// Gets downloads queued for retry.
+async function dl_getQueue(msg) {
+  await dlMngr.queue.ready;
+  return dlMngr.queue.forMessage();
+}
+
+// Retries queued download(s).
+function dl_retryQueued(msg) {
+  return dlMngr.queue.retry(msg.id);
+}
+
+// Discards queued download(s).
+function dl_discardQueued(msg) {
+  return dlMngr.queue.discard(msg.id);
+}
+
+// Searches downloads history.
+function dl_getHistory(msg) {
+  return dlMngr.history.search(msg.search);
+}
+
+// Re-sends download from history.
+function dl_resend(msg) {
+  return dlMngr.resend(msg.id);
+}
+
 // Clears extension messages.
 function ext_clearMessages(msg) {
   const windowId = msg.windowId;
@@ -241,6 +390,11 @@ function ext_clearMessages(msg) {
   updateStatus();
 }
 
+// Gets the view browser action was requested to show, if any.
+function ext_getBrowserActionView(msg) {
+  return commandsHandler?.getBrowserActionView();
+}
+
 // Gets extension messages to display.
 function ext_getMessages(msg) {
   const focusedTab = tabsHandler.focusedTab;
@@ -273,6 +427,17 @@ function dl_addVideoSubtitles(msg, sender) {
   }, msg));
 }
 
+function dl_addVideoThumbnail(msg, sender) {
+  msg = Object.assign({}, msg);
+  delete(msg._routing);
+  return videoSourceHandler.addThumbnail(Object.assign({
+    windowId: sender.tab.windowId,
+    tabId: sender.tab.id,
+    tabUrl: sender.tab.url,
+    frameId: sender.frameId
+  }, msg));
+}
+
 
 // Native application message handling
 
@@ -452,6 +617,16 @@ class TabsObserver {
 
   videosUpdated(details) {
     const tabHandler = details.tabHandler;
+    // Notify the videos page (all tabs) if opened.
+    if (webext.hasTarget(constants.TARGET_VIDEOS_PAGE)) {
+      webext.postMessage({
+        _routing: {
+          target: constants.TARGET_VIDEOS_PAGE,
+          kind: constants.KIND_DL_UPDATE_TAB_VIDEOS
+        },
+        tab: this.videoSourceHandler.getTabSources(tabHandler, details.sources)
+      });
+    }
     if (!tabHandler.active) return;
     const sources = this.videoSourceHandler.getSources(tabHandler, details.sources);
     this.updateVideos(tabHandler.windowId, sources);
@@ -498,7 +673,7 @@ const videosSources = {};
 // e.g. VideoSourceHandler
 
 // Some objects are accessed in functions above, and need to be scoped here.
-let tabsHandler, webext, nativeApp, requestsHandler, videoSourceHandler;
+let tabsHandler, webext, nativeApp, requestsHandler, videoSourceHandler, commandsHandler;
 try {
   // Handle tabs.
   tabsHandler = new TabsHandler();
@@ -536,6 +711,13 @@ try {
   // Handle video sources.
   videoSourceHandler = new VideoSourceHandler(webext, tabsHandler, menuHandler);
   new TabsObserver(tabsHandler, videoSourceHandler);
+  // Handle keyboard shortcuts.
+  commandsHandler = new CommandsHandler({
+    webext,
+    requestsHandler,
+    tabSuccessor,
+    videoSourceHandler
+  });
 } catch (err) {
   if (webext) webext.getNotif().error(`Failure starting ${constants.EXTENSION_ID}`, err);
   else console.log(`Failure starting ${constants.EXTENSION_ID}:`, constants.EXTENSION_ID, err);
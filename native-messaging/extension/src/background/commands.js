@@ -0,0 +1,89 @@
+'use strict';
+
+import { constants } from '../common/constants.js';
+import { settings } from '../common/settings.js';
+
+
+// Handles keyboard shortcuts (commands declared in manifest).
+// Shortcuts can be changed through the options page.
+export class CommandsHandler {
+
+  constructor(params) {
+    Object.assign(this, params);
+    // View to show in browser action, when we open it.
+    this.browserActionView = undefined;
+    browser.commands.onCommand.addListener(this.onCommand.bind(this));
+  }
+
+  async onCommand(command, tab) {
+    if (settings.debug.misc) console.log(`Received command=<${command}>`, tab);
+    switch (command) {
+      case constants.COMMAND_DL_BEST_VIDEO:
+        return await this.videoSourceHandler.downloadBest(undefined, {auto: true});
+
+      case constants.COMMAND_DL_IGNORE_NEXT:
+        return this.toggleIgnoreNext();
+
+      case constants.COMMAND_OPEN_MESSAGES:
+        return await this.openBrowserAction(constants.BROWSER_ACTION_VIEW_MESSAGES);
+
+      case constants.COMMAND_TAB_UNLOAD:
+        return await this.unloadTab(tab);
+
+      case constants.COMMAND_TOGGLE_LINKS_CATCHER:
+        return await this.toggleLinksCatcher();
+
+      default:
+        console.warn(`Unhandled command=<${command}>`);
+    }
+  }
+
+  toggleIgnoreNext() {
+    const ignore = !this.requestsHandler.ignoringNext;
+    this.requestsHandler.ignoreNext(ignore ? constants.IGNORE_NEXT_TTL : 0);
+    this.webext.notify({
+      title: 'Downloads',
+      level: 'info',
+      message: ignore ? 'Ignoring next download' : 'Not ignoring next download anymore'
+    });
+  }
+
+  // Opens browser action, showing the requested view.
+  // Browser action gets (once) the view to show when starting.
+  async openBrowserAction(view) {
+    this.browserActionView = view;
+    try {
+      // Note: we are handling a user action, which is needed to open the
+      // browser action.
+      await browser.browserAction.openPopup();
+    } catch (error) {
+      this.browserActionView = undefined;
+      console.log('Failed to open browser action:', error);
+    }
+  }
+
+  getBrowserActionView() {
+    const view = this.browserActionView;
+    this.browserActionView = undefined;
+    return view;
+  }
+
+  async unloadTab(tab) {
+    // Command listener may not be given the tab.
+    if (!tab) [tab] = await browser.tabs.query({active: true, currentWindow: true});
+    if (!tab) return;
+    await this.tabSuccessor.unloadTabs(tab);
+  }
+
+  async toggleLinksCatcher() {
+    // Content scripts listen to setting changes.
+    const enabled = !settings.catchLinks;
+    await settings.inner.catchLinks.setValue(enabled);
+    this.webext.notify({
+      title: 'Links catcher',
+      level: 'info',
+      message: enabled ? 'Links catching enabled' : 'Links catching disabled'
+    });
+  }
+
+}
@@ -0,0 +1,209 @@
+'use strict';
+
+import { constants } from '../common/constants.js';
+import * as util from '../common/util.js';
+import * as asynchronous from '../common/asynchronous.js';
+import { WebSocketClient } from '../common/websocket.js';
+
+
+// Download backends
+// =================
+// A backend hands downloads over to an external download manager.
+// Each backend implements:
+//  - canHandle(details): whether the download can be handed over
+//  - send(details): hands the download over; returns a response object which
+//    'error' field is set upon failure, and 'unreachable' field is also set if
+//    the download manager could not be reached (download may work later)
+// Download details are the ones prepared for dl-mngr (url, referrer, cookie,
+// userAgent, file, folder, headers, ...): other backends convert what they can.
+
+// dl-mngr backend.
+// dl-mngr is spawned by the native application, and then listens on a
+// WebSocket port that we reuse for next downloads.
+export class DlMngrBackend {
+
+  constructor(nativeApp) {
+    this.nativeApp = nativeApp;
+  }
+
+  canHandle() {
+    return true;
+  }
+
+  // Uses WebSocket if possible, and fallbacks to the native application.
+  async send(details) {
+    const self = this;
+
+    async function postNative() {
+      let r;
+      try {
+        r = await self.nativeApp.postRequest(details);
+        // Remember WebSocket port for next request.
+        if (r.wsPort) self.wsPort = r.wsPort;
+      } catch (error) {
+        // Wrap error to handle it properly (as an error coming from the remote
+        // applicaton).
+        r = {error};
+      }
+      // Whether the native application could not be reached, or it failed to
+      // pass the download to dl-mngr, the latter may work later.
+      if (r.error) r.unreachable = true;
+      return r;
+    }
+
+    // Post native request if we don't know the WebSocket port yet.
+    if (!self.wsPort) return await postNative();
+
+    // Otherwise try WebSocket, and fallback to native request upon issue.
+    const wsClient = new WebSocketClient(`ws://127.0.0.1:${self.wsPort}/`);
+    try {
+      await wsClient.connect();
+      const r = await wsClient.postRequest(details);
+      // If WebSocket returns non-0 code, log it. It is useless to fallback to
+      // the native application, since the same should happen (except we don't
+      // wait for its return code). Better return a proper error.
+      if (r.code) {
+        // Note: error will be notified and logged.
+        r.error = r.output || 'WebSocket returned non-0 response code';
+      }
+      return r;
+    } catch (error) {
+      // Note: this is not an error message returned through WebSocket, but
+      // a pure WebSocket error.
+      // This may happen if the remote application is not running anymore.
+      console.log('WebSocket request=<%o> failed=<%o>: fallback to native app', details, error);
+      return await postNative();
+    } finally {
+      // Disconnect WebSocket once done.
+      wsClient.disconnect();
+    }
+  }
+
+}
+
+// aria2 backend.
+// Downloads are added through aria2 JSON-RPC interface, over HTTP or WebSocket
+// depending on the RPC URL scheme.
+// Options:
+//  - url: RPC URL, e.g. 'http://127.0.0.1:6800/jsonrpc'
+//  - secret: RPC secret token, if any
+//  - dir: base directory, to which relative folders are resolved
+//
+// Notes:
+// aria2 only downloads plain resources: HLS streams (and associated subtitles
+// and keys) are not handled. Comment is not handled either.
+export class Aria2Backend {
+
+  constructor(options) {
+    this.url = options.url;
+    this.secret = options.secret;
+    this.dir = options.dir;
+  }
+
+  canHandle(details) {
+    return !details.hls;
+  }
+
+  async send(details) {
+    if (!this.canHandle(details)) return {error: 'aria2 does not handle HLS streams'};
+
+    let response;
+    try {
+      response = await this.call('aria2.addUri', [[details.url], this.getOptions(details)]);
+    } catch (error) {
+      // aria2 may not be running (yet).
+      return {error, unreachable: true};
+    }
+    if (response.error) {
+      return {error: `aria2 error code=<${response.error.code}>: ${response.error.message}`};
+    }
+    return {gid: response.result};
+  }
+
+  // Gets aria2 download options.
+  getOptions(details) {
+    const options = {};
+    if (details.file) options.out = details.file;
+    const dir = this.getDir(details.folder);
+    if (dir) options.dir = dir;
+    if (details.referrer) options.referer = details.referrer;
+    if (details.userAgent) options['user-agent'] = details.userAgent;
+    // Pass other headers as-is, except those already given.
+    const headers = (details.headers || []).filter(header => {
+      const name = header.name.toLowerCase();
+      if ((name === 'referer') && options.referer) return false;
+      if ((name === 'user-agent') && options['user-agent']) return false;
+      if ((name === 'cookie') && details.cookie) return false;
+      return true;
+    }).map(header => `${header.name}: ${header.value}`);
+    if (details.cookie) headers.push(`Cookie: ${details.cookie}`);
+    if (headers.length) options.header = headers;
+    return options;
+  }
+
+  // Gets target directory.
+  // Absolute folders are used as-is, while relative ones are resolved against
+  // the base directory if any (aria2 resolves them against its working
+  // directory otherwise).
+  getDir(folder) {
+    if (!folder) return this.dir;
+    if (!this.dir || folder.match(/^(\/|\\|[a-zA-Z]:[\\/])/)) return folder;
+    return `${this.dir.replace(/[\\/]+$/, '')}/${folder}`;
+  }
+
+  // Calls RPC method.
+  // Returns the JSON-RPC response, which either has a 'result' or 'error' field.
+  // Throws an error if aria2 could not be reached.
+  async call(method, params) {
+    const request = {
+      jsonrpc: '2.0',
+      id: util.uuidv4(),
+      method,
+      params: this.secret ? [`token:${this.secret}`].concat(params) : params
+    };
+    if (this.url.match(/^wss?:/i)) return await this.callWebSocket(request);
+    return await asynchronous.promiseOrTimeout(this.callHttp(request), constants.ARIA2_RPC_TIMEOUT);
+  }
+
+  async callHttp(request) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(request)
+    });
+    // aria2 responds with a non-2xx status upon RPC error, along with the
+    // JSON-RPC response.
+    try {
+      return await response.json();
+    } catch {
+      throw new Error(`Unexpected aria2 response status=<${response.status}>`);
+    }
+  }
+
+  callWebSocket(request) {
+    const d = new asynchronous.Deferred();
+    const ws = new WebSocket(this.url);
+    ws.addEventListener('open', () => ws.send(JSON.stringify(request)));
+    ws.addEventListener('message', message => {
+      let msg;
+      try {
+        msg = JSON.parse(message.data);
+      } catch (error) {
+        console.error('Failed to parse aria2 WebSocket message %o: %o', message, error);
+        return;
+      }
+      // Ignore notifications (e.g. download start/completion).
+      if (msg.id === request.id) d.resolve(msg);
+    });
+    ws.addEventListener('error', () => d.reject(new Error('aria2 WebSocket error')));
+    ws.addEventListener('close', event => d.reject(new Error(`aria2 WebSocket closed with code=<${event.code}>`)));
+    return asynchronous.promiseThen(asynchronous.promiseOrTimeout(d.promise, constants.ARIA2_RPC_TIMEOUT), () => {
+      try {
+        ws.close(1000);
+      } catch {
+        // Ignore any error here.
+      }
+    });
+  }
+
+}
@@ -0,0 +1,193 @@
+'use strict';
+
+import { constants } from '../common/constants.js';
+import * as util from '../common/util.js';
+import { settings } from '../common/settings.js';
+
+
+const DB_NAME = 'downloads';
+const DB_VERSION = 1;
+const STORE_HISTORY = 'history';
+const INDEX_TIMESTAMP = 'timestamp';
+
+// Wraps IndexedDB request in a Promise.
+function promiseRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Download hand-offs history.
+// Each download handed over (or tried to) to dl-mngr is recorded with its
+// details, origin and outcome.
+//
+// Notes:
+// Entries are persisted in IndexedDB, which is better suited than the local
+// storage (shared with settings) for a growing list of records that we need to
+// search through.
+// We don't keep the cookie, which is retrieved again if download is re-sent.
+// The oldest entries are dropped once the maximum number of entries is reached.
+export class DownloadHistory {
+
+  constructor(webext) {
+    this.webext = webext;
+  }
+
+  open() {
+    if (this.db) return this.db;
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_HISTORY, { keyPath: 'id', autoIncrement: true });
+      store.createIndex(INDEX_TIMESTAMP, 'timestamp');
+    };
+    this.db = promiseRequest(request);
+    // Allow retrying upon failure.
+    this.db.catch(() => {
+      delete(this.db);
+    });
+    return this.db;
+  }
+
+  // Executes code within a transaction.
+  // Code is passed the history object store, and must only use IndexedDB
+  // requests: awaiting anything else would let the transaction complete.
+  async transaction(mode, f) {
+    const db = await this.open();
+    const tx = db.transaction(STORE_HISTORY, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const r = await f(tx.objectStore(STORE_HISTORY));
+    await done;
+    return r;
+  }
+
+  // Notifies browser action that history changed.
+  notifyUpdate() {
+    this.webext.postMessage({
+      _routing: {
+        target: constants.TARGET_BROWSER_ACTION,
+        kind: constants.KIND_DL_UPDATE_HISTORY
+      }
+    });
+  }
+
+  // Records download hand-off.
+  // Returns the entry id, or nothing upon failure: history is not important
+  // enough to fail the download.
+  async add(details, params, outcome, error) {
+    details = Object.assign({}, details);
+    delete(details._routing);
+    delete(details.cookie);
+    if (details.headers) details.headers = details.headers.filter(h => h.name.toLowerCase() !== 'cookie');
+    const entry = {
+      timestamp: util.getTimestamp(),
+      origin: params.origin || constants.DL_ORIGIN_MESSAGE,
+      details,
+      outcome
+    };
+    for (const key of ['backend', 'mimeFilename', 'mimeType', 'tabTitle', 'tabUrl', 'linkText']) {
+      if (params[key]) entry[key] = params[key];
+    }
+    if (error) entry.error = util.formatError(error);
+
+    try {
+      const id = await this.transaction('readwrite', store => promiseRequest(store.add(entry)));
+      if (settings.debug.downloads) console.log(`Recorded download history id=<${id}> outcome=<${outcome}> url=<${details.url}>`);
+      await this.prune();
+      this.notifyUpdate();
+      return id;
+    } catch (error) {
+      console.error('Failed to record download history entry=<%o>:', entry, error);
+    }
+  }
+
+  // Updates entry outcome.
+  async update(id, outcome, error) {
+    if (!id) return;
+    try {
+      await this.transaction('readwrite', async store => {
+        const entry = await promiseRequest(store.get(id));
+        if (!entry) return;
+        entry.outcome = outcome;
+        if (error) entry.error = util.formatError(error);
+        else delete(entry.error);
+        await promiseRequest(store.put(entry));
+      });
+      this.notifyUpdate();
+    } catch (error) {
+      console.error(`Failed to update download history id=<${id}>:`, error);
+    }
+  }
+
+  async get(id) {
+    return await this.transaction('readonly', store => promiseRequest(store.get(id)));
+  }
+
+  // Drops oldest entries beyond limit.
+  async prune() {
+    await this.transaction('readwrite', async store => {
+      let extra = await promiseRequest(store.count()) - constants.DL_HISTORY_MAX_ENTRIES;
+      if (extra <= 0) return;
+      const request = store.index(INDEX_TIMESTAMP).openCursor();
+      await new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || (extra-- <= 0)) return resolve();
+          cursor.delete();
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    });
+  }
+
+  // Searches entries, most recent first.
+  // All search words must be found (case-insensitive) in either the URL,
+  // filename, tab title or comment.
+  // Only entries information needed for display are returned.
+  async search(text, limit) {
+    const words = (text || '').toLowerCase().split(/\s+/).filter(s => s);
+    limit = limit || constants.DL_HISTORY_SEARCH_LIMIT;
+
+    function matches(entry) {
+      if (!words.length) return true;
+      const details = entry.details;
+      const s = [details.url, details.file, details.comment, entry.tabTitle].filter(v => v).join('\n').toLowerCase();
+      return words.every(word => s.includes(word));
+    }
+
+    return await this.transaction('readonly', store => {
+      const entries = [];
+      const request = store.index(INDEX_TIMESTAMP).openCursor(null, 'prev');
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || (entries.length >= limit)) return resolve(entries);
+          const entry = cursor.value;
+          if (matches(entry)) {
+            entries.push({
+              id: entry.id,
+              timestamp: entry.timestamp,
+              origin: entry.origin,
+              url: entry.details.url,
+              referrer: entry.details.referrer,
+              file: entry.details.file,
+              size: entry.details.size,
+              tabTitle: entry.tabTitle,
+              backend: entry.backend,
+              outcome: entry.outcome,
+              error: entry.error
+            });
+          }
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    });
+  }
+
+}
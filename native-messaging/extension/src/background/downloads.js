@@ -4,7 +4,9 @@ import { constants } from '../common/constants.js';
 import * as util from '../common/util.js';
 import * as asynchronous from '../common/asynchronous.js';
 import * as http from '../common/http.js';
-import { WebSocketClient } from '../common/websocket.js';
+import { Aria2Backend, DlMngrBackend } from './download-backends.js';
+import { DownloadHistory } from './download-history.js';
+import { DownloadRules, RULE_ACTION_ALWAYS } from '../common/download-rules.js';
 import { settings } from '../common/settings.js';
 
 
@@ -43,11 +45,15 @@ function maybePageContent(url) {
   if (pageContentExtensions.has(extension)) return 'path matches known page extensions';
 }
 
+// Hands downloads over to a download backend: dl-mngr by default, or another
+// one (globally configured, or requested by caller).
 class DlMngrClient {
 
   setup(webext, nativeApp) {
     this.webext = webext;
-    this.nativeApp = nativeApp;
+    this.dlMngrBackend = new DlMngrBackend(nativeApp);
+    this.queue = new DlMngrQueue(this);
+    this.history = new DownloadHistory(webext);
   }
 
   async download(details, params) {
@@ -99,60 +105,297 @@ class DlMngrClient {
     // Cleanup again.
     util.cleanupFields(details);
 
-    function handleError(r) {
-      if (r.error) {
-        const url = details.url;
-        const filename = details.file;
-        self.webext.notify({
-          title: 'Failed to download',
-          level: 'error',
-          message: `${util.getFilename(url, filename)}\n${url}`,
-          error: r.error
-        });
-      }
-      return r;
+    // Remember the actual backend, so that we use the same one when retrying.
+    params.backend = params.backend || settings.downloadBackend;
+    const r = await self.send(details, params.backend);
+    // Keep the download to retry it later if the backend could not be reached.
+    // Caller may not need it, e.g. when the browser handles the download on its
+    // own upon failure.
+    const queue = r.error && r.unreachable && !params.noQueue;
+    const outcome = !r.error ? constants.DL_OUTCOME_SENT : queue ? constants.DL_OUTCOME_QUEUED : constants.DL_OUTCOME_FAILED;
+    const historyId = await self.history.add(details, params, outcome, r.error);
+    if (!r.error) return r;
+
+    if (queue) await self.queue.add(details, r.error, historyId, params.backend);
+    const url = details.url;
+    const filename = details.file;
+    const message = [util.getFilename(url, filename), url];
+    if (queue) message.push('Download queued for retry');
+    self.webext.notify({
+      title: 'Failed to download',
+      level: 'error',
+      message: message.join('\n'),
+      error: r.error
+    });
+    return r;
+  }
+
+  // Re-sends download from history.
+  async resend(id) {
+    const entry = await this.history.get(id);
+    if (!entry) {
+      console.warn(`Cannot re-send unknown download history id=<${id}>`);
+      return {error: 'Unknown download history entry'};
     }
+    // Cookie was not recorded: get it again.
+    // Use the same backend than originally.
+    return await this.download(entry.details, {
+      backend: entry.backend,
+      notify: true,
+      addCookie: true,
+      tabTitle: entry.tabTitle,
+      tabUrl: entry.tabUrl,
+      origin: constants.DL_ORIGIN_HISTORY
+    });
+  }
 
-    async function postNative() {
-      let r;
-      try {
-        r = await self.nativeApp.postRequest(details);
-        // Remember WebSocket port for next request.
-        if (r.wsPort) self.wsPort = r.wsPort;
-      } catch (error) {
-        // Wrap error to handle it properly (as an error coming from the remote
-        // applicaton).
-        r = {error};
-      }
-      return handleError(r);
+  // Gets download backend.
+  // Uses the configured one if not given.
+  getBackend(name) {
+    name = name || settings.downloadBackend;
+    if (name === constants.DL_BACKEND_ARIA2) {
+      // Settings may change: simply build the backend when needed.
+      return new Aria2Backend({
+        url: settings.aria2.rpcUrl,
+        secret: settings.aria2.rpcSecret,
+        dir: settings.aria2.dir
+      });
     }
+    return this.dlMngrBackend;
+  }
+
+  // Hands download over to given (or configured) backend.
+  // Fallbacks to dl-mngr if the backend cannot handle the download.
+  // Response 'unreachable' field is set when the backend could not be reached.
+  async send(details, backend) {
+    let handler = this.getBackend(backend);
+    if (!handler.canHandle(details)) {
+      console.info(`Download backend=<${backend || settings.downloadBackend}> cannot handle url=<${details.url}>: using dl-mngr`);
+      handler = this.dlMngrBackend;
+    }
+    return await handler.send(details);
+  }
+
+}
+
+const DL_QUEUE_STORAGE_KEY = 'dlMngr.queue';
+
+// Handles downloads that could not be handed over to their backend.
+// Entries are persisted in local storage, so that they survive a browser (or
+// extension) restart, and are automatically retried with exponential backoff
+// until the maximum number of attempts is reached.
+// User can also retry or discard entries from the browser action.
+//
+// Notes:
+// Entries hold the download details as they were to be sent, which means we
+// don't need to gather the comment/etc. again when retrying.
+// We don't keep the cookie (which would remain in storage until the entry is
+// retried or discarded): it is retrieved again when retrying.
+// Local storage is shared with settings: the key must not clash with a setting
+// one.
+class DlMngrQueue {
+
+  constructor(client) {
+    this.client = client;
+    this.entries = [];
+    // Ids of entries currently being retried.
+    this.retrying = new Set();
+    this.ready = this.load();
+  }
 
-    // Post native request if we don't know the WebSocket port yet.
-    if (!self.wsPort) return await postNative();
+  async load() {
+    try {
+      const keys = {};
+      keys[DL_QUEUE_STORAGE_KEY] = [];
+      this.entries = (await browser.storage.local.get(keys))[DL_QUEUE_STORAGE_KEY];
+    } catch (error) {
+      console.error('Failed to load downloads queue:', error);
+    }
+    if (this.entries.length) console.info(`Loaded downloads queue with entries=<${this.entries.length}>`);
+    this.schedule();
+  }
 
-    // Otherwise try WebSocket, and fallback to native request upon issue.
-    const wsClient = new WebSocketClient(`ws://127.0.0.1:${self.wsPort}/`);
+  async persist() {
     try {
-      await wsClient.connect();
-      const r = await wsClient.postRequest(details);
-      // If WebSocket returns non-0 code, log it. It is useless to fallback to
-      // the native application, since the same should happen (except we don't
-      // wait for its return code). Better return a proper error.
-      if (r.code) {
-        // Note: error will be notified and logged.
-        r.error = r.output || 'WebSocket returned non-0 response code';
+      if (this.entries.length) {
+        const keys = {};
+        keys[DL_QUEUE_STORAGE_KEY] = this.entries;
+        await browser.storage.local.set(keys);
+      } else {
+        await browser.storage.local.remove(DL_QUEUE_STORAGE_KEY);
       }
-      return handleError(r);
     } catch (error) {
-      // Note: this is not an error message returned through WebSocket, but
-      // a pure WebSocket error.
-      // This may happen if the remote application is not running anymore.
-      console.log('WebSocket request=<%o> failed=<%o>: fallback to native app', details, error);
-      return await postNative();
+      console.error('Failed to persist downloads queue:', error);
+    }
+    this.client.webext.postMessage({
+      _routing: {
+        target: constants.TARGET_BROWSER_ACTION,
+        kind: constants.KIND_DL_UPDATE_QUEUE
+      },
+      entries: this.forMessage()
+    });
+  }
+
+  // Gets entries information for display.
+  // Details (which may contain cookies) don't need to be passed around.
+  forMessage() {
+    const self = this;
+    return self.entries.map(entry => {
+      return {
+        id: entry.id,
+        url: entry.details.url,
+        file: entry.details.file,
+        size: entry.details.size,
+        created: entry.created,
+        attempts: entry.attempts,
+        nextAttempt: self.canAutoRetry(entry) ? entry.nextAttempt : undefined,
+        error: entry.error
+      };
+    });
+  }
+
+  canAutoRetry(entry) {
+    return entry.attempts < constants.DL_QUEUE_MAX_ATTEMPTS;
+  }
+
+  getRetryDelay(entry) {
+    return Math.min(
+      constants.DL_QUEUE_RETRY_DELAY * Math.pow(2, entry.attempts - 1),
+      constants.DL_QUEUE_RETRY_DELAY_MAX
+    );
+  }
+
+  async add(details, error, historyId, backend) {
+    await this.ready;
+    details = Object.assign({}, details);
+    delete(details.cookie);
+    if (details.headers) details.headers = details.headers.filter(h => h.name.toLowerCase() !== 'cookie');
+    const now = util.getTimestamp();
+    const entry = {
+      id: util.uuidv4(),
+      details,
+      created: now,
+      attempts: 1,
+      error: util.formatError(error),
+      historyId,
+      backend
+    };
+    entry.nextAttempt = now + this.getRetryDelay(entry);
+    this.entries.push(entry);
+    if (settings.debug.downloads) console.log(`Queued download id=<${entry.id}> url=<${details.url}>:`, entry);
+    await this.persist();
+    this.schedule();
+  }
+
+  // (Re-)schedules next automatic retry.
+  schedule() {
+    const self = this;
+    if (self.timer) clearTimeout(self.timer);
+    delete(self.timer);
+    const next = self.entries.filter(entry => self.canAutoRetry(entry)).map(entry => entry.nextAttempt);
+    if (!next.length) return;
+    const delay = Math.max(Math.min(...next) - util.getTimestamp(), 0);
+    self.timer = setTimeout(() => self.retryDue(), delay);
+  }
+
+  async retryDue() {
+    const self = this;
+    delete(self.timer);
+    const now = util.getTimestamp();
+    const due = self.entries.filter(entry => self.canAutoRetry(entry) && (entry.nextAttempt <= now));
+    for (const entry of due) {
+      await self.retryEntry(entry);
+    }
+    self.schedule();
+  }
+
+  // Retries given entry, or all entries.
+  async retry(id) {
+    await this.ready;
+    const entries = id ? this.entries.filter(entry => entry.id === id) : [...this.entries];
+    for (const entry of entries) {
+      await this.retryEntry(entry);
+    }
+    this.schedule();
+  }
+
+  async retryEntry(entry) {
+    const self = this;
+    const details = entry.details;
+    // Don't retry an entry twice in parallel, nor once discarded.
+    if (self.retrying.has(entry.id) || !self.entries.includes(entry)) return;
+    self.retrying.add(entry.id);
+    let r;
+    try {
+      if (settings.debug.downloads) console.log(`Retrying queued download id=<${entry.id}> attempt=<${entry.attempts + 1}> url=<${details.url}>`);
+      // Cookie was not kept: get it again.
+      const sent = Object.assign({}, details);
+      try {
+        sent.cookie = await http.getCookie(details.url);
+      } catch (error) {
+        console.log(`Could not add cookie for url=<${details.url}>:`, error);
+      }
+      util.cleanupFields(sent);
+      r = await self.client.send(sent, entry.backend);
     } finally {
-      // Disconnect WebSocket once done.
-      wsClient.disconnect();
+      self.retrying.delete(entry.id);
     }
+    // Entry may have been discarded in the meantime.
+    if (!self.entries.includes(entry)) return;
+
+    const url = details.url;
+    const filename = details.file;
+    if (!r.error || !r.unreachable) {
+      // Either the download was handed over, or dl-mngr did reject it: in both
+      // cases there is no reason to keep it.
+      self.entries = self.entries.filter(e => e !== entry);
+      await self.client.history.update(entry.historyId, r.error ? constants.DL_OUTCOME_FAILED : constants.DL_OUTCOME_SENT, r.error);
+      if (!r.error) {
+        console.info(`Handed over queued download id=<${entry.id}> url=<${url}>`);
+        if (settings.notifyDownload) {
+          util.browserNotification({
+            'type': 'basic',
+            'title': 'Download (queued)',
+            'message': `${util.getFilename(url, filename)}\n${url}`
+          }, settings.notifyTtl);
+        }
+      } else {
+        self.client.webext.notify({
+          title: 'Failed to download',
+          level: 'error',
+          message: `${util.getFilename(url, filename)}\n${url}`,
+          error: r.error
+        });
+      }
+    } else {
+      entry.attempts++;
+      entry.error = util.formatError(r.error);
+      entry.nextAttempt = util.getTimestamp() + self.getRetryDelay(entry);
+      if (!self.canAutoRetry(entry)) {
+        self.client.webext.notify({
+          title: 'Queued download not retried anymore',
+          level: 'warn',
+          message: `${util.getFilename(url, filename)}\n${url}\nAttempts: ${entry.attempts}`,
+          error: r.error
+        });
+      }
+    }
+    await self.persist();
+  }
+
+  // Discards given entry, or all entries.
+  async discard(id) {
+    await this.ready;
+    const count = this.entries.length;
+    const discarded = this.entries.filter(entry => !id || (entry.id === id));
+    this.entries = this.entries.filter(entry => !discarded.includes(entry));
+    if (this.entries.length === count) return;
+    for (const entry of discarded) {
+      await this.client.history.update(entry.historyId, constants.DL_OUTCOME_FAILED, entry.error);
+    }
+    if (settings.debug.downloads) console.log(`Discarded queued downloads=<${count - this.entries.length}>`);
+    await this.persist();
+    this.schedule();
   }
 
 }
@@ -228,6 +471,30 @@ export class RequestsHandler extends http.RequestsHandler {
       });
     });
     self.setupInterception();
+    settings.inner.interceptRules.addListener((setting, oldValue, newValue) => {
+      self.setupRules();
+    });
+    self.setupRules();
+  }
+
+  setupRules() {
+    try {
+      this.rules = new DownloadRules(settings.interceptRules);
+    } catch (error) {
+      // Should not happen since rules are validated before being saved.
+      console.error('Invalid interception rules:', error);
+      this.rules = new DownloadRules();
+    }
+  }
+
+  // Finds the interception rule matching given download details.
+  findRule(details) {
+    const rule = this.rules.find(details);
+    if (settings.debug.downloads) {
+      if (rule) console.log(`Interception rule=<${rule.label}> action=<${rule.action}> matches download:`, details);
+      else if (!this.rules.isEmpty()) console.log('No interception rule matches download:', details);
+    }
+    return rule;
   }
 
   setupInterception() {
@@ -486,18 +753,24 @@ export class RequestsHandler extends http.RequestsHandler {
     } catch {
       // Ignore any error here.
     }
-    const r = await dlMngr.download({
+    const details = {
       url,
       referrer: http.findHeaderValue(requestDetails.sent.requestHeaders, 'Referer'),
       cookie: http.findHeaderValue(requestDetails.sent.requestHeaders, 'Cookie'),
       userAgent: http.findHeaderValue(requestDetails.sent.requestHeaders, 'User-Agent'),
       file: requestDetails.actualFilename,
       size: requestDetails.contentLength
-    }, {
+    };
+    if (requestDetails.rule) requestDetails.rule.apply(details);
+    const r = await dlMngr.download(details, {
       addComment: true,
       mimeFilename: requestDetails.filename,
       mimeType: requestDetails.contentType?.mimeType,
-      tabTitle
+      tabTitle,
+      origin: constants.DL_ORIGIN_REQUEST,
+      backend: requestDetails.rule?.backend,
+      // Browser will proceed with the request if we fail.
+      noQueue: true
     });
     // Cancel the request if we successfully managed to trigger the download.
     return {cancel: !r.error};
@@ -531,17 +804,28 @@ export class RequestsHandler extends http.RequestsHandler {
       // Don't process failed downloads.
       if (download.error) return self.manageDownload(download, false, 'Download failed');
 
-      // Do not intercept if corresponding request would not have been.
-
-      // Don't intercept 'too small' download
       const totalBytes = Number.isInteger(download.totalBytes) ? download.totalBytes : -1;
       const bytesReceived = ((totalBytes > 0) && Number.isInteger(download.bytesReceived)) ? download.bytesReceived : 0;
       const remaining = totalBytes - bytesReceived;
+      const contentType = new http.ContentType(download.mime);
+      contentType.guess(download.filename, false);
+
+      // Apply matching rule first, if any.
+      // Note: download filename is the full target path.
+      const rule = self.findRule({
+        url: download.url,
+        mimeType: contentType.mimeType,
+        extension: util.getFilenameExtension((download.filename || '').split(/\/|\\/).pop()).extension,
+        size: (totalBytes >= 0) ? totalBytes : undefined
+      });
+      if (rule?.isDecisive()) return self.manageDownload(download, rule.action === RULE_ACTION_ALWAYS, `Matching rule=<${rule.label}>`, rule);
+
+      // Do not intercept if corresponding request would not have been.
+
+      // Don't intercept 'too small' download
       if ((remaining >= 0) && (remaining < settings.interceptSize)) return self.manageDownload(download, false, `Remaining length=<${remaining}> below limit`);
 
       // Don't intercept text or images if size is unknown.
-      const contentType = new http.ContentType(download.mime);
-      contentType.guess(download.filename, false);
       if (remaining < 0) {
         if (contentType.maybeText()) return self.manageDownload(download, false, 'Text with unknown size');
         if (contentType.isImage()) return self.manageDownload(download, false, 'Image with unknown size');
@@ -572,12 +856,12 @@ export class RequestsHandler extends http.RequestsHandler {
         if (displayed) return self.manageDownload(download, false, 'Download already displayed in browser');
 
         // Intercept.
-        self.manageDownload(download, true);
+        self.manageDownload(download, true, 'Default interception', rule);
       })
     });
   }
 
-  async manageDownload(download, intercept, reason) {
+  async manageDownload(download, intercept, reason, rule) {
     const self = this;
     if (intercept && self.checkIgnoreNext()) {
       intercept = false;
@@ -587,7 +871,7 @@ export class RequestsHandler extends http.RequestsHandler {
       if (settings.debug.downloads) console.log(`Not intercepting download %o: ${reason}`, download);
       return;
     }
-    console.info('Intercepting download', download);
+    console.info(`Intercepting download %o: ${reason}`, download);
 
     // First cancel this download.
     // We better wait for this to be done before handing over the download to
@@ -648,16 +932,20 @@ export class RequestsHandler extends http.RequestsHandler {
       }, settings.notifyTtl);
     }
 
-    return await dlMngr.download({
+    const details = {
       url: download.url,
       referrer: download.referrer,
       file: download.filename,
       size: download.totalBytes,
       auto: true
-    }, {
+    };
+    if (rule) rule.apply(details);
+    return await dlMngr.download(details, {
       addCookie: true,
       addUserAgent: true,
-      addComment: true
+      addComment: true,
+      origin: constants.DL_ORIGIN_DOWNLOAD,
+      backend: rule?.backend
     });
   }
 
@@ -696,10 +984,78 @@ export class RequestsHandler extends http.RequestsHandler {
       addUserAgent: true,
       addComment: true,
       tabTitle: tab.title,
-      linkText: info.linkText
+      linkText: info.linkText,
+      origin: constants.DL_ORIGIN_LINK
     });
   }
 
+  // Downloads caught links.
+  // Expected message fields:
+  //  - links: array of objects with 'url', 'text' and optional 'size'
+  //  - referrer: the page URL
+  //  - tabTitle: the page title
+  async downloadLinks(msg) {
+    const links = msg.links.filter(link => http.canDownload(link.url));
+    if (!links.length) return;
+
+    if (settings.notifyDownload) {
+      util.browserNotification({
+        'type': 'basic',
+        'title': 'Download (links)',
+        'message': `${links.length} link(s)\n${msg.referrer}`
+      }, settings.notifyTtl);
+    }
+
+    // Hand over downloads one at a time: in particular the first one may need
+    // to spawn dl-mngr.
+    let failed = 0;
+    for (const link of links) {
+      const details = {
+        url: link.url,
+        referrer: msg.referrer
+      };
+      if (Number.isInteger(link.size)) details.size = link.size;
+      const r = await dlMngr.download(details, {
+        addCookie: true,
+        addUserAgent: true,
+        addComment: true,
+        tabTitle: msg.tabTitle,
+        linkText: link.text,
+        origin: constants.DL_ORIGIN_LINK
+      });
+      if (r.error) failed++;
+    }
+    if (settings.debug.downloads) console.log(`Downloaded links=<${links.length}> failed=<${failed}>`);
+    return {count: links.length, failed};
+  }
+
+  // Gets links content size.
+  // Sizes are retrieved in parallel (with limited concurrency), and we stop
+  // waiting after some time: remaining sizes are then unknown.
+  async getLinksSizes(urls) {
+    const sizes = urls.map(() => undefined);
+    let next = 0;
+
+    async function worker() {
+      while (next < urls.length) {
+        const idx = next++;
+        sizes[idx] = await http.getContentLength(urls[idx], constants.DL_LINK_SIZE_TIMEOUT);
+      }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(constants.DL_LINKS_SIZES_CONCURRENCY, urls.length); i++) {
+      workers.push(worker());
+    }
+    try {
+      await asynchronous.promiseOrTimeout(Promise.all(workers), constants.DL_LINKS_SIZES_TIMEOUT);
+    } catch {
+      // Don't start other requests.
+      next = urls.length;
+    }
+    return [...sizes];
+  }
+
   janitoring() {
     if (!super.janitoring()) return false;
     this.cleanupUnintercepted();
@@ -767,7 +1123,18 @@ class RequestDetails extends http.RequestDetails {
     if ((statusCode === 206) && http.findHeaderValue(this.sent.requestHeaders, 'Range')) return handler.manageRequest(this, false, 'Skip partial content request');
 
     // Parse response to get content length, type, disposition.
-    this.parseResponse(settings.interceptSize);
+    // Rules may need content information even when below size limit.
+    this.parseResponse(handler.rules.isEmpty() ? settings.interceptSize : 0);
+
+    // Apply matching rule first, if any.
+    // Overrides are kept, even when the rule lets heuristics decide.
+    this.rule = handler.findRule({
+      url: this.url,
+      mimeType: this.contentType?.mimeType,
+      extension: this.actualExtension,
+      size: this.contentLength
+    });
+    if (this.rule?.isDecisive()) return handler.manageRequest(this, this.rule.action === RULE_ACTION_ALWAYS, `Matching rule=<${this.rule.label}>`);
 
     // Don't intercept 'too small' content.
     // Note: comparing undefined to integer returns false.
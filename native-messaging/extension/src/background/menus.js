@@ -2,6 +2,7 @@
 
 import * as util from '../common/util.js';
 import { settings } from '../common/settings.js';
+import * as videoExport from '../common/video-export.js';
 
 
 // Notes:
@@ -63,11 +64,14 @@ import { settings } from '../common/settings.js';
 //      * ...
 //      * Download entry N
 //      * (separator)
+//      * Export tab videos
+//      * Export all tabs videos
+//      * (separator)
 //      * Unload tab
 //
 // As a consequence, callers need to exclusively rely on the menu handler and
 // not call 'browser.contextMenus' directly.
-// Caller API: reset, addEntry, updateEntry, removeEntries.
+// Caller API: reset, addEntry, updateEntry, removeEntries, reorderEntries.
 
 // For now, this menu handler only manages download links.
 // However, for simplicity the root entry and sub-entries (available downloads)
@@ -239,6 +243,20 @@ class MenuGroup extends MenuElement {
     await this.rebuild();
   }
 
+  // API: reorder given entries.
+  // Entries keep the positions they occupy, but are placed in the given order.
+  // Entries we don't own are ignored.
+  async reorderEntries() {
+    const wanted = [...arguments].filter(el => this.entries.includes(el));
+    const reordering = new Set(wanted);
+    let idx = 0;
+    const entries = this.entries.map(el => reordering.has(el) ? wanted[idx++] : el);
+    if (entries.every((el, i) => el === this.entries[i])) return false;
+    this.entries = entries;
+    await this.rebuild();
+    return true;
+  }
+
   // API: add group in entries.
   addGroup() {
     const group = new MenuGroup(this);
@@ -254,6 +272,8 @@ export class MenuHandler extends MenuGroup {
     super();
     this.tabSuccessor = tabSuccessor;
     this.requestsHandler = requestsHandler;
+    // Set by video source handler, to export videos.
+    this.videoSourceHandler = undefined;
     // Menu entry ids that were created in context menu.
     this.ids = [];
     this.shown = undefined;
@@ -334,6 +354,12 @@ export class MenuHandler extends MenuGroup {
     }
     await self.createEntries();
 
+    // 'Export videos' entries, when we know how to.
+    if (entriesCount && self.videoSourceHandler) {
+      await self.createSeparator({});
+      await self.createExportEntries();
+    }
+
     // 'Unload tab' entry.
     const unloadDetails = {
       title: 'Unload tab',
@@ -379,6 +405,27 @@ export class MenuHandler extends MenuGroup {
     await browser.contextMenus.update(id, details);
   }
 
+  // Creates entries (sub-menus) to export videos, in any format, from the
+  // current or all tabs.
+  async createExportEntries() {
+    const self = this;
+    for (const [title, allTabs] of [['Export tab videos', false], ['Export all tabs videos', true]]) {
+      const parent = await self.createEntry({
+        title,
+        parentId: ID_ROOT
+      });
+      for (const [format, details] of Object.entries(videoExport.formatsDetails)) {
+        await self.createEntry({
+          title: details.label,
+          parentId: parent.id,
+          onclick: function(data, tab) {
+            self.videoSourceHandler.exportSources(format, allTabs);
+          }
+        });
+      }
+    }
+  }
+
   async createEntries(entry) {
     const list = [];
     function loop(menu) {
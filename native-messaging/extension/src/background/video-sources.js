@@ -6,6 +6,12 @@ import * as asynchronous from '../common/asynchronous.js';
 import * as unsafe from '../common/unsafe.js';
 import * as http from '../common/http.js';
 import * as hls from '../common/stream-hls.js';
+import * as dash from '../common/stream-dash.js';
+import * as codecs from '../common/stream-codecs.js';
+import * as subtitles from '../common/subtitles.js';
+import * as videoQuality from '../common/video-quality.js';
+import * as videoExport from '../common/video-export.js';
+import * as videoIgnore from '../common/video-ignore.js';
 import { dlMngr } from './downloads.js';
 import { settings } from '../common/settings.js';
 
@@ -14,7 +20,69 @@ function checkVideoContentType(contentType) {
   if (contentType.isText()) return 'Text';
   if (contentType.isSubtitle()) return 'Subtitle';
   if (contentType.isImage()) return 'Image';
-  if (contentType.isAudio()) return 'Audio';
+  if (contentType.isAudio() && !settings.video.audio.intercept) return 'Audio';
+}
+
+// Determines whether source is audio-only, given its content type and HLS (or
+// DASH) stream if any: either the content type is audio, or the stream codecs
+// are all audio ones.
+// Without codecs (e.g. non-master HLS playlist), the segments are checked.
+function isAudioSource(contentType, stream) {
+  if (contentType.isAudio()) return true;
+  if (!stream) return false;
+  if (stream.codecs) return codecs.isAudioOnly(stream.codecs);
+  const uri = stream.getTags?.('EXTINF').find(tag => tag.uri)?.uri;
+  if (!uri) return false;
+  const segmentType = new http.ContentType();
+  // Note: segment URI may be relative.
+  segmentType.guess(uri.split(/[?#]/).shift().split('/').pop());
+  return segmentType.isAudio();
+}
+
+// Saves exported sources to file, as chosen by user.
+async function saveExport(webext, content, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], {type: mimeType}));
+  let id;
+  try {
+    id = await browser.downloads.download({
+      url,
+      filename,
+      saveAs: true
+    });
+  } catch (error) {
+    // Nothing to report if user cancelled saving.
+    if (!error?.message?.includes('canceled')) {
+      webext.notify({
+        title: 'Failed to export videos',
+        level: 'error',
+        error
+      });
+    }
+    URL.revokeObjectURL(url);
+    return;
+  }
+  // Release resources, and remove download entry, once done.
+  async function release() {
+    const r = await browser.downloads.search({id});
+    if (r.length && (r[0].state === browser.downloads.State.IN_PROGRESS)) {
+      setTimeout(release, 1000);
+      return;
+    }
+    await browser.downloads.erase({id}).catch(() => {});
+    URL.revokeObjectURL(url);
+  }
+  await release();
+}
+
+// Gets the quality profile from settings.
+function getQualityProfile() {
+  return new videoQuality.QualityProfile({
+    maxHeight: settings.video.quality.maxHeight,
+    // Setting is in kbps.
+    maxBandwidth: settings.video.quality.maxBandwidth * 1000,
+    codecs: settings.inner.perKey['video.quality.codecs'].getValues(),
+    audioLang: settings.video.quality.audioLang
+  });
 }
 
 
@@ -32,6 +100,7 @@ export class VideoSourceNamer {
     this.videoSource = videoSource;
     this.filenameFromUrl = videoSource.filenameFromUrl;
     this.title = videoSource.tabTitle;
+    this.defaultExtension = videoSource.getDefaultExtension();
     // Determine download filename.
     this.setFilename(util.getFilename(videoSource.getUrl(), videoSource.filename));
   }
@@ -47,7 +116,7 @@ export class VideoSourceNamer {
   }
 
   setExtension(extension) {
-    if (!extension) extension = 'mp4';
+    if (!extension) extension = this.defaultExtension;
     this.extension = extension;
     this.refreshFilename();
   }
@@ -57,8 +126,8 @@ export class VideoSourceNamer {
   }
 
   refreshName() {
-    // Use 'mp4' as default extension if none could be determined.
-    const { name, extension } = util.getFilenameExtension(this.filename, 'mp4');
+    // Use default extension if none could be determined.
+    const { name, extension } = util.getFilenameExtension(this.filename, this.defaultExtension);
     this.name = name;
     this.extension = extension;
     this.refreshFilename();
@@ -227,9 +296,13 @@ export class VideoSource {
     Object.assign(this, {
       id: util.uuidv4(),
       removed: false,
+      // Whether this is the best match for the quality profile.
+      best: false,
+      // Whether this is an audio-only source.
+      audioOnly: false,
       newRequestHeaders: {},
-      subtitles: [],
-      subtitleEntries: []
+      audioTracks: [],
+      subtitles: []
     }, details);
     // Notes:
     // Remember important objects, but don't forget to remove in 'forMessage'
@@ -245,15 +318,20 @@ export class VideoSource {
     this.urls = new Set();
     this.addUrl(this.url);
     this.addUrl(this.forceUrl);
-    // Create menu entries helpers, associated to each subtitle and base source.
+    // Audio tracks (for HLS/DASH) and subtitles are selected upon downloading:
+    // there is one menu entry for this source.
     // Note: we only expect to have subtitles when enabled.
     this.menuGroup = parent.menuHandler?.addGroup();
-    for (const subtitle of this.subtitles) {
-      this.addSubtitleEntry(subtitle);
+    const subtitles = this.subtitles;
+    this.subtitles = [];
+    for (const subtitle of subtitles) {
+      this.addSubtitle(subtitle);
     }
-    delete(this.subtitles);
+    const thumbnail = this.thumbnail;
+    delete(this.thumbnail);
+    this.setThumbnail(thumbnail);
     this.entryHandler = new VideoSourceEntryHandler(this);
-    this.downloadEntries = [];
+    this.downloadEntries = [this.entryHandler];
     this.needRefresh = true;
     this.mutex = new asynchronous.Mutex();
   }
@@ -269,8 +347,22 @@ export class VideoSource {
     delete(r.tabHandler);
     delete(r.menuGroup);
     delete(r.entryHandler);
-    delete(r.subtitleEntries);
     delete(r.downloadEntries);
+    // Flag live streams.
+    if (this.hls?.live) r.live = this.hls.live;
+    // Only pass tracks information, and the default selection.
+    r.audioTracks = this.audioTracks.map(track => {
+      const t = Object.assign({}, track);
+      delete(t.stream);
+      if (track.stream.protection) t.protection = track.stream.protection;
+      return t;
+    });
+    r.subtitles = this.subtitles.map(subtitle => {
+      const s = Object.assign({}, subtitle);
+      delete(s.raw);
+      return s;
+    });
+    r.selection = this.getDefaultSelection();
     // Build downloads information.
     r.downloads = this.downloadEntries.map(entryHandler => {
       // Also remove unwanted (may consume memory for nothing) fields.
@@ -284,27 +376,72 @@ export class VideoSource {
           }
         }
       }
-      if (download.details.audio) {
-        delete(download.details.audio.raw);
-        if (download.details.audio.keys) {
-          for (const key of download.details.audio.keys) {
-            delete(key.raw);
-          }
-        }
-      }
-      if (download.details.subtitle) {
-        delete(download.details.subtitle.raw);
-      }
       return download;
     });
     return r;
   }
 
+  // Gets details to export this source.
+  // See video-export for details.
+  forExport() {
+    const download = this.entryHandler.download;
+    const headers = Object.assign({}, this.newRequestHeaders);
+    // Fallback to known download details.
+    for (const [name, value] of [['Referer', download.details.referrer], ['User-Agent', download.details.userAgent], ['Cookie', download.details.cookie]]) {
+      if (!headers[name] && value) headers[name] = value;
+    }
+    const selection = this.getSelection();
+    const r = {
+      title: util.getFilenameExtension(download.details.file).name,
+      file: download.details.file,
+      url: download.details.url,
+      duration: this.hls?.duration,
+      headers,
+      audio: selection.audioTracks.map(track => ({url: track.url, name: track.name, lang: track.lang})),
+      subtitles: selection.subtitles.map(subtitle => ({url: subtitle.url, name: subtitle.name, lang: subtitle.lang})),
+      tabUrl: this.tabUrl,
+      tabTitle: this.tabTitle
+    };
+    util.cleanupFields(r);
+    return r;
+  }
+
   remove() {
     this.removed = true;
     return this.removeMenuEntry();
   }
 
+  // Sets thumbnail (image data URL) captured by the content script.
+  // Returns whether it was changed.
+  setThumbnail(thumbnail) {
+    // Only accept image data URLs: the thumbnail is displayed as-is.
+    if ((typeof(thumbnail) !== 'string') || !thumbnail.startsWith('data:image/')) return false;
+    if (this.thumbnail === thumbnail) return false;
+    this.thumbnail = thumbnail;
+    return true;
+  }
+
+  setAudioOnly() {
+    if (this.audioOnly) return;
+    this.audioOnly = true;
+    this.needRefresh = true;
+  }
+
+  // Gets the filename extension to use when none could be determined.
+  // For audio-only sources, rely on the audio content type if known.
+  getDefaultExtension() {
+    if (!this.audioOnly) return 'mp4';
+    const contentType = new http.ContentType(this.mimeType);
+    return (contentType.isAudio() && contentType.getMimeExtension()) || 'm4a';
+  }
+
+  setBest(best) {
+    best = !!best;
+    if (this.best === best) return;
+    this.best = best;
+    this.needRefresh = true;
+  }
+
   setTabTitle(title) {
     if (!title || (this.tabTitle === title)) return;
     this.tabTitle = title;
@@ -416,9 +553,7 @@ export class VideoSource {
   }
 
   findSubtitle(subtitle) {
-    for (const known of this.subtitleEntries) {
-      if (known.subtitle.url === subtitle.url) return known.subtitle;
-    }
+    return this.subtitles.find(known => known.url === subtitle.url);
   }
 
   mergeSubtitle(known, subtitle) {
@@ -435,21 +570,14 @@ export class VideoSource {
     }
 
     // Replace known one by fresh one.
-    for (const entryHandler of this.subtitleEntries) {
-      if (entryHandler.subtitle.url === subtitle.url) {
-        entryHandler.subtitle = subtitle;
-        this.needRefresh = true;
-        break;
-      }
-    }
+    this.subtitles[this.subtitles.indexOf(known)] = subtitle;
+    this.needRefresh = true;
   }
 
-  addSubtitleEntry(subtitle) {
+  addSubtitle(subtitle) {
     if (settings.trace.video) console.log(`Adding tab=<${this.tabId}> frame=<${this.frameId}> video source id=<${this.id}> url=<${this.url}> subtitles:`, subtitle);
 
-    const entryHandler = new VideoSourceEntryHandler(this);
-    entryHandler.subtitle = subtitle;
-    this.subtitleEntries.push(entryHandler);
+    this.subtitles.push(subtitle);
     // Note: don't add subtitles url to the source urls.
     // We only want to consider the actual source (to download) urls, not any
     // associated track url. These should be handled specifically by caller if
@@ -469,10 +597,38 @@ export class VideoSource {
         continue;
       }
 
-      this.addSubtitleEntry(subtitle);
+      this.addSubtitle(subtitle);
     }
   }
 
+  // Gets the default tracks selection: the audio track in the preferred
+  // language (or the default, or first, one), and the first subtitle among
+  // those with the highest priority.
+  // Tracks are identified by their URL.
+  getDefaultSelection() {
+    const audioLang = settings.video.quality.audioLang;
+    const audioTrack = this.audioTracks.find(track => videoQuality.matchesLang(track.lang, audioLang))
+      || this.audioTracks.find(track => track.default)
+      || this.audioTracks[0];
+    const priority = Math.max(...this.subtitles.map(subtitle => subtitle.priority || 0));
+    const subtitle = this.subtitles.find(subtitle => (subtitle.priority || 0) === priority);
+    return {
+      audio: audioTrack ? [audioTrack.url] : [],
+      subtitles: subtitle ? [subtitle.url] : []
+    };
+  }
+
+  // Gets selected tracks.
+  // Selection lists audio tracks and subtitles URLs; the default selection is
+  // used for missing lists.
+  getSelection(selection) {
+    selection = Object.assign(this.getDefaultSelection(), selection);
+    return {
+      audioTracks: this.audioTracks.filter(track => selection.audio.includes(track.url)),
+      subtitles: this.subtitles.filter(subtitle => selection.subtitles.includes(subtitle.url))
+    };
+  }
+
   async refresh() {
     if (!this.needRefresh) return false;
     this.needRefresh = false;
@@ -558,53 +714,13 @@ export class VideoSource {
         raw: this.hls.raw,
         url: this.hls.getURL().href
       };
-      if (this.audio) download.details.audio = {
-        raw: this.audio.raw,
-        url: this.audio.getURL().href
-      };
-    }
-    // Determine subtitles per priority when applicable.
-    let subtitlePriority;
-    const grouped = Object.groupBy(this.subtitleEntries, entryHandler => {
-      const priority = entryHandler.subtitle.priority || 0;
-      subtitlePriority = Math.max(subtitlePriority || 0, priority);
-      return priority;
-    });
-    // When there are, keep only subtitles with first priority.
-    const subtitleEntries = grouped[subtitlePriority];
-
-    // Remove menu entries created for other subtitles ...
-    for (const [priority, handlers] of Object.entries(grouped)) {
-      if (priority === subtitlePriority) continue;
-      for (const entryHandler of handlers) {
-        if (await entryHandler.removeMenuEntry()) changes = true;
-      }
-    }
-    // ... or created for non-subtitle case.
-    if (subtitleEntries && await this.entryHandler.removeMenuEntry()) changes = true;
-
-    if (subtitleEntries) {
-      for (const entryHandler of subtitleEntries) {
-        // Refine details for these subtitles.
-        entryHandler.download = {
-          source: Object.assign(structuredClone(download.source), {
-            downloadId: entryHandler.downloadId
-          }),
-          details: Object.assign(structuredClone(download.details), {
-            subtitle: entryHandler.subtitle
-          }),
-          params: download.params
-        };
-      }
-      this.downloadEntries = subtitleEntries;
-    } else {
-      this.entryHandler.download = download;
-      this.downloadEntries = [this.entryHandler];
     }
+    this.entryHandler.download = download;
 
     // Determine menu title.
     // We will prefix the download size and extension if possible, except for
     // for HLS.
+    // The best match for the quality profile is marked.
     // The rest of the title will be the file name (without extension).
     const title = [];
     // Format size if known (with optional qualifier, e.g. for HLS).
@@ -618,15 +734,26 @@ export class VideoSource {
       name = filename;
     }
 
+    // Show the default selected tracks, and how many others are available.
+    const selection = this.getSelection();
+    const tracksTitle = function(kind, selected, count) {
+      if (!count) return;
+      const names = selected.map(track => track.lang || track.name).join(',');
+      const others = count - selected.length;
+      return `${kind}${names}${others ? `+${others}` : ''}`;
+    };
     for (const entryHandler of this.downloadEntries) {
-      const subtitle = entryHandler.subtitle;
       let entryTitle = [...title];
+      if (this.best) entryTitle.unshift('⭐');
       if (this.hls) {
-        entryTitle.push(`🎞️${this.hls.name}`);
-      } else if (extension) {
-        entryTitle.push(extension);
+        // DRM protected content cannot be downloaded as-is.
+        entryTitle.push(`${this.audioOnly ? '🔊' : '🎞️'}${this.hls.protection ? '🔒' : ''}${this.hls.live ? '🔴' : ''}${this.hls.name}`);
+      } else if (extension || this.audioOnly) {
+        entryTitle.push(`${this.audioOnly ? '🔊' : ''}${extension || ''}`);
       }
-      if (subtitle) entryTitle.push(`💬${subtitle.lang || subtitle.name}`);
+      // Only show audio tracks when there is a choice.
+      if (this.audioTracks.length > 1) entryTitle.push(tracksTitle('🔊', selection.audioTracks, this.audioTracks.length));
+      if (this.subtitles.length) entryTitle.push(tracksTitle('💬', selection.subtitles, this.subtitles.length));
       entryTitle = entryTitle.join(' ');
       if (entryTitle) entryTitle = `[${entryTitle}] `;
       // Note: on FireFox (77) if the text width (in pixels) exceeds a given
@@ -659,54 +786,71 @@ export class VideoSource {
   // Trigger download for given entry handler.
   async download(entryHandler, details) {
     // Use current entry download details, and get extra details from caller.
-    // Expected extra details: 'auto'.
+    // Expected extra details: 'auto', and optional 'subtitlesFormat' and
+    // selected tracks ('audio' and 'subtitles' URLs).
+    const subtitlesFormat = ('subtitlesFormat' in details) ? details.subtitlesFormat : settings.video.subtitles.format;
+    const selection = this.getSelection(Object.fromEntries(['audio', 'subtitles']
+      .filter(kind => Array.isArray(details[kind]))
+      .map(kind => [kind, details[kind]])));
     details = Object.assign({}, entryHandler.download.details, {
       auto: details.auto
     });
 
+    // DRM protected streams would only produce undecipherable files.
+    const protection = (this.hls?.protection || []).concat(...selection.audioTracks.map(track => track.stream.protection || []));
+    if (protection.length) {
+      this.webext.notify({
+        title: 'Cannot download protected stream',
+        level: 'error',
+        message: `${details.file}\nProtection: ${[...new Set(protection)].join(', ')}`
+      });
+      return;
+    }
+
     // We get side contents (HLS keys and subtitles, if any) to pass them to the
     // download application, which then only needs to download the HLS stream
     // playlist segments.
     // If we fail these, fail the download.
 
-    // Get subtitles if needed.
-    if (details.subtitle && !details.subtitle.raw) {
-      try {
-        const response = await this.webext.fetch({
-          resource: details.subtitle.url,
-          options: {
-            referrer: details.referrer,
-            headers: this.newRequestHeaders
-          }, params: {
-            debug: settings.trace.video,
-            wantText: true
-          }
-        });
-        if (response.ok) {
-          details.subtitle.raw = response.text;
-        } else {
-          this.webext.notify({
-            title: 'Failed to download subtitles',
-            level: 'error',
-            message: `${details.subtitle.filename}\n${details.subtitle.url}`,
-            error: response
-          });
-          return;
-        }
-      } catch (error) {
-        this.webext.notify({
-          title: 'Failed to download subtitles',
-          level: 'error',
-          message: `${details.subtitle.filename}\n${details.subtitle.url}`,
-          error
-        });
-        return;
+    // Get subtitles, joining segmented ones and converting them if needed.
+    if (selection.subtitles.length) {
+      details.subtitles = [];
+      for (let subtitle of selection.subtitles) {
+        if (!await this.downloadSubtitle(subtitle, details.referrer)) return;
+        subtitle = await this.convertSubtitle(subtitle, details.referrer, subtitlesFormat);
+        if (!subtitle) return;
+        details.subtitles.push(subtitle);
       }
     }
 
+    // Pass HLS stream(s) as array: the video stream, then the selected audio
+    // tracks.
     // Get key(s) if needed.
-    if (!await this.downloadHLSKeys(details, 'hls')) return;
-    if (!await this.downloadHLSKeys(details, 'audio')) return;
+    if (details.hls) {
+      const hls = [Object.assign({}, details.hls)];
+      if (!await this.downloadHLSKeys(hls[0], this.hls, details.referrer)) return;
+      for (const track of selection.audioTracks) {
+        const audio = {
+          raw: track.stream.raw,
+          url: track.url,
+          name: track.name,
+          lang: track.lang
+        };
+        if (!await this.downloadHLSKeys(audio, track.stream, details.referrer)) return;
+        hls.push(audio);
+      }
+      details.hls = hls;
+    }
+
+    // For live streams, let the download application know where to start
+    // recording from.
+    if (this.hls?.live) {
+      details.live = {
+        event: this.hls.live.event,
+        start: settings.video.hls.liveStart,
+        window: this.hls.live.window
+      };
+    }
 
     // For HLS, pass headers too.
     if (details.hls && !details.headers) {
@@ -716,30 +860,112 @@ export class VideoSource {
       }
     }
 
-    // Pass HLS stream(s) as array.
-    if (details.hls) {
-      const hls = [details.hls];
-      if (details.audio) {
-        hls.push(details.audio);
-        delete(details.audio);
+    await dlMngr.download(details, Object.assign({}, entryHandler.download.params, {
+      origin: constants.DL_ORIGIN_VIDEO
+    }));
+  }
+
+  // Gets subtitle content if needed.
+  async downloadSubtitle(subtitle, referrer) {
+    if (subtitle.raw) return true;
+    try {
+      const response = await this.webext.fetch({
+        resource: subtitle.url,
+        options: {
+          referrer,
+          headers: this.newRequestHeaders
+        }, params: {
+          debug: settings.trace.video,
+          wantText: true
+        }
+      });
+      if (response.ok) {
+        subtitle.raw = response.text;
+        return true;
       }
-      details.hls = hls;
+      this.webext.notify({
+        title: 'Failed to download subtitles',
+        level: 'error',
+        message: `${subtitle.filename}\n${subtitle.url}`,
+        error: response
+      });
+    } catch (error) {
+      this.webext.notify({
+        title: 'Failed to download subtitles',
+        level: 'error',
+        message: `${subtitle.filename}\n${subtitle.url}`,
+        error
+      });
+    }
+    return false;
+  }
+
+  // Gets subtitle to download, in the requested format (if any).
+  // Segmented subtitles (HLS playlist) are joined.
+  // Original subtitle is left untouched: a new one is returned when content
+  // changed.
+  async convertSubtitle(subtitle, referrer, format) {
+    try {
+      let contents = [subtitle.raw];
+      if (subtitles.detectFormat(subtitle.raw) === subtitles.FORMAT_HLS) {
+        contents = await this.downloadSubtitleSegments(subtitle, referrer);
+      }
+      const converted = subtitles.convert(contents, format);
+      if (converted.raw === subtitle.raw) return subtitle;
+      if (settings.debug.video) console.log(`Converted subtitles url=<${subtitle.url}> segments=<${contents.length}> to format=<${converted.format}>`);
+      return Object.assign({}, subtitle, {
+        raw: converted.raw,
+        filename: util.filenameWithExtension(subtitle.filename, converted.format)
+      });
+    } catch (error) {
+      this.webext.notify({
+        title: 'Failed to convert subtitles',
+        level: 'error',
+        message: `${subtitle.filename}\n${subtitle.url}`,
+        error
+      });
     }
+  }
 
-    await dlMngr.download(details, entryHandler.download.params);
+  async downloadSubtitleSegments(subtitle, referrer) {
+    const playlist = new hls.HLSPlaylist(subtitle.raw, {
+      url: subtitle.url,
+      debug: settings.debug.video
+    });
+    const stream = playlist.isStream();
+    if (!stream) throw new Error('Subtitles playlist has no segment');
+    const contents = [];
+    for (const tag of stream.getTags('EXTINF')) {
+      const url = new URL(tag.uri, subtitle.url).href;
+      const response = await this.webext.fetch({
+        resource: url,
+        options: {
+          referrer,
+          headers: this.newRequestHeaders
+        }, params: {
+          debug: settings.trace.video,
+          wantText: true
+        }
+      });
+      if (!response.ok) throw new Error(`Failed to download subtitles segment url=<${url}> status=<${response.status}>`);
+      contents.push(response.text);
+    }
+    return contents;
   }
 
-  async downloadHLSKeys(details, field) {
-    const hlsKeys = this[field]?.getKeys();
+  // Gets stream key(s) if needed, and set them in target download details.
+  async downloadHLSKeys(target, stream, referrer) {
+    const hlsKeys = stream?.getKeys();
     if (hlsKeys) {
-      details[field].keys = hlsKeys;
+      target.keys = hlsKeys;
       for (const key of hlsKeys) {
-        if (!key.url || key.raw) continue;
+        // DRM keys cannot be used: don't even fetch them.
+        if (!key.usable || !key.url || key.raw) continue;
         try {
           const response = await this.webext.fetch({
             resource: key.url,
             options: {
-              referrer: details.referrer,
+              referrer,
               headers: this.newRequestHeaders
             }, params: {
               debug: settings.trace.video,
@@ -800,10 +1026,7 @@ export class VideoSource {
   async removeMenuEntry() {
     // First remove our group.
     await this.menuGroup.remove();
-    // Then remove every menu entry we know.
-    for (const entryHandler of this.subtitleEntries) {
-      await entryHandler.removeMenuEntry();
-    }
+    // Then remove our menu entry.
     await this.entryHandler.removeMenuEntry();
   }
 
@@ -817,8 +1040,9 @@ export class VideoSource {
 // once source is added.
 //
 // Notes:
-// Since we intercept 'media' requests, we may also receive audio streaming
-// requests, which we need to exclude/ignore when possible.
+// Since we intercept 'media' requests, we also receive audio streaming
+// requests: audio-only sources are handled too (unless disabled), and flagged
+// as such.
 //
 // Everything is cleared when tab is removed, and we don't expect to have too
 // much activity and buffered requests. Doing some passive janitoring when
@@ -1050,6 +1274,38 @@ class VideoSourceTabHandler {
     });
   }
 
+  // Sorts sources according to the quality profile, and marks the best match.
+  // Sources are refreshed when applicable (or forced), and menu entries are
+  // reordered.
+  async sortSources(refresh) {
+    const profile = getQualityProfile();
+    const sources = this.sources = profile.sort(this.sources);
+    const best = profile.findBest(sources);
+    for (const source of sources) {
+      if (refresh) source.needRefresh = true;
+      source.setBest(source === best);
+      await source.refresh();
+    }
+    if (this.tabHandler.isFocused()) await this.menuHandler.reorderEntries(...sources.map(source => source.menuGroup));
+  }
+
+  // Removes (and ignores) sources matching the ignore list.
+  async applyIgnoreList() {
+    const downloadIds = new Set();
+    for (const source of this.sources) {
+      const ignored = this.parent.ignoreList.check({
+        url: source.url,
+        duration: source.hls?.duration,
+        live: !!source.hls?.live,
+        size: source.size
+      });
+      if (!ignored) continue;
+      if (settings.debug.video) console.log(`Tab=<${this.tabHandler.id}> video source id=<${source.id}> url=<${source.url}> now ignored: ${ignored}`);
+      downloadIds.add(source.entryHandler.downloadId);
+    }
+    if (downloadIds.size) await this.removeSources(downloadIds, true);
+  }
+
   findSource(url, update) {
     for (const source of this.sources) {
       if (source.hasUrl(url)) {
@@ -1193,6 +1449,12 @@ class VideoSourceTabHandler {
 
     // Add HLS streams as sources.
     for (const stream of playlist.streams) {
+      // Don't bother with streams in the ignore list.
+      const ignored = this.parent.ignoreList.check({url: stream.getURL().href});
+      if (ignored) {
+        if (settings.debug.video) console.log(`Ignoring HLS stream playlist=<${stream.getURL().href}>: ${ignored}`);
+        continue;
+      }
       const subtitles = [];
 
       for (const track of stream.audio.concat(stream.subtitles)) {
@@ -1206,15 +1468,12 @@ class VideoSourceTabHandler {
         }
       }
 
-      let audio;
+      // Gather all audio tracks: they are selected upon downloading.
+      const audioTracks = [];
       for (const track of stream.audio) {
         if (!track.uri) continue;
         const url = track.getURL().href;
 
-        if (audio) {
-          console.warn(`Ignoring external HLS audio track url=<${url}>: another track was already used`);
-          continue;
-        }
         const contentType = new http.ContentType();
         contentType.guess(util.getFilename(url));
         if (contentType.isHLS()) {
@@ -1237,7 +1496,15 @@ class VideoSourceTabHandler {
             const actualStream = playlistStream.isStream();
             if (actualStream) {
               console.log(`Using external HLS stream audio track playlist=<${url}>`);
-              audio = actualStream;
+              if (settings.video.hls.analyze) actualStream.analyze();
+              audioTracks.push({
+                url,
+                name: track.name,
+                lang: track.lang,
+                codecs: track.codecs,
+                default: track.default,
+                stream: actualStream
+              });
             } else {
               console.log(`HLS stream audio url=<${url}> could have been another HLS stream but does not appear to be`);
             }
@@ -1286,7 +1553,8 @@ class VideoSourceTabHandler {
                 url = uri;
                 this.discardUrl(url);
               } else {
-                console.log(`HLS stream subtitles url=<${url}> is actually another HLS stream we do not handle`);
+                // Segmented subtitles are joined upon downloading.
+                console.log(`HLS stream subtitles url=<${url}> are segmented`);
                 raw = content;
               }
             } else {
@@ -1350,6 +1618,8 @@ class VideoSourceTabHandler {
             continue;
           }
           stream.merge(actualStream);
+          // Deep analysis, now that we have the media playlist.
+          if (settings.video.hls.analyze) stream.analyze();
         } else {
           console.log(`Failed to fetch HLS stream url=<${url}> content:`, response);
           continue;
@@ -1370,7 +1640,7 @@ class VideoSourceTabHandler {
         newRequestHeaders: newRequestHeaders,
         mimeType: requestDetails.contentType.mimeType,
         hls: stream,
-        audio,
+        audioTracks,
         subtitles,
         windowId: this.tabHandler.windowId,
         tabId: this.tabHandler.id,
@@ -1390,6 +1660,7 @@ class VideoSourceTabHandler {
       if (this.findSource(url, update)) {
         console.log(`Ignoring HLS stream playlist=<${url}>: already known`);
       } else {
+        if (settings.video.hls.analyze) stream.analyze();
         await this.addSource({
           url: url,
           originUrl: requestDetails.originUrl,
@@ -1409,6 +1680,137 @@ class VideoSourceTabHandler {
     return playlist;
   }
 
+  async checkDASH(requestDetails) {
+    if (!settings.video.dash.intercept) return;
+    // Wait for actual response.
+    if (requestDetails.isRedirection()) return;
+
+    const isDASH = requestDetails.contentType.isDASH();
+    const maybeDASH = !isDASH && requestDetails.contentType.maybeDASH(requestDetails.actualFilename);
+    if (!isDASH && !maybeDASH) return;
+
+    if (requestDetails.contentLength >= constants.DASH_SIZE_LIMIT) {
+      if (settings.debug.video) console.log(`Ignoring dash url=<${requestDetails.url}> content size=<${requestDetails.contentLength}> above limit:`, requestDetails);
+      return;
+    }
+
+    let manifest;
+    const newRequestHeaders = requestDetails.newRequestHeaders();
+    try {
+      // See 'checkHLS': do the same request, through the native application.
+      const response = await this.webext.fetch({
+        resource: requestDetails.url,
+        options: {
+          referrer: requestDetails.referrer,
+          headers: newRequestHeaders
+        }, params: {
+          debug: settings.trace.video,
+          wantText: true
+        }
+      });
+      if (response.ok) {
+        const contentLength = response.text.length;
+        if (contentLength >= constants.DASH_SIZE_LIMIT) {
+          if (settings.debug.video) console.log(`Ignoring dash url=<${requestDetails.url}> content size=<${contentLength}> above limit:`, requestDetails);
+          return;
+        }
+        manifest = new dash.DASHManifest(response.text, {
+          url: requestDetails.url,
+          debug: settings.debug.video
+        });
+      } else {
+        console.log(`Failed to fetch possibly DASH url=<${requestDetails.url}> content:`, response);
+      }
+    } catch (error) {
+      console.log(`Failed to fetch possibly DASH url=<${requestDetails.url}> content:`, error);
+    }
+
+    if (!manifest?.periods.length) {
+      if (settings.debug.video) console.log(`Ignoring actually non-dash url=<${requestDetails.url}>`);
+      return;
+    }
+
+    if (settings.debug.video) console.log('Found DASH manifest:', manifest, requestDetails);
+    // As for HLS master playlist, we don't need to process anything else.
+    this.discardUrl(manifest.url);
+    if (!manifest.streams.length) {
+      console.log(`No usable stream found in DASH manifest=<${manifest.url}>`);
+      return manifest;
+    }
+
+    // Add DASH streams as sources.
+    // Manifest already contains everything we need, except for (non-segmented)
+    // subtitles which are downloaded when needed.
+    let subtitles;
+    for (const stream of manifest.streams) {
+      // Tracks were built for the same manifest, and do not need to be
+      // processed again: they are selected upon downloading.
+      const audioTracks = stream.audio.filter(track => track.raw).map(track => ({
+        url: track.getURL().href,
+        name: track.name,
+        lang: track.lang,
+        codecs: track.codecs,
+        default: !!track.main,
+        stream: track
+      }));
+
+      // Subtitles are shared by all streams: determine them once.
+      if (!subtitles) {
+        subtitles = [];
+        for (const track of stream.subtitles) {
+          if (track.segmented) {
+            console.log(`Ignoring DASH segmented subtitles lang=<${track.lang}> name=<${track.name}>: not handled`);
+            continue;
+          }
+          // Do nothing else if disabled.
+          if (!settings.video.subtitles.intercept) continue;
+          const url = track.getURL().href;
+          this.discardUrl(url);
+          const subtitle = {
+            name: track.name,
+            lang: track.lang,
+            url,
+            filename: util.getFilename(url)
+          };
+          const scriptParams = {
+            params: {
+              videoHandler: this,
+              requestDetails,
+              dashManifest: manifest,
+              subtitle
+            }
+          };
+          await this.subtitlesRefining.execute(scriptParams);
+
+          subtitles.push(subtitle);
+        }
+      }
+
+      const url = stream.getURL().href;
+      if (this.removeSource(url) && settings.debug.video) {
+        console.log(`DASH stream=<${url}> was previously received and will be replaced`);
+      }
+
+      await this.addSource({
+        url: url,
+        originUrl: requestDetails.originUrl,
+        referrer: requestDetails.referrer,
+        newRequestHeaders: newRequestHeaders,
+        mimeType: requestDetails.contentType.mimeType,
+        hls: stream,
+        audioTracks,
+        // Each source needs its own subtitles.
+        subtitles: structuredClone(subtitles),
+        windowId: this.tabHandler.windowId,
+        tabId: this.tabHandler.id,
+        tabUrl: this.tabHandler.url,
+        frameId: requestDetails.received.frameId
+      });
+    }
+
+    return manifest;
+  }
+
   async download(details, downloadDetails) {
     for (const source of this.sources) {
       for (const entryHandler of source.downloadEntries) {
@@ -1419,6 +1821,30 @@ class VideoSourceTabHandler {
     }
   }
 
+  // Downloads the best source.
+  // Sources being sorted, this is the first one.
+  async downloadBest(downloadDetails) {
+    const source = this.sources[0];
+    if (!source) return;
+    return await source.download(source.entryHandler, downloadDetails);
+  }
+
+  // Removes sources matching the given download ids.
+  // When ignoring, sources urls are also ignored from now on (until tab reset).
+  async removeSources(downloadIds, ignore) {
+    const removed = this.sources.filter(source => source.downloadEntries.some(entryHandler => downloadIds.has(entryHandler.downloadId)));
+    if (!removed.length) return;
+    this.sources = this.sources.filter(source => !removed.includes(source));
+    for (const source of removed) {
+      if (settings.debug.video) console.log(`${ignore ? 'Ignoring' : 'Removing'} tab=<${this.tabHandler.id}> video source id=<${source.id}> url=<${source.url}>`);
+      if (ignore) this.ignoreUrls(source.getUrls());
+      await source.remove();
+    }
+    // Best match may have changed.
+    await this.sortSources();
+    this.updateVideos();
+  }
+
   async addSource(details) {
     const tabId = details.tabId;
     const frameId = details.frameId;
@@ -1439,11 +1865,25 @@ class VideoSourceTabHandler {
     if ((details.tabUrl !== tabHandler.url) && (!details.sender || !details.sender.live)) return this.ignoreDownload(details, 'Tab URL mismatch');
     // Ignore urls that we can't download.
     if (!http.canDownload(url)) return this.ignoreDownload(details, 'URL not handled');
+    // Ignore sources in the ignore list.
+    const ignored = this.parent.ignoreList.check({
+      url,
+      duration: details.hls?.duration,
+      live: !!details.hls?.live
+    });
+    if (ignored) return this.ignoreDownload(details, ignored);
     // Ignore apparent content types that we don't want to download.
     const contentType = new http.ContentType();
     contentType.guess(util.getFilename(url));
     const reason = checkVideoContentType(contentType);
     if (reason) return this.ignoreDownload(details, reason);
+    // Flag audio-only sources: '<audio>' elements (determined by the content
+    // script), audio content types and audio-only streams.
+    // Notes:
+    // Unless audio interception is enabled, '<audio>' elements are not
+    // observed, and audio content types are ignored (as noise) above; but
+    // audio-only streams are still listed, as they always were.
+    if (isAudioSource(contentType, details.hls)) details.audioOnly = true;
 
     details.mimeType = contentType.mimeType;
     details.tabTitle = tabHandler.title;
@@ -1455,11 +1895,14 @@ class VideoSourceTabHandler {
     // Except when source is HLS: we already did process what was needed.
     const buffered = this.getBufferedRequests(url, true);
     if (buffered && !details.hls) await buffered.replay(this);
+    // Source may have been ignored upon replaying.
+    if (source.removed) return;
 
-    // Refresh source, then when applicable add menu entry and trigger videos
-    // update.
+    // Refresh source, then when applicable add menu entry, sort sources and
+    // trigger videos update.
     await source.refresh();
     if (tabHandler.isFocused()) await source.addMenuEntry();
+    await this.sortSources();
     this.updateVideos();
   }
 
@@ -1493,6 +1936,16 @@ class VideoSourceTabHandler {
     this.updateVideos();
   }
 
+  // Sets source thumbnail, captured once the video has data.
+  addThumbnail(details) {
+    const source = this.findSource(details.url);
+    if (!source) {
+      if (settings.debug.video) console.log(`Not adding unknown tab=<${details.tabId}> frame=<${details.frameId}> video url=<${details.url}> thumbnail`);
+      return;
+    }
+    if (source.setThumbnail(details.thumbnail)) this.updateVideos();
+  }
+
   async onRequest(request) {
     if (!await this.canInterceptVideo()) return;
 
@@ -1538,6 +1991,13 @@ class VideoSourceTabHandler {
       this.ignoreUrl(location);
       return;
     }
+    // Ignore URLs in the ignore list (and actual url if any).
+    const ignored = this.parent.ignoreList.check({url});
+    if (ignored) {
+      this.ignoreDownload(response, ignored);
+      this.ignoreUrl(location);
+      return;
+    }
 
     const requestDetails = this.requestsHandler.addResponse(response);
     requestDetails.parseResponse();
@@ -1548,13 +2008,15 @@ class VideoSourceTabHandler {
         videoHandler: this,
         videoSource: source,
         requestDetails,
-        hlsPlaylist: undefined
+        hlsPlaylist: undefined,
+        dashManifest: undefined
       }
     };
     if (!source) {
-      // Check for possible HLS or subtitle content.
+      // Check for possible HLS, DASH or subtitle content.
       const playlist = await this.checkHLS(requestDetails);
-      let skip = !!playlist;
+      const manifest = !playlist ? await this.checkDASH(requestDetails) : undefined;
+      let skip = !!playlist || !!manifest;
       if (!skip && settings.video.subtitles.intercept && requestDetails.contentType.isSubtitle()) {
         if (settings.trace.video) console.log('Received subtitle response:', requestDetails);
 
@@ -1589,13 +2051,14 @@ class VideoSourceTabHandler {
 
       if (!skip && settings.trace.video) console.log('Received non-skipped response:', requestDetails);
       scriptParams.params.hlsPlaylist = playlist;
+      scriptParams.params.dashManifest = manifest;
       await this.responseRefining.execute(scriptParams);
 
       // Pair intercepted subtitles when applicable.
-      if (playlist && settings.video.subtitles.intercept) await this.pairSubtitles();
+      if ((playlist || manifest) && settings.video.subtitles.intercept) await this.pairSubtitles();
 
       // We also intercept XMLHttpRequest, but we usually don't want them other
-      // than to detect HLS: these are expected to be done by site script, e.g.
+      // than to detect HLS/DASH: these are expected to be done by site script, e.g.
       // to get server information, or the player which is streaming.
       // So don't buffer these type of requests.
       if (!skip) skip = requestDetails.type === 'xmlhttprequest';
@@ -1650,6 +2113,14 @@ class VideoSourceTabHandler {
     // and ignore content types we don't want to download.
     const reason = checkVideoContentType(requestDetails.contentType);
     if (reason) return this.ignoreDownload(source, response, reason);
+    if (requestDetails.contentType.isAudio()) source.setAudioOnly();
+    // Now that size is known, check the ignore list again.
+    const ignoredSize = this.parent.ignoreList.check({size: source.size});
+    if (ignoredSize) {
+      this.ignoreDownload(source, response, ignoredSize);
+      await this.removeSources(new Set([source.entryHandler.downloadId]));
+      return;
+    }
 
     // Keep ETag if any.
     source.etag = http.findHeaderValue(response.responseHeaders, 'ETag');
@@ -1714,6 +2185,8 @@ export class VideoSourceHandler {
     self.webext = webext;
     self.tabsHandler = tabsHandler;
     self.menuHandler = menuHandler;
+    // Let menu handler export our sources.
+    menuHandler.videoSourceHandler = self;
     // Buffered requests, per tab frame.
     self.bufferedRequests = {};
 
@@ -1729,10 +2202,32 @@ export class VideoSourceHandler {
     settings.video.inner.intercept.addListener((setting, oldValue, newValue) => {
       self.setupInterception();
     });
+    // Listen changes in ignore list.
+    settings.video.inner.ignore.addListener((setting, oldValue, newValue) => {
+      self.setupIgnoreList();
+      self.applyIgnoreList();
+    });
+    self.setupIgnoreList();
+    // Listen changes in quality profile to sort sources again.
+    for (const key of ['maxHeight', 'maxBandwidth', 'codecs', 'audioLang']) {
+      settings.video.quality.inner[key].addListener((setting, oldValue, newValue) => {
+        self.sortSources();
+      });
+    }
     self.setupInterception();
     tabsHandler.addObserver(self);
   }
 
+  setupIgnoreList() {
+    try {
+      this.ignoreList = new videoIgnore.VideoIgnoreList(settings.video.ignore);
+    } catch (error) {
+      // Should not happen since list is validated before being saved.
+      console.error('Invalid video ignore list:', error);
+      this.ignoreList = new videoIgnore.VideoIgnoreList();
+    }
+  }
+
   getBufferedRequests(tabId, frameId, remove) {
     let buffered = this.bufferedRequests[tabId];
     if (!buffered) {
@@ -1778,6 +2273,108 @@ export class VideoSourceHandler {
     return sources.map(source => source.forMessage());
   }
 
+  // Gets sources of all tabs (that have any), grouped by tab.
+  getAllTabsSources() {
+    const r = [];
+    for (const tabHandler of Object.values(this.tabsHandler.tabs)) {
+      const handler = tabHandler.extensionProperties.get({key: TAB_EXTENSION_PROPERTY});
+      if (!handler?.sources.length) continue;
+      r.push(this.getTabSources(tabHandler, handler.sources));
+    }
+    return r;
+  }
+
+  // Gets sources of a tab, along with the tab details.
+  getTabSources(tabHandler, sources) {
+    return {
+      windowId: tabHandler.windowId,
+      tabId: tabHandler.id,
+      title: tabHandler.title,
+      url: tabHandler.url,
+      sources: this.getSources(tabHandler, sources)
+    };
+  }
+
+  // Removes (and optionally ignores) sources.
+  // Sources are identified by their tab and download id.
+  async removeSources(sources, ignore) {
+    const perTab = {};
+    for (const source of sources) {
+      perTab[source.tabId] ||= new Set();
+      perTab[source.tabId].add(source.downloadId);
+    }
+    for (const [tabId, downloadIds] of Object.entries(perTab)) {
+      const tabHandler = this.tabsHandler.tabs[tabId];
+      const handler = tabHandler?.extensionProperties.get({key: TAB_EXTENSION_PROPERTY});
+      if (!handler) continue;
+      await handler.removeSources(downloadIds, ignore);
+    }
+  }
+
+  // Applies the ignore list to sources of all tabs.
+  async applyIgnoreList() {
+    for (const tabHandler of Object.values(this.tabsHandler.tabs)) {
+      const handler = tabHandler.extensionProperties.get({key: TAB_EXTENSION_PROPERTY});
+      if (!handler) continue;
+      await handler.applyIgnoreList();
+    }
+  }
+
+  // Adds a source URL pattern, or its host, to the ignore list.
+  // Matching sources are removed once the list is updated.
+  async addToIgnoreList(url, host) {
+    const field = host ? 'hosts' : 'urls';
+    const pattern = host ? new URL(url).hostname : videoIgnore.getUrlPattern(url);
+    const list = videoIgnore.addPattern(settings.video.ignore, field, pattern);
+    if (!list) return;
+    if (settings.debug.video) console.log(`Adding ignore list ${field} pattern=<${pattern}>`);
+    await settings.video.inner.ignore.setValue(list);
+    // Note: setting listeners are only notified of changes done elsewhere.
+    this.setupIgnoreList();
+    await this.applyIgnoreList();
+  }
+
+  // Sorts sources of all tabs.
+  async sortSources() {
+    for (const tabHandler of Object.values(this.tabsHandler.tabs)) {
+      const handler = tabHandler.extensionProperties.get({key: TAB_EXTENSION_PROPERTY});
+      if (!handler) continue;
+      // Force refreshing: default audio track selection may have changed.
+      await handler.sortSources(true);
+      handler.updateVideos();
+    }
+  }
+
+  // Exports sources of the focused (or all) tab(s) to file.
+  async exportSources(format, allTabs) {
+    const tabHandlers = allTabs ? Object.values(this.tabsHandler.tabs) : [this.tabsHandler.focusedTab.handler];
+    const sources = [];
+    for (const tabHandler of tabHandlers) {
+      const handler = tabHandler?.extensionProperties.get({key: TAB_EXTENSION_PROPERTY});
+      if (!handler) continue;
+      sources.push(...handler.sources.filter(source => source.entryHandler.download).map(source => source.forExport()));
+    }
+    if (!sources.length) {
+      this.webext.notify({
+        title: 'No video to export',
+        level: 'warn'
+      });
+      return;
+    }
+    if (!videoExport.formats.has(format)) format = videoExport.FORMAT_M3U;
+    const details = videoExport.formatsDetails[format];
+    await saveExport(this.webext, videoExport.formatSources(sources, format), `videos.${details.extension}`, details.mimeType);
+  }
+
+  // Downloads the best source of the given (or focused) tab.
+  async downloadBest(tabHandler, downloadDetails) {
+    tabHandler = tabHandler || this.tabsHandler.focusedTab.handler;
+    if (!tabHandler) return;
+    const handler = tabHandler.extensionProperties.get({key: TAB_EXTENSION_PROPERTY});
+    if (!handler) return;
+    return await handler.downloadBest(downloadDetails);
+  }
+
   async download(details, downloadDetails) {
     const { handler } = this.getTabHandler(details, false);
     if (!handler) {
@@ -1824,6 +2421,18 @@ export class VideoSourceHandler {
     return await handler.addSubtitles(details);
   }
 
+  addThumbnail(details) {
+    details.url = util.normalizeUrl(details.url, settings.debug.video, 'video source');
+
+    const { handler } = this.getTabHandler(details, true);
+    if (!handler) {
+      if (settings.debug.video) console.log(`Not handling tab=<${details.tabId}> frame=<${details.frameId}> csUuid=<${details.csUuid}> video url=<${details.url}> thumbnail: Unknown tab frame`);
+      return;
+    }
+
+    return handler.addThumbnail(details);
+  }
+
   setupInterception() {
     // Check whether we now need to intercept anything
     const interceptVideo = settings.video.intercept;
@@ -21,6 +21,12 @@ async function onMessage(extension, msg, sender) {
     case constants.KIND_DL_UPDATE_VIDEOS:
       return dl_updateVideos(msg.sources);
 
+    case constants.KIND_DL_UPDATE_QUEUE:
+      return dl_updateQueue(msg.entries);
+
+    case constants.KIND_DL_UPDATE_HISTORY:
+      return dl_updateHistory();
+
     case constants.KIND_EXT_MESSAGE:
       return ext_addMessage(msg);
 
@@ -66,7 +72,10 @@ async function dl_updateVideos(sources, showTab) {
   videosNode.querySelectorAll(':scope > .list-item').forEach(node => {
     node.remove();
   });
-  if (!sources || !Array.isArray(sources) || !sources.length) {
+  await settings.ready;
+  const hasSources = sources && Array.isArray(sources) && sources.length;
+  videosBestNode.classList.toggle('hidden', !hasSources || !settings.video.quality.downloadBest);
+  if (!hasSources) {
     videosItemNode.classList.toggle('badge', false);
     videosItemNode.removeAttribute('data-badge');
     return;
@@ -81,6 +90,53 @@ async function dl_updateVideos(sources, showTab) {
   if (showTab) document.querySelector('#tab-item-videos').click();
 }
 
+async function dl_updateQueue(entries) {
+  // Get entries if not given.
+  if (!entries) {
+    entries = await webext.sendMessage({
+      _routing: {
+        target: constants.TARGET_BACKGROUND_PAGE,
+        kind: constants.KIND_GET_DL_QUEUE
+      }
+    });
+  }
+  queueNode.querySelectorAll(':scope > .list-item').forEach(node => {
+    node.remove();
+  });
+  if (!entries || !Array.isArray(entries)) entries = [];
+  for (const entry of entries) {
+    setupQueueEntry(entry);
+  }
+  const count = entries.length;
+  if (count) queueItemNode.setAttribute('data-badge', count);
+  else queueItemNode.removeAttribute('data-badge');
+  queueItemNode.classList.toggle('badge', count > 0);
+  queueNode.classList.toggle('hidden', count === 0);
+}
+
+// Searches and displays downloads history.
+// Note: we are notified when history changes, so that we refresh the current
+// search results.
+async function dl_updateHistory() {
+  const search = historySearchNode.value;
+  const entries = await webext.sendMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_GET_DL_HISTORY
+    },
+    search
+  });
+  // Ignore results if search changed in the meantime.
+  if (search !== historySearchNode.value) return;
+  historyNode.querySelectorAll(':scope > .list-item').forEach(node => {
+    node.remove();
+  });
+  if (!entries || !Array.isArray(entries)) return;
+  for (const entry of entries) {
+    setupHistoryEntry(entry);
+  }
+}
+
 const TEXT_LIMIT_TOOLTIP = 120;
 const TEXT_LIMIT_POPUP = 400;
 
@@ -93,6 +149,7 @@ class PopupHandler {
     this.title = util.textToHtml(title);
     this.subtitle = [];
     this.clipboard = [];
+    this.thumbnail = undefined;
 
     this.clipboard.push(title);
 
@@ -114,6 +171,11 @@ class PopupHandler {
     this.clipboard.push('---');
   }
 
+  // Sets thumbnail (image data URL) to display above the details.
+  setThumbnail(thumbnail) {
+    this.thumbnail = thumbnail;
+  }
+
   _setup() {
     const self = this;
 
@@ -145,7 +207,8 @@ class PopupHandler {
         action: 'show',
         data: {
           title: self.title,
-          subtitle: self.subtitle.join('')
+          subtitle: self.subtitle.join(''),
+          thumbnail: self.thumbnail
         },
         pos
       });
@@ -159,8 +222,14 @@ function setupDownloadEntry(source, download) {
   const node = cloneNode(listItemNode);
   node.classList.add('clickable');
 
-  const audio = download.details.audio;
-  const videoSubtitle = download.details.subtitle;
+  // Audio tracks (HLS/DASH) and subtitles to download can be selected; start
+  // with the default selection.
+  const audioTracks = source.audioTracks || [];
+  const subtitles = source.subtitles || [];
+  const selection = {
+    audio: new Set(source.selection?.audio),
+    subtitles: new Set(source.selection?.subtitles)
+  };
   let subtitle = [];
   const tooltip = [];
 
@@ -170,6 +239,15 @@ function setupDownloadEntry(source, download) {
 
   const popupHandler = new PopupHandler(node, name);
 
+  // Show thumbnail if captured.
+  if (source.thumbnail) {
+    const img = document.createElement('img');
+    img.classList.add('list-item-thumbnail');
+    img.src = source.thumbnail;
+    node.querySelector('.icon').appendChild(img);
+    popupHandler.setThumbnail(source.thumbnail);
+  }
+
   // Use source size, and extension (unless HLS).
   // Note: for HLS we may have information only in download details, but for
   // direct download, we also have the size in the source.
@@ -184,41 +262,89 @@ function setupDownloadEntry(source, download) {
     subtitle.push(s);
     popupHandler.pushLine(util.textToHtml(`Size (hint): ${s}`));
   }
-  const hasHLSKey = !!source.hls?.tags?.['EXT-X-KEY'];
+  // DASH streams are handled as HLS, with extra DASH information.
+  const dash = source.hls?.dash;
+  const isProtected = !!source.hls?.protection;
+  // Encryption methods, other than DRM.
+  const hlsKeyMethods = new Set((source.hls?.tags?.['EXT-X-KEY'] || [])
+    .filter(tag => !tag.attributes['KEYFORMAT'] || (tag.attributes['KEYFORMAT'] === 'identity'))
+    .map(tag => tag.attributes['METHOD'])
+    .filter(method => method && (method !== 'NONE')));
+  const hasHLSKey = !!hlsKeyMethods.size;
+  const streamKind = dash ? 'DASH' : 'HLS';
+  // Audio-only sources are marked as such instead of video.
+  const streamMarker = source.audioOnly ? codecs.STREAM_KIND_AUDIO : codecs.STREAM_KIND_VIDEO;
+  if (source.best) {
+    subtitle.unshift('⭐');
+    popupHandler.pushLine(util.textToHtml('⭐Best match for quality profile'));
+  }
   if (source.hls) {
-    let s = codecs.STREAM_KIND_VIDEO;
+    let s = streamMarker;
     if (hasHLSKey) s += '🔑';
-    if (audio) s += codecs.STREAM_KIND_AUDIO;
+    if (isProtected) s += '🔒';
+    if (source.live) s += '🔴';
+    if (audioTracks.length) s += codecs.STREAM_KIND_AUDIO;
     s += source.hls.name;
     subtitle.push(s);
     const tag = source.hls.tag;
     if (source.hls.codecs) {
       const descs = source.hls.codecs.split(',').map(v => codecs.StreamCodec.parse(v.trim()).desc()).join(', ');
-      popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_VIDEO}HLS codecs: ${descs}`));
+      popupHandler.pushLine(util.textToHtml(`${streamMarker}${streamKind} codecs: ${descs}`));
     }
-    if (tag?.attributes['RESOLUTION']) popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_VIDEO}HLS resolution: ${tag.attributes['RESOLUTION'].width}x${tag.attributes['RESOLUTION'].height}`));
-    if (tag?.attributes['FRAME-RATE']) popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_VIDEO}HLS framerate: ${tag.attributes['FRAME-RATE']}`));
-    if (source.hls.duration) popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_VIDEO}HLS duration: ${util.getTimeText(source.hls.duration)} (${source.hls.duration})`));
-    if (tag?.attributes['AVERAGE-BANDWIDTH']) popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_VIDEO}HLS average bandwidth: ≈${util.getSizeText(tag.attributes['AVERAGE-BANDWIDTH'])}bps`));
-    if (tag?.attributes['BANDWIDTH']) popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_VIDEO}HLS bandwidth: ≤${util.getSizeText(tag.attributes['BANDWIDTH'])}bps`));
-    popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_VIDEO}HLS name: ${source.hls.name}`));
-  } else {
-    if (extension) {
-      subtitle.push(extension);
-      popupHandler.pushLine(util.textToHtml(`Extension: ${extension}`));
+    if (tag?.attributes['RESOLUTION']) popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS resolution: ${tag.attributes['RESOLUTION'].width}x${tag.attributes['RESOLUTION'].height}`));
+    if (dash?.width && dash?.height) popupHandler.pushLine(util.textToHtml(`${streamMarker}DASH resolution: ${dash.width}x${dash.height}`));
+    if (tag?.attributes['FRAME-RATE']) popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS framerate: ${tag.attributes['FRAME-RATE']}`));
+    if (dash?.frameRate) popupHandler.pushLine(util.textToHtml(`${streamMarker}DASH framerate: ${dash.frameRate}`));
+    if (source.live) {
+      popupHandler.pushLine(util.textToHtml(`${streamMarker}${streamKind} ${source.live.event ? 'event' : 'live'} stream`));
+      if (source.live.window) popupHandler.pushLine(util.textToHtml(`${streamMarker}${streamKind} DVR window: ${util.getTimeText(source.live.window)}`));
     }
+    if (source.hls.duration) popupHandler.pushLine(util.textToHtml(`${streamMarker}${streamKind} duration: ${util.getTimeText(source.hls.duration)} (${source.hls.duration})`));
+    if (tag?.attributes['AVERAGE-BANDWIDTH']) popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS average bandwidth: ≈${util.getSizeText(tag.attributes['AVERAGE-BANDWIDTH'])}bps`));
+    if (tag?.attributes['BANDWIDTH']) popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS bandwidth: ≤${util.getSizeText(tag.attributes['BANDWIDTH'])}bps`));
+    if (dash?.bandwidth) popupHandler.pushLine(util.textToHtml(`${streamMarker}DASH bandwidth: ≤${util.getSizeText(dash.bandwidth)}bps`));
+    if (dash?.segments) popupHandler.pushLine(util.textToHtml(`${streamMarker}DASH segments: ${dash.segments}${(dash.periods > 1) ? ` (${dash.periods} periods)` : ''}`));
+    if (hasHLSKey) popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS encryption: ${[...hlsKeyMethods].join(', ')}`));
+    if (isProtected) popupHandler.pushLine(util.textToHtml(`${streamMarker}${streamKind} protection: ${[...new Set(source.hls.protection)].join(', ')}`));
+    const analysis = source.hls.analysis;
+    if (analysis) {
+      popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS segments: ${analysis.segments}${analysis.maps ? ` (+${analysis.maps} init)` : ''}`));
+      if (analysis.discontinuities) popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS discontinuities: ${analysis.discontinuities}`));
+      if (analysis.size) popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS exact size: ${util.getSizeText(analysis.size)}`));
+      if (analysis.programDateTime) popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS program date: ${analysis.programDateTime.start} → ${analysis.programDateTime.end}`));
+      // Only detail encryption when there is any.
+      if (analysis.keys.some(key => key.method !== 'NONE')) {
+        for (const key of analysis.keys) {
+          const range = (key.first === key.last) ? `${key.first + 1}` : `${key.first + 1}-${key.last + 1}`;
+          popupHandler.pushLine(util.textToHtml(`${streamMarker}HLS segments ${range} encryption: ${key.method}${key.keyFormat ? ` (${key.keyFormat})` : ''}`));
+        }
+      }
+    }
+    popupHandler.pushLine(util.textToHtml(`${streamMarker}${streamKind} name: ${source.hls.name}`));
+  } else {
+    if (extension || source.audioOnly) subtitle.push(`${source.audioOnly ? streamMarker : ''}${extension || ''}`);
+    if (source.audioOnly) popupHandler.pushLine(util.textToHtml(`${streamMarker}Audio only`));
+    if (extension) popupHandler.pushLine(util.textToHtml(`Extension: ${extension}`));
+  }
+  for (const track of audioTracks) {
+    const codecsDesc = (track.codecs || '').split(',').filter(v => v.trim()).map(v => codecs.StreamCodec.parse(v.trim(), codecs.STREAM_KIND_AUDIO).desc()).join(', ');
+    popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_AUDIO}Audio track: ${getTrackLabel(track)}${codecsDesc ? ` - ${codecsDesc}` : ''}`));
   }
   if (source.hls) {
     let s = '';
     if (hasHLSKey) s += '🔑';
-    if (audio) s += codecs.STREAM_KIND_AUDIO;
-    if (videoSubtitle) s += codecs.STREAM_KIND_SUBTITLES;
-    if (s) popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_VIDEO}HLS features: ${codecs.STREAM_KIND_VIDEO}${s}`));
+    if (isProtected) s += '🔒';
+    if (audioTracks.length) s += codecs.STREAM_KIND_AUDIO;
+    if (subtitles.length) s += codecs.STREAM_KIND_SUBTITLES;
+    if (s) popupHandler.pushLine(util.textToHtml(`${streamMarker}${streamKind} features: ${streamMarker}${s}`));
   }
-  if (videoSubtitle) {
-    subtitle.push(`${codecs.STREAM_KIND_SUBTITLES}${videoSubtitle.lang || videoSubtitle.name}`);
-    if (videoSubtitle.lang) popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_SUBTITLES}Subtitles lang: ${videoSubtitle.lang}`));
-    if (videoSubtitle.name) popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_SUBTITLES}Subtitles name: ${videoSubtitle.name}`));
+  if (subtitles.length) {
+    const selected = subtitles.filter(track => selection.subtitles.has(track.url));
+    const others = subtitles.length - selected.length;
+    subtitle.push(`${codecs.STREAM_KIND_SUBTITLES}${selected.map(track => track.lang || track.name).join(',')}${others ? `+${others}` : ''}`);
+    for (const track of subtitles) {
+      popupHandler.pushLine(util.textToHtml(`${codecs.STREAM_KIND_SUBTITLES}Subtitles: ${getTrackLabel(track)}`));
+    }
   }
   const hostname = (new URL(source.url).hostname).split('.').slice(-3).join('.');
   subtitle.push(hostname);
@@ -248,13 +374,13 @@ function setupDownloadEntry(source, download) {
     tooltip.push(util.limitText(source.forceUrl, TEXT_LIMIT_TOOLTIP));
     popupHandler.pushLine(`Forced URL: <span class='url'>${util.textToHtml(util.limitText(source.forceUrl, TEXT_LIMIT_POPUP))}</span>`);
   }
-  if (audio) {
-    tooltip.push(util.limitText(`${codecs.STREAM_KIND_AUDIO}${audio.url}`, TEXT_LIMIT_TOOLTIP));
-    popupHandler.pushLine(`${codecs.STREAM_KIND_AUDIO}Audio URL: <span class='url'>${util.textToHtml(util.limitText(audio.url, TEXT_LIMIT_POPUP))}</span>`);
+  for (const track of audioTracks) {
+    tooltip.push(util.limitText(`${codecs.STREAM_KIND_AUDIO}${track.url}`, TEXT_LIMIT_TOOLTIP));
+    popupHandler.pushLine(`${codecs.STREAM_KIND_AUDIO}Audio URL: <span class='url'>${util.textToHtml(util.limitText(track.url, TEXT_LIMIT_POPUP))}</span>`);
   }
-  if (videoSubtitle) {
-    tooltip.push(util.limitText(`${codecs.STREAM_KIND_SUBTITLES}${videoSubtitle.url}`, TEXT_LIMIT_TOOLTIP));
-    popupHandler.pushLine(`${codecs.STREAM_KIND_SUBTITLES}Subtitles URL: <span class='url'>${util.textToHtml(util.limitText(videoSubtitle.url, TEXT_LIMIT_POPUP))}</span>`);
+  for (const track of subtitles) {
+    tooltip.push(util.limitText(`${codecs.STREAM_KIND_SUBTITLES}${track.url}`, TEXT_LIMIT_TOOLTIP));
+    popupHandler.pushLine(`${codecs.STREAM_KIND_SUBTITLES}Subtitles URL: <span class='url'>${util.textToHtml(util.limitText(track.url, TEXT_LIMIT_POPUP))}</span>`);
   }
 
   util.setHtml(node.querySelector('.list-item-subtitle'), util.textToHtml(subtitle));
@@ -263,16 +389,12 @@ function setupDownloadEntry(source, download) {
   // 'title' to let the browser display it.
   node.setAttribute('title', tooltip.join('\n'));
 
-  node.addEventListener('click', data => {
-    // Triggering video download only requires to know:
-    //  - the 'source' (contains unique video id)
-    //  - download extra details: all original details are known by target
-    //    and don't need to be passed back
-    // Auto-download enabled by default, unless using non-main button
-    // or 'Ctrl' key.
-    const details = {
-      auto: (data.button === 0) && !data.ctrlKey
-    };
+  function triggerDownload(details) {
+    // Pass selected tracks.
+    Object.assign(details, {
+      audio: [...selection.audio],
+      subtitles: [...selection.subtitles]
+    });
     webext.postMessage({
       _routing: {
         target: constants.TARGET_BACKGROUND_PAGE,
@@ -285,11 +407,237 @@ function setupDownloadEntry(source, download) {
     cs_hidePopup();
     // Close the browser action page.
     window.close();
+  }
+
+  node.addEventListener('click', data => {
+    // Triggering video download only requires to know:
+    //  - the 'source' (contains unique video id)
+    //  - download extra details: all original details are known by target
+    //    and don't need to be passed back
+    // Auto-download enabled by default, unless using non-main button
+    // or 'Ctrl' key.
+    triggerDownload({
+      auto: (data.button === 0) && !data.ctrlKey
+    });
   });
 
+  // Tracks selection panel, when there is something to choose.
+  const actions = cloneNode(videoItemActionsNode);
+  const tracksButton = actions.querySelector('.video-tracks');
+  if ((audioTracks.length > 1) || subtitles.length) {
+    const tracksNode = setupTracksSelection(audioTracks, subtitles, selection);
+    node.querySelector('.list-item-title').parentElement.appendChild(tracksNode);
+    tracksButton.addEventListener('click', data => {
+      // Don't trigger the entry download.
+      data.stopPropagation();
+      tracksNode.classList.toggle('hidden');
+    });
+  } else {
+    tracksButton.remove();
+  }
+  // Subtitles format can be chosen for this download, overriding the global
+  // setting.
+  for (const button of actions.querySelectorAll('.video-subtitles-format')) {
+    if (!subtitles.length) {
+      button.remove();
+      continue;
+    }
+    button.addEventListener('click', data => {
+      // Don't trigger the entry download.
+      data.stopPropagation();
+      triggerDownload({
+        auto: !data.ctrlKey,
+        subtitlesFormat: button.dataset.format
+      });
+    });
+  }
+  // Source, or its host, can be added to the ignore list.
+  // Background script notifies us of the updated sources.
+  for (const button of actions.querySelectorAll('.video-ignore')) {
+    button.addEventListener('click', data => {
+      // Don't trigger the entry download.
+      data.stopPropagation();
+      webext.postMessage({
+        _routing: {
+          target: constants.TARGET_BACKGROUND_PAGE,
+          kind: constants.KIND_DL_IGNORE_VIDEO
+        },
+        url: source.url,
+        host: button.dataset.ignore === 'host'
+      });
+    });
+  }
+  if (actions.children.length) node.appendChild(actions);
+
   videosNode.appendChild(node);
 }
 
+function setupQueueEntry(entry) {
+  const node = cloneNode(listItemNode);
+  const name = util.getFilename(entry.url, entry.file);
+  const subtitle = [];
+
+  // Entries that are not automatically retried anymore need user action.
+  const icon = cloneNode(iconExclamationTriangle);
+  icon.classList.add(entry.nextAttempt ? 'icon-warning' : 'icon-error');
+  replaceNode(node.querySelector('.icon'), icon);
+  util.setHtml(node.querySelector('.list-item-title'), util.textToHtml(name));
+
+  const popupHandler = new PopupHandler(node, name);
+
+  if (entry.size) {
+    const s = util.getSizeText(entry.size);
+    subtitle.push(s);
+    popupHandler.pushLine(util.textToHtml(`Size: ${s}`));
+  }
+  subtitle.push(`Attempts: ${entry.attempts}`);
+  popupHandler.pushLine(util.textToHtml(`Queued: ${new Date(entry.created).toLocaleString()}`));
+  popupHandler.pushLine(util.textToHtml(`Attempts: ${entry.attempts}`));
+  if (entry.nextAttempt) {
+    const s = new Date(entry.nextAttempt).toLocaleTimeString();
+    subtitle.push(`Next retry: ${s}`);
+    popupHandler.pushLine(util.textToHtml(`Next retry: ${s}`));
+  } else {
+    subtitle.push('No automatic retry');
+  }
+  if (entry.error) {
+    util.setHtml(node.querySelector('.list-item-content'), util.textToHtml(`Error: ${util.limitText(entry.error, TEXT_LIMIT_TOOLTIP)}`));
+    popupHandler.newSection();
+    popupHandler.pushLine(util.textToHtml(`Error: ${util.limitText(entry.error, TEXT_LIMIT_POPUP)}`));
+  }
+  popupHandler.newSection();
+  popupHandler.pushLine(`URL: <span class='url'>${util.textToHtml(util.limitText(entry.url, TEXT_LIMIT_POPUP))}</span>`);
+  util.setHtml(node.querySelector('.list-item-subtitle'), util.textToHtml(subtitle.join(' - ')));
+  node.setAttribute('title', util.limitText(entry.url, TEXT_LIMIT_TOOLTIP));
+
+  const actions = cloneNode(queueItemActionsNode);
+  actions.querySelector('.queue-retry').addEventListener('click', () => {
+    dl_retryQueued(entry.id);
+  });
+  actions.querySelector('.queue-discard').addEventListener('click', () => {
+    dl_discardQueued(entry.id);
+  });
+  node.appendChild(actions);
+
+  queueNode.appendChild(node);
+}
+
+function setupHistoryEntry(entry) {
+  const node = cloneNode(listItemNode);
+  const name = util.getFilename(entry.url, entry.file);
+  const subtitle = [];
+
+  if (entry.outcome !== constants.DL_OUTCOME_SENT) {
+    const icon = cloneNode(iconExclamationTriangle);
+    icon.classList.add((entry.outcome === constants.DL_OUTCOME_QUEUED) ? 'icon-warning' : 'icon-error');
+    replaceNode(node.querySelector('.icon'), icon);
+  }
+  util.setHtml(node.querySelector('.list-item-title'), util.textToHtml(name));
+
+  const popupHandler = new PopupHandler(node, name);
+
+  const date = new Date(entry.timestamp).toLocaleString();
+  subtitle.push(date);
+  popupHandler.pushLine(util.textToHtml(`Date: ${date}`));
+  if (entry.size) {
+    const s = util.getSizeText(entry.size);
+    subtitle.push(s);
+    popupHandler.pushLine(util.textToHtml(`Size: ${s}`));
+  }
+  subtitle.push(entry.origin);
+  subtitle.push(entry.outcome);
+  popupHandler.pushLine(util.textToHtml(`Origin: ${entry.origin}`));
+  popupHandler.pushLine(util.textToHtml(`Outcome: ${entry.outcome}`));
+  if (entry.backend) popupHandler.pushLine(util.textToHtml(`Backend: ${entry.backend}`));
+  if (entry.error) {
+    util.setHtml(node.querySelector('.list-item-content'), util.textToHtml(`Error: ${util.limitText(entry.error, TEXT_LIMIT_TOOLTIP)}`));
+    popupHandler.pushLine(util.textToHtml(`Error: ${util.limitText(entry.error, TEXT_LIMIT_POPUP)}`));
+  }
+  popupHandler.newSection();
+  if (entry.tabTitle) popupHandler.pushLine(util.textToHtml(`Tab title: ${entry.tabTitle}`));
+  popupHandler.pushLine(`URL: <span class='url'>${util.textToHtml(util.limitText(entry.url, TEXT_LIMIT_POPUP))}</span>`);
+  if (entry.referrer) popupHandler.pushLine(`Referrer: <span class='url'>${util.textToHtml(util.limitText(entry.referrer, TEXT_LIMIT_POPUP))}</span>`);
+  util.setHtml(node.querySelector('.list-item-subtitle'), util.textToHtml(subtitle.join(' - ')));
+  node.setAttribute('title', util.limitText(entry.url, TEXT_LIMIT_TOOLTIP));
+
+  const actions = cloneNode(historyItemActionsNode);
+  actions.querySelector('.history-resend').addEventListener('click', () => {
+    webext.postMessage({
+      _routing: {
+        target: constants.TARGET_BACKGROUND_PAGE,
+        kind: constants.KIND_DL_RESEND
+      },
+      id: entry.id
+    });
+  });
+  actions.querySelector('.history-copy-url').addEventListener('click', () => {
+    navigator.clipboard.writeText(entry.url);
+  });
+  node.appendChild(actions);
+
+  historyNode.appendChild(node);
+}
+
+function getTrackLabel(track) {
+  let label = track.name || track.lang || '?';
+  if (track.lang && (track.lang !== label)) label = `${label} (${track.lang})`;
+  if (track.protection) label = `${label} 🔒`;
+  return label;
+}
+
+// Builds tracks selection node.
+// Selection is updated when tracks are (un)checked.
+function setupTracksSelection(audioTracks, subtitles, selection) {
+  const node = cloneNode(videoItemTracksNode);
+  // Changing selection must not trigger the entry download.
+  node.addEventListener('click', data => {
+    data.stopPropagation();
+  });
+  function addTracks(tracksNode, tracks, selected, kind) {
+    if (!tracks.length) {
+      tracksNode.remove();
+      return;
+    }
+    for (const track of tracks) {
+      const trackNode = cloneNode(videoItemTrackNode);
+      const input = trackNode.querySelector('input');
+      input.checked = selected.has(track.url);
+      input.addEventListener('change', () => {
+        if (input.checked) selected.add(track.url);
+        else selected.delete(track.url);
+      });
+      trackNode.querySelector('span').textContent = `${kind}${getTrackLabel(track)}${track.codecs ? ` - ${track.codecs}` : ''}`;
+      tracksNode.appendChild(trackNode);
+    }
+  }
+  addTracks(node.querySelector('.video-tracks-audio'), audioTracks, selection.audio, codecs.STREAM_KIND_AUDIO);
+  addTracks(node.querySelector('.video-tracks-subtitles'), subtitles, selection.subtitles, codecs.STREAM_KIND_SUBTITLES);
+  return node;
+}
+
+// Retries queued download(s).
+// Background script notifies us of the updated queue.
+function dl_retryQueued(id) {
+  webext.postMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_DL_RETRY_QUEUED
+    },
+    id
+  });
+}
+
+// Discards queued download(s).
+function dl_discardQueued(id) {
+  webext.postMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_DL_DISCARD_QUEUED
+    },
+    id
+  });
+}
+
 function cs_hidePopup() {
   textForClipboard = undefined;
 
@@ -351,6 +699,16 @@ let ignoringNext = false;
 const allowCopyPasteButton = document.querySelector('#allowCopyPaste');
 const videosItemNode = document.querySelector('#videos-item');
 const videosNode = document.querySelector('#videos');
+const videosBestNode = document.querySelector('#videos-best');
+const downloadBestButton = document.querySelector('#downloadBest');
+const videosExportAllNode = document.querySelector('#videos-export-all');
+const openVideosPageButton = document.querySelector('#openVideosPage');
+const queueItemNode = document.querySelector('#queue-item');
+const queueNode = document.querySelector('#queue');
+const retryQueueButton = document.querySelector('#retryQueue');
+const discardQueueButton = document.querySelector('#discardQueue');
+const historyNode = document.querySelector('#history');
+const historySearchNode = document.querySelector('#history-search');
 const clearActiveMessagesButton = document.querySelector('#clearActiveMessages');
 const clearOtherMessagesButton = document.querySelector('#clearOtherMessages');
 const messagesItemNode = document.querySelector('#messages-item');
@@ -362,6 +720,11 @@ const optionsItemNode = document.querySelector('#options-item');
 const iconExclamationTriangle = document.querySelector('#icon-exclamation-triangle');
 const iconInfoCircle = document.querySelector('#icon-info-circle');
 const listItemNode = document.querySelector('#list-item');
+const queueItemActionsNode = document.querySelector('#queue-item-actions');
+const historyItemActionsNode = document.querySelector('#history-item-actions');
+const videoItemActionsNode = document.querySelector('#video-item-actions');
+const videoItemTracksNode = document.querySelector('#video-item-tracks');
+const videoItemTrackNode = document.querySelector('#video-item-track');
 
 // Extension handler
 const webext = new WebExtension({ target: constants.TARGET_BROWSER_ACTION, onMessage });
@@ -522,6 +885,46 @@ ignoreNextButton.addEventListener('click', () => {
   });
 });
 
+// Download best video when requested.
+downloadBestButton.addEventListener('click', data => {
+  webext.postMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_DL_VIDEO_BEST
+    },
+    details: {
+      auto: !data.ctrlKey
+    }
+  });
+  // Hide the popup.
+  cs_hidePopup();
+  // Close the browser action page.
+  window.close();
+});
+
+// Export videos when requested.
+// Saving to file is done by the background script, as we would be closed when
+// the user is asked where to save.
+for (const button of document.querySelectorAll('#videos-export .video-export')) {
+  button.addEventListener('click', () => {
+    webext.postMessage({
+      _routing: {
+        target: constants.TARGET_BACKGROUND_PAGE,
+        kind: constants.KIND_DL_EXPORT_VIDEOS
+      },
+      format: button.dataset.format,
+      allTabs: videosExportAllNode.checked
+    });
+  });
+}
+
+// Open videos page (all tabs).
+openVideosPageButton.addEventListener('click', async () => {
+  await browser.tabs.create({url: browser.runtime.getURL('/resources/videos.html')});
+  // Close the browser action page.
+  window.close();
+});
+
 // Allow copy/paste in page.
 allowCopyPasteButton.addEventListener('click', () => {
   webext.postMessage({
@@ -570,6 +973,27 @@ clearOtherMessagesButton.addEventListener('click', () => {
   });
 });
 
+// Retry/discard all queued downloads when requested.
+retryQueueButton.addEventListener('click', () => {
+  retryQueueButton.blur();
+  dl_retryQueued();
+});
+discardQueueButton.addEventListener('click', () => {
+  discardQueueButton.blur();
+  dl_discardQueued();
+});
+
+// Search downloads history as user types.
+// Wait a bit for user to stop typing before searching.
+let historySearchTimeout;
+historySearchNode.addEventListener('input', () => {
+  if (historySearchTimeout) clearTimeout(historySearchTimeout);
+  historySearchTimeout = setTimeout(() => {
+    historySearchTimeout = undefined;
+    dl_updateHistory();
+  }, 300);
+});
+
 // Open options page in browser tab when double-clicking 'Options' item.
 optionsItemNode.addEventListener('dblclick', () => {
   browser.runtime.openOptionsPage();
@@ -581,11 +1005,22 @@ document.addEventListener('keydown', (ev) => {
   }
 });
 
-// Get+add videos and application messages.
+// Get+add videos, queued downloads, downloads history and application messages.
 // Note: we assume that we can only see the page belonging to the currently
 // focused window; and thus we can take into account the focused tab to
 // filter messages.
+// When we were opened to show a specific view (keyboard shortcut), show it
+// instead of the default one.
 (async () => {
-  await refreshMessages(true);
-  dl_updateVideos(undefined, true);
+  const view = await webext.sendMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_GET_BROWSER_ACTION_VIEW
+    }
+  });
+  await refreshMessages(!view);
+  dl_updateVideos(undefined, !view);
+  dl_updateQueue();
+  dl_updateHistory();
+  if (view === constants.BROWSER_ACTION_VIEW_MESSAGES) document.querySelector('#tab-item-messages').click();
 })();
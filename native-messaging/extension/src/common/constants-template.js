@@ -19,12 +19,70 @@ export const constants = {
   NATIVE_RESPONSE_TIMEOUT: 20 * 1000,
   // Timeout (ms) when waiting for TiddlyWiki saving action to end
   TW_SAVE_TIMEOUT: 10 * 1000,
+  // Timeout (ms) when waiting for file saving action to end
+  FILE_SAVE_TIMEOUT: 10 * 1000,
   // Timeout (ms) when waiting for WebSocket response
   WEBSOCKET_RESPONSE_TIMEOUT: 10 * 1000,
 
+  // Timeout (ms) when waiting for aria2 JSON-RPC response
+  ARIA2_RPC_TIMEOUT: 10 * 1000,
+
   // Maximum time to wait for next interception to ignore
   IGNORE_NEXT_TTL: 20 * 1000,
 
+  // Keyboard commands (as declared in manifest)
+  COMMAND_DL_BEST_VIDEO: 'dl-best-video',
+  COMMAND_DL_IGNORE_NEXT: 'dl-ignore-next',
+  COMMAND_OPEN_MESSAGES: 'open-messages',
+  COMMAND_TAB_UNLOAD: 'tab-unload',
+  COMMAND_TOGGLE_LINKS_CATCHER: 'toggle-links-catcher',
+
+  // Browser action views that can be requested when opening it
+  BROWSER_ACTION_VIEW_MESSAGES: 'messages',
+
+  // Initial delay (ms) before retrying a queued download (doubled upon each
+  // failed attempt)
+  DL_QUEUE_RETRY_DELAY: 30 * 1000,
+  // Maximum delay (ms) between queued download retries
+  DL_QUEUE_RETRY_DELAY_MAX: 30 * 60 * 1000,
+  // Maximum number of attempts before stopping automatic retries
+  DL_QUEUE_MAX_ATTEMPTS: 10,
+
+  // Download backends
+  DL_BACKEND_ARIA2: 'aria2',
+  DL_BACKEND_DLMNGR: 'dl-mngr',
+
+  // Where to start recording live streams: live edge, or start of DVR window.
+  DL_LIVE_START_DVR: 'dvr',
+  DL_LIVE_START_NOW: 'now',
+
+  // Timeout (ms) when getting a caught link content size
+  DL_LINK_SIZE_TIMEOUT: 5 * 1000,
+  // Maximum number of caught links content size retrieved in parallel
+  DL_LINKS_SIZES_CONCURRENCY: 4,
+  // Timeout (ms) when getting all caught links content size (remaining sizes
+  // are unknown)
+  // Note: must be lower than MESSAGE_RESPONSE_TIMEOUT
+  DL_LINKS_SIZES_TIMEOUT: 15 * 1000,
+
+  // Maximum number of downloads history entries
+  DL_HISTORY_MAX_ENTRIES: 2000,
+  // Maximum number of downloads history entries returned by search
+  DL_HISTORY_SEARCH_LIMIT: 100,
+
+  // Download origin (recorded in history)
+  DL_ORIGIN_DOWNLOAD: 'download',
+  DL_ORIGIN_HISTORY: 'history',
+  DL_ORIGIN_LINK: 'link',
+  DL_ORIGIN_MESSAGE: 'message',
+  DL_ORIGIN_REQUEST: 'request',
+  DL_ORIGIN_VIDEO: 'video',
+
+  // Download hand-off outcome (recorded in history)
+  DL_OUTCOME_FAILED: 'failed',
+  DL_OUTCOME_QUEUED: 'queued',
+  DL_OUTCOME_SENT: 'sent',
+
   // Minimum period (ms) between janitoring
   JANITORING_PERIOD: 10 * 1000,
   // TTL of received native message fragments
@@ -37,15 +95,20 @@ export const constants = {
 
   // We expect HLS master/stream playlist to be under 400KiB
   HLS_SIZE_LIMIT: 400 * 1024,
+  // We expect DASH manifest to be under 2MiB (segment timelines of long
+  // streams can be big)
+  DASH_SIZE_LIMIT: 2 * 1024 * 1024,
 
   // Message known 'target' field values
   TARGET_BACKGROUND_PAGE: 'background page',
   TARGET_BROWSER_ACTION: 'browser action',
   TARGET_CONTENT_SCRIPT: 'content script',
   TARGET_OPTIONS_UI: 'options ui',
+  TARGET_VIDEOS_PAGE: 'videos page',
   // Notes:
   // We handle 'options page' with the same code than 'browser action'.
-  // We don't have nor need to send messages to 'page action', 'extension page', 'sidebar'.
+  // 'videos page' is an extension page (listing videos of all tabs).
+  // We don't have nor need to send messages to 'page action', 'sidebar'.
 
   TARGET_ID_CUSTOM_CONTENT_SCRIPT: 'custom content script',
   TARGET_ID_CONTENT_SCRIPT_TW: 'TW content script',
@@ -54,19 +117,37 @@ export const constants = {
   // Message known 'kind' field values
   KIND_ADD_VIDEO_SOURCE: 'addVideoSource',
   KIND_ADD_VIDEO_SUBTITLES: 'addVideoSubtitles',
+  KIND_ADD_VIDEO_THUMBNAIL: 'addVideoThumbnail',
   KIND_CHECK_NATIVE_APP: 'checkNativeApp',
   KIND_CLEAR_MESSAGES: 'clearMessages',
   KIND_CLEAR_MESSAGE: 'clearMessage',
   KIND_CONSOLE: 'console',
   KIND_CS_ALLOW_COPY_PASTE: 'csAllowCopyPaste',
   KIND_CS_BROWSER_ACTION_POPUP_UPDATE: 'csBrowserActionPopupUpdate',
+  KIND_DL_DISCARD_QUEUED: 'dlDiscardQueued',
+  KIND_DL_EXPORT_VIDEOS: 'dlExportVideos',
   KIND_DL_IGNORE_NEXT: 'dlIgnoreNext',
+  KIND_DL_IGNORE_VIDEO: 'dlIgnoreVideo',
+  KIND_DL_LINKS: 'dlLinks',
+  KIND_DL_REMOVE_VIDEOS: 'dlRemoveVideos',
+  KIND_DL_RESEND: 'dlResend',
+  KIND_DL_RETRY_QUEUED: 'dlRetryQueued',
+  KIND_DL_UPDATE_HISTORY: 'dlUpdateHistory',
+  KIND_DL_UPDATE_QUEUE: 'dlUpdateQueue',
+  KIND_DL_UPDATE_TAB_VIDEOS: 'dlUpdateTabVideos',
   KIND_DL_UPDATE_VIDEOS: 'dlUpdateVideos',
   KIND_DL_VIDEO: 'dlVideo',
+  KIND_DL_VIDEO_BEST: 'dlVideoBest',
   KIND_DOWNLOAD: 'download',
   KIND_ECHO: 'echo',
   KIND_EXT_MESSAGE: 'extMessage',
+  KIND_FILE_SAVE: 'fileSave',
+  KIND_GET_BROWSER_ACTION_VIEW: 'getBrowserActionView',
+  KIND_GET_DL_HISTORY: 'getDlHistory',
+  KIND_GET_DL_LINKS_SIZES: 'getDlLinksSizes',
+  KIND_GET_DL_QUEUE: 'getDlQueue',
   KIND_GET_DL_VIDEOS: 'getDlVideos',
+  KIND_GET_DL_VIDEOS_ALL_TABS: 'getDlVideosAllTabs',
   KIND_GET_EXT_MESSAGES: 'getExtMessages',
   KIND_HTTP_FETCH: 'http-fetch',
   KIND_NOTIFICATION: 'notification',
@@ -77,6 +158,7 @@ export const constants = {
   KIND_TABS_EVENT: 'tabsEvent',
   KIND_TW_CHECK_CONCURRENT: 'twCheckConcurrent',
   KIND_TW_SAVE: 'twSave',
+  KIND_TW_STATE: 'twState',
   KIND_TW_WARN_CONCURRENT: 'twWarnConcurrent',
 
   // Windows/tabs/frames events
@@ -95,6 +177,11 @@ export const constants = {
   EVENT_WINDOW_FOCUSED: 'windowFocused',
   EVENT_WINDOW_REMOVED: 'windowRemoved',
 
+  // Native application structured error kinds
+  ERROR_PATH_NOT_ALLOWED: 'pathNotAllowed',
+  ERROR_TW_CONFLICT: 'twConflict',
+  ERROR_TW_SANITY_CHECK: 'twSanityCheck',
+
   // Mouse buttons: https://developer.mozilla.org/en-US/docs/Web/API/MouseEvent/buttons
   MOUSE_BUTTON_LEFT: 1,
   MOUSE_BUTTON_RIGHT: 2
@@ -0,0 +1,153 @@
+'use strict';
+
+import { constants } from './constants.js';
+import * as util from './util.js';
+
+
+// Download interception rules
+// ===========================
+// Rules let user decide, per site/content, whether downloads are to be
+// intercepted; they are evaluated before the usual heuristics.
+// Rules are defined as an array of objects, with the following (optional)
+// fields:
+//  - name: rule name, for logging
+//  - enabled: whether the rule is enabled (true by default)
+//  - host: hostname pattern; '*' matches any characters, and a pattern without
+//    wildcard also matches sub-domains
+//  - url: URL regular expression (case-insensitive)
+//  - mimeType: MIME type pattern; '*' matches any characters, e.g. 'video/*'
+//  - extension: file extension (without leading dot)
+//  - minSize/maxSize: size range (bytes, inclusive); a rule with a size range
+//    does not match content which size is unknown
+//  - action: either 'always' (intercept), 'never' (intercept), or 'heuristics'
+//    (the default: let usual checks decide)
+//  - filename: target filename override
+//  - folder: target folder override
+//  - backend: download backend ('dl-mngr' or 'aria2') override
+// Matching criteria ('host', 'url', 'mimeType' and 'extension') can be given an
+// array of values, in which case any value can match. All given criteria must
+// match. The first matching rule applies.
+
+export const RULE_ACTION_ALWAYS = 'always';
+export const RULE_ACTION_NEVER = 'never';
+export const RULE_ACTION_HEURISTICS = 'heuristics';
+
+const ruleActions = new Set([RULE_ACTION_ALWAYS, RULE_ACTION_NEVER, RULE_ACTION_HEURISTICS]);
+const ruleBackends = new Set([constants.DL_BACKEND_DLMNGR, constants.DL_BACKEND_ARIA2]);
+const ruleFields = new Set([
+  'name', 'enabled',
+  'host', 'url', 'mimeType', 'extension', 'minSize', 'maxSize',
+  'action', 'filename', 'folder', 'backend'
+]);
+
+export class DownloadRule {
+
+  constructor(details, idx) {
+    const self = this;
+    self.label = `#${idx}`;
+    const validator = new util.ValueValidator(`Rule ${self.label}`);
+    validator.checkObject(details, ruleFields);
+
+    if ('name' in details) {
+      self.name = validator.getString(details, 'name');
+      self.label = `${self.label} (${self.name})`;
+      validator.label = `Rule ${self.label}`;
+    }
+    if (('enabled' in details) && (typeof(details.enabled) !== 'boolean')) validator.fail('enabled must be a boolean');
+    self.enabled = (details.enabled !== false);
+
+    if ('host' in details) {
+      self.hosts = validator.getStrings(details, 'host').map(util.hostToRegExp);
+    }
+    if ('url' in details) {
+      self.urls = validator.getStrings(details, 'url').map(url => {
+        try {
+          return new RegExp(url, 'i');
+        } catch (error) {
+          validator.fail(`invalid url=<${url}>: ${error.message}`);
+        }
+      });
+    }
+    if ('mimeType' in details) {
+      self.mimeTypes = validator.getStrings(details, 'mimeType').map(mimeType => util.wildcardToRegExp(mimeType.toLowerCase()));
+    }
+    if ('extension' in details) {
+      self.extensions = validator.getStrings(details, 'extension').map(extension => extension.replace(/^\./, '').toLowerCase());
+    }
+    for (const key of ['minSize', 'maxSize']) {
+      if (key in details) self[key] = validator.getInteger(details, key);
+    }
+    if ((self.minSize !== undefined) && (self.maxSize !== undefined) && (self.minSize > self.maxSize)) validator.fail('minSize must not be greater than maxSize');
+
+    self.action = details.action || RULE_ACTION_HEURISTICS;
+    if (!ruleActions.has(self.action)) validator.fail(`action must be one of: ${[...ruleActions].join(', ')}`);
+    if ('filename' in details) self.filename = validator.getString(details, 'filename');
+    if ('folder' in details) self.folder = validator.getString(details, 'folder');
+    if ('backend' in details) {
+      self.backend = validator.getString(details, 'backend');
+      if (!ruleBackends.has(self.backend)) validator.fail(`backend must be one of: ${[...ruleBackends].join(', ')}`);
+    }
+  }
+
+  // Whether this rule matches given download details:
+  //  - url: the download URL
+  //  - mimeType: the content MIME type, if known
+  //  - extension: the file extension, if known
+  //  - size: the content size, if known
+  matches(details) {
+    if (!this.enabled) return false;
+    if (this.hosts) {
+      let hostname;
+      try {
+        hostname = new URL(details.url).hostname;
+      } catch {
+        return false;
+      }
+      if (!this.hosts.some(re => re.test(hostname))) return false;
+    }
+    if (this.urls && !this.urls.some(re => re.test(details.url))) return false;
+    if (this.mimeTypes && !this.mimeTypes.some(re => re.test(details.mimeType || ''))) return false;
+    if (this.extensions && !this.extensions.includes((details.extension || '').toLowerCase())) return false;
+    if ((this.minSize !== undefined) || (this.maxSize !== undefined)) {
+      const size = details.size;
+      if (!Number.isInteger(size) || (size < 0)) return false;
+      // Note: comparing undefined to integer returns false.
+      if ((size < this.minSize) || (size > this.maxSize)) return false;
+    }
+    return true;
+  }
+
+  // Whether rule decides on interception (instead of usual heuristics).
+  isDecisive() {
+    return this.action !== RULE_ACTION_HEURISTICS;
+  }
+
+  // Applies overrides (if any) to download details passed to dl-mngr.
+  apply(details) {
+    if (this.filename) details.file = this.filename;
+    if (this.folder) details.folder = this.folder;
+    return details;
+  }
+
+}
+
+export class DownloadRules {
+
+  // Builds rules from raw values.
+  // Throws an Error if any rule is invalid.
+  constructor(rules) {
+    if ((rules === undefined) || (rules === null)) rules = [];
+    new util.ValueValidator('Rules').checkArray(rules);
+    this.rules = rules.map((rule, idx) => new DownloadRule(rule, idx + 1));
+  }
+
+  isEmpty() {
+    return !this.rules.some(rule => rule.enabled);
+  }
+
+  // Finds the first rule matching given download details.
+  find(details) {
+    return this.rules.find(rule => rule.matches(details));
+  }
+
+}
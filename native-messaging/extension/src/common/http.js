@@ -41,6 +41,27 @@ export function getCookie(url) {
   });
 }
 
+// Gets URL content length through a HEAD request.
+// Returns nothing if unknown (or upon failure).
+export async function getContentLength(url, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const r = await fetch(url, {
+      method: 'HEAD',
+      credentials: 'include',
+      signal: controller.signal
+    });
+    if (!r.ok) return;
+    const length = Number(r.headers.get('Content-Length') || undefined);
+    if (Number.isInteger(length) && (length >= 0)) return length;
+  } catch {
+    // Ignore any error here.
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 export async function http_fetch(msg) {
   try {
     const r = await fetch(msg.resource, msg.options);
@@ -446,13 +467,15 @@ export class RequestBuffer {
 }
 
 
-// We mainly care about text, images, audio, hls and subtitles.
+// We mainly care about text, images, audio, hls, dash and subtitles.
 const hlsMimeTypes = new Set([
   'application/vnd.apple.mpegurl', 'application/mpegurl', 'application/x-mpegurl',
   'application/vnd.apple.mpegurl.audio', 'audio/mpegurl', 'audio/x-mpegurl'
 ]);
 const hlsFileExtension = 'm3u8';
-const subtitleMimeTypes = new Set(['application/x-subrip', 'text/vtt']);
+const dashMimeTypes = new Set(['application/dash+xml', 'video/vnd.mpeg.dash.mpd']);
+const dashFileExtension = 'mpd';
+const subtitleMimeTypes = new Set(['application/x-subrip', 'text/vtt', 'application/ttml+xml', 'application/ttaf+xml']);
 // Mime type per extensions.
 // Notes:
 // We only want one type per matching extension here.
@@ -471,14 +494,19 @@ const mimeTypesExt = {
   'image/gif': ['gif'],
   'image/bmp': ['bmp'],
   'image/tiff': [/^tiff?$/, 'tiff'],
-  'audio/mpeg': [/^mp[1-3]$/, /^m[12p]a$/],
-  'audio/mp4': ['m4a'],
+  'audio/mpeg': [/^mp[1-3]$/, /^m[12p]a$/, 'mp3'],
+  'audio/mp4': [/^m4[ab]$/, 'm4a'],
+  'audio/aac': ['aac'],
+  'audio/flac': ['flac'],
+  'audio/wav': ['wav'],
   'audio/webm': ['weba'],
-  'audio/ogg': ['opus'],
+  'audio/ogg': [/^(opus|og[ga])$/, 'ogg'],
   'video/mp4': ['mp4'],
   'application/vnd.apple.mpegurl': [hlsFileExtension],
+  'application/dash+xml': [dashFileExtension],
   'application/x-subrip': ['srt'],
-  'text/vtt': ['vtt']
+  'text/vtt': ['vtt'],
+  'application/ttml+xml': [/^(ttml|dfxp)$/, 'ttml']
 };
 
 export class ContentType {
@@ -594,6 +622,18 @@ export class ContentType {
     return extension === hlsFileExtension;
   }
 
+  isDASH() {
+    return dashMimeTypes.has(this.mimeType);
+  }
+
+  // As for HLS, some sites return 'text/xml' or other mime types for mpd
+  // files.
+  maybeDASH(filename) {
+    if (!filename) return false;
+    const extension = util.getFilenameExtension(filename).extension || '';
+    return extension === dashFileExtension;
+  }
+
   isSubtitle() {
     return subtitleMimeTypes.has(this.mimeType);
   }
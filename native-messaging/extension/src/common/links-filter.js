@@ -0,0 +1,115 @@
+'use strict';
+
+
+// Links filter
+// ============
+// Filters caught links depending on:
+//  - include: URL regular expression (case-insensitive) links must match
+//  - exclude: URL regular expression (case-insensitive) links must not match
+//  - sameDomain: whether links must belong to the page domain (or one of its
+//    sub-domains)
+//  - extensions: file extensions (without leading dot) links path must have
+// Only configured filters are available, and each one can be toggled (e.g.
+// while catching links).
+
+// Parses extensions list (separated by spaces or commas).
+export function parseExtensions(extensions) {
+  return (extensions || '').split(/[\s,]+/).map(ext => ext.replace(/^\./, '').toLowerCase()).filter(ext => ext);
+}
+
+// Gets URL hostname, without leading 'www.'.
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+// Gets URL path extension (lowercase).
+function getExtension(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return '';
+  }
+  const leaf = pathname.split('/').pop();
+  const idx = leaf.lastIndexOf('.');
+  return (idx > 0) ? leaf.substring(idx + 1).toLowerCase() : '';
+}
+
+export class LinksFilter {
+
+  // Builds filter.
+  // Throws an Error if a regular expression is invalid.
+  constructor(params, pageUrl) {
+    const self = this;
+    self.filters = [];
+    // Cache of links (url) status.
+    self.cache = new Map();
+
+    if (params.include) {
+      const regexp = new RegExp(params.include, 'i');
+      self.filters.push({
+        label: `include: ${params.include}`,
+        matches: url => regexp.test(url)
+      });
+    }
+    if (params.exclude) {
+      const regexp = new RegExp(params.exclude, 'i');
+      self.filters.push({
+        label: `exclude: ${params.exclude}`,
+        matches: url => !regexp.test(url)
+      });
+    }
+    // Same domain filter is always available, but only active if requested.
+    const hostname = getHostname(pageUrl);
+    if (hostname) {
+      self.filters.push({
+        label: 'same domain',
+        matches: url => {
+          const linkHostname = getHostname(url);
+          return (linkHostname === hostname) || linkHostname.endsWith(`.${hostname}`);
+        },
+        active: !!params.sameDomain
+      });
+    }
+    const extensions = parseExtensions(params.extensions);
+    if (extensions.length) {
+      self.filters.push({
+        label: `extensions: ${extensions.join(', ')}`,
+        matches: url => extensions.includes(getExtension(url))
+      });
+    }
+    for (const filter of self.filters) {
+      if (filter.active === undefined) filter.active = true;
+    }
+  }
+
+  // Whether any filter is active.
+  isActive() {
+    return this.filters.some(filter => filter.active);
+  }
+
+  // Toggles filter (by index).
+  // Returns whether filter exists.
+  toggle(idx) {
+    const filter = this.filters[idx];
+    if (!filter) return false;
+    filter.active = !filter.active;
+    this.cache.clear();
+    return true;
+  }
+
+  // Whether link passes active filters.
+  matches(url) {
+    let r = this.cache.get(url);
+    if (r === undefined) {
+      r = this.filters.every(filter => !filter.active || filter.matches(url));
+      this.cache.set(url, r);
+    }
+    return r;
+  }
+
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+
+// Caught links output formats
+// ===========================
+// Links are objects with 'url', 'text' and (optional) 'title' fields.
+
+export const FORMAT_PLAIN = 'plain';
+export const FORMAT_MARKDOWN = 'markdown';
+export const FORMAT_HTML = 'html';
+export const FORMAT_CSV = 'csv';
+export const FORMAT_JSON = 'json';
+
+export const formats = new Set([FORMAT_PLAIN, FORMAT_MARKDOWN, FORMAT_HTML, FORMAT_CSV, FORMAT_JSON]);
+
+function escapeHtml(s) {
+  return (s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeMarkdownText(s) {
+  return s.replace(/([\\[\]])/g, '\\$1');
+}
+
+function escapeMarkdownUrl(s) {
+  // Note: 'encodeURIComponent' does not encode parentheses.
+  return s.replace(/[()\s]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+function escapeCsv(s) {
+  s = s || '';
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Formats links as HTML list.
+export function toHtml(links, newline) {
+  const lines = ['<ul>'];
+  for (const link of links) {
+    const title = link.title ? ` title="${escapeHtml(link.title)}"` : '';
+    lines.push(`<li><a href="${escapeHtml(link.url)}"${title}>${escapeHtml(link.text || link.url)}</a></li>`);
+  }
+  lines.push('</ul>');
+  return `${lines.join(newline)}${newline}`;
+}
+
+// Formats links as text, in the given format.
+// Unknown format fallbacks to plain URLs.
+export function formatLinks(links, format, newline) {
+  newline = newline || '\n';
+  let lines;
+  switch (format) {
+    case FORMAT_MARKDOWN:
+      lines = links.map(link => `[${escapeMarkdownText(link.text || link.url)}](${escapeMarkdownUrl(link.url)})`);
+      break;
+
+    case FORMAT_HTML:
+      return toHtml(links, newline);
+
+    case FORMAT_CSV:
+      lines = [['text', 'url', 'title']].concat(links.map(link => [link.text, link.url, link.title]))
+        .map(fields => fields.map(escapeCsv).join(','));
+      break;
+
+    case FORMAT_JSON:
+      return `${JSON.stringify(links.map(link => ({text: link.text || '', url: link.url, title: link.title || ''})), undefined, 2)}${newline}`;
+
+    default:
+      lines = links.map(link => link.url);
+      break;
+  }
+  return `${lines.join(newline)}${newline}`;
+}
@@ -309,6 +309,12 @@ export class WebExtension {
     this.localTargets.push(params);
   }
 
+  // Whether a remote endpoint of the given target kind is connected.
+  // Only used inside background script.
+  hasTarget(target) {
+    return !!this.targets?.[target]?.length;
+  }
+
   registerPort(port, msg) {
     // Create the handler the first time.
     // Note: we should be called twice:
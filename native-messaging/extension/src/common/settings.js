@@ -1,7 +1,14 @@
 'use strict';
 
+import { constants } from './constants.js';
 import * as util from './util.js';
 import { _fn } from './unsafe.js';
+import { DownloadRules } from './download-rules.js';
+import * as linksFormat from './links-format.js';
+import * as subtitles from './subtitles.js';
+import * as videoQuality from './video-quality.js';
+import { TwSavePaths } from './tw-save-paths.js';
+import { VideoIgnoreList } from './video-ignore.js';
 
 
 // Settings
@@ -161,8 +168,14 @@ class Settings extends SettingsBranch {
     const self = this;
     // Create settings (auto-registered).
     new ExtensionIntSetting('settingsVersion', 0);
+    new ExtensionStringSetting('aria2.dir', '');
+    new ExtensionStringSetting('aria2.rpcSecret', '');
+    new ExtensionStringSetting('aria2.rpcUrl', 'http://127.0.0.1:6800/jsonrpc', v => {
+      if (!['http:', 'https:', 'ws:', 'wss:'].includes(new URL(v).protocol)) throw new Error('Expected HTTP or WebSocket URL');
+    });
     new ExtensionBooleanSetting('catchLinks', true);
     new ExtensionBooleanSetting('clearDownloads', true);
+    new ExtensionEnumerationSetting('downloadBackend', constants.DL_BACKEND_DLMNGR, new Set([constants.DL_BACKEND_DLMNGR, constants.DL_BACKEND_ARIA2]));
     // 'custom' content script.
     new ExtensionBooleanSetting('content_scripts.custom.enabled', true);
     new ExtensionScriptSetting('content_scripts.custom.script');
@@ -177,14 +190,23 @@ class Settings extends SettingsBranch {
     new ExtensionBooleanSetting('interceptDownloads', true);
     new ExtensionBooleanSetting('interceptRequests', true);
     new ExtensionIntSetting('interceptSize', 20 * 1024 * 1024);
+    new ExtensionJSONSetting('interceptRules', [], rules => new DownloadRules(rules));
     if (globalThis.browser && browser.webRequest) {
       const requestTypes = new Set(Object.values(browser.webRequest.ResourceType));
       new ExtensionBooleanSetting('intercept.webRequest.onBeforeSendHeaders.enabled', true);
       new ExtensionEnumerationSetting('intercept.webRequest.onBeforeSendHeaders.requestTypes', '', requestTypes, true);
       new ExtensionScriptSetting('intercept.webRequest.onBeforeSendHeaders.script');
     }
+    new ExtensionStringSetting('linksCatcher.filter.exclude', '', v => new RegExp(v));
+    new ExtensionStringSetting('linksCatcher.filter.extensions', '');
+    new ExtensionStringSetting('linksCatcher.filter.include', '', v => new RegExp(v));
+    new ExtensionBooleanSetting('linksCatcher.filter.sameDomain', false);
+    new ExtensionEnumerationSetting('linksCatcher.format', linksFormat.FORMAT_PLAIN, linksFormat.formats);
+    new ExtensionBooleanSetting('linksCatcher.refining.enabled', true);
+    new ExtensionScriptSetting('linksCatcher.refining.script');
     new ExtensionBooleanSetting('notifyDownload', true);
     new ExtensionIntSetting('notifyTtl', 4000);
+    new ExtensionJSONSetting('tw.savePaths', [], paths => new TwSavePaths(paths));
     new ExtensionBooleanSetting('video.interceptRefining.enabled', true);
     new ExtensionScriptSetting('video.interceptRefining.script');
     new ExtensionBooleanSetting('video.downloadRefining.enabled', true);
@@ -196,8 +218,19 @@ class Settings extends SettingsBranch {
     new ExtensionBooleanSetting('video.filenameRefining.enabled', true);
     new ExtensionScriptSetting('video.filenameRefining.script');
     new ExtensionBooleanSetting('video.intercept', true);
+    new ExtensionBooleanSetting('video.audio.intercept', false);
     new ExtensionBooleanSetting('video.hls.intercept', true);
+    new ExtensionBooleanSetting('video.hls.analyze', false);
+    new ExtensionEnumerationSetting('video.hls.liveStart', constants.DL_LIVE_START_NOW, new Set([constants.DL_LIVE_START_NOW, constants.DL_LIVE_START_DVR]));
+    new ExtensionBooleanSetting('video.dash.intercept', true);
     new ExtensionBooleanSetting('video.subtitles.intercept', true);
+    new ExtensionEnumerationSetting('video.subtitles.format', '', subtitles.formats);
+    new ExtensionIntSetting('video.quality.maxHeight', 0);
+    new ExtensionIntSetting('video.quality.maxBandwidth', 0);
+    new ExtensionEnumerationSetting('video.quality.codecs', '', videoQuality.codecFamilies, true);
+    new ExtensionStringSetting('video.quality.audioLang', '');
+    new ExtensionBooleanSetting('video.quality.downloadBest', false);
+    new ExtensionJSONSetting('video.ignore', {}, list => new VideoIgnoreList(list));
 
     // If there is no 'window', assume we are not running inside browser and
     // don't need to do anything else.
@@ -630,6 +663,53 @@ class ExtensionScriptSetting extends ExtensionSetting {
 
 }
 
+// Manages a string setting.
+// An optional validation function can be given: it is expected to throw an
+// Error if the value is invalid.
+class ExtensionStringSetting extends ExtensionSetting {
+
+  constructor(key, value, validate) {
+    super(key, value, '');
+    this.validate = validate;
+  }
+
+  updateField() {
+    this.field.value = this.getValue() || '';
+  }
+
+  validateValue(v) {
+    v = v.trim();
+    if (this.validate) this.validate(v);
+    return v;
+  }
+
+}
+
+// Manages a JSON setting.
+// Value is the parsed JSON, while associated field holds the JSON text.
+// An optional validation function can be given: it is expected to throw an
+// Error if the parsed value is invalid.
+class ExtensionJSONSetting extends ExtensionSetting {
+
+  constructor(key, value, validate) {
+    super(key, value, null);
+    this.validate = validate;
+  }
+
+  updateField() {
+    const value = this.getValue();
+    if ((value === undefined) || (value === null)) this.field.value = '';
+    else this.field.value = JSON.stringify(value, undefined, 2);
+  }
+
+  validateValue(v) {
+    v = v.trim() ? JSON.parse(v) : this.defaultValue;
+    if (this.validate) this.validate(v);
+    return v;
+  }
+
+}
+
 // The settings.
 export const settings = new Settings().proxy;
 settings.registerSettings();
@@ -258,3 +258,10 @@ const codecParser = {
 ['vvc1', 'vvci'].forEach(c => {
   codecParser[c] = StreamCodec.parseVVC;
 });
+
+// Whether given (comma-separated) codecs are all audio ones.
+// Unknown codecs are not considered as audio.
+export function isAudioOnly(raw) {
+  const values = (raw || '').split(',').map(v => v.trim()).filter(v => v);
+  return !!values.length && values.every(v => StreamCodec.parse(v).kind === STREAM_KIND_AUDIO);
+}
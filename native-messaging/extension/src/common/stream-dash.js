@@ -0,0 +1,638 @@
+'use strict';
+
+import * as util from '../common/util.js';
+import * as codecs from '../common/stream-codecs.js';
+import { getChild, getChildren, parseXML } from '../common/xml.js';
+
+
+// See ISO/IEC 23009-1 (MPEG-DASH).
+// We parse MPD manifest content in order to determine available streams:
+// video representations, and associated audio/subtitles tracks.
+//
+// The download application only knows how to download HLS streams. Since a
+// DASH representation is made of segments (with optional initialization
+// segment), we build the equivalent HLS media playlist: this way the download
+// is handled exactly as for HLS.
+
+// ContentProtection known schemes.
+// See https://dashif.org/identifiers/content_protection/
+const DRM_SCHEMES = {
+  'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed': 'Widevine',
+  'urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95': 'PlayReady',
+  'urn:uuid:94ce86fb-07ff-4f43-adb8-93d2fa968ca2': 'FairPlay',
+  'urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e': 'ClearKey',
+  'urn:uuid:1077efec-c0b2-4d02-ace3-3c1e52e2fb4b': 'ClearKey'
+};
+// Generic scheme, whose value is the encryption scheme (e.g. 'cenc').
+const DRM_SCHEME_MP4PROTECTION = 'urn:mpeg:dash:mp4protection:2011';
+
+// Trick mode (fast-forward/rewind) adaptation sets are not actual content.
+const SCHEME_TRICKMODE = 'http://dashif.org/guidelines/trickmode';
+
+export const CONTENT_TYPE_VIDEO = 'video';
+export const CONTENT_TYPE_AUDIO = 'audio';
+export const CONTENT_TYPE_TEXT = 'text';
+export const CONTENT_TYPE_IMAGE = 'image';
+
+// Parses ISO 8601 duration, as used in MPD.
+// Returns the number of seconds, or undefined if invalid.
+// Note: as usual, years are 365 days and months are 30 days.
+export function parseDuration(s) {
+  const m = /^P(?:([0-9.]+)Y)?(?:([0-9.]+)M)?(?:([0-9.]+)W)?(?:([0-9.]+)D)?(?:T(?:([0-9.]+)H)?(?:([0-9.]+)M)?(?:([0-9.]+)S)?)?$/.exec((s || '').trim());
+  if (!m || (m[0] === 'P') || m[0].endsWith('T')) return;
+  const factors = [365 * 86400, 30 * 86400, 7 * 86400, 86400, 3600, 60, 1];
+  let duration = 0;
+  for (const [idx, factor] of factors.entries()) {
+    const v = m[idx + 1];
+    if (v === undefined) continue;
+    const n = Number(v);
+    if (isNaN(n)) return;
+    duration += n * factor;
+  }
+  return duration;
+}
+
+// Parses frame rate, which may be a fraction (e.g. '30000/1001').
+export function parseFrameRate(s) {
+  if (!s) return;
+  const [num, den] = s.split('/').map(v => parseFloat(v));
+  if (isNaN(num)) return;
+  const v = (den === undefined) ? num : num / den;
+  if (!isFinite(v) || (v <= 0)) return;
+  return Math.round(v * 100) / 100;
+}
+
+// Parses (non-negative) integer attribute.
+function parseInteger(s) {
+  if (!/^[0-9]+$/.test(s || '')) return;
+  return parseInt(s);
+}
+
+// Fills segment template identifiers.
+export function fillTemplate(template, values) {
+  return template.replace(/\$(RepresentationID|Number|Bandwidth|Time|)(?:%0([0-9]+)d)?\$/g, (m, name, width) => {
+    if (!name) return '$';
+    let v = values[name];
+    if (v === undefined) return m;
+    v = `${v}`;
+    if (width) v = v.padStart(parseInt(width), '0');
+    return v;
+  });
+}
+
+// Converts DASH byte range ('first-last') to HLS one ('length@offset').
+function toHLSByteRange(range) {
+  const m = /^([0-9]+)-([0-9]+)$/.exec((range || '').trim());
+  if (!m) return;
+  const first = parseInt(m[1]);
+  const last = parseInt(m[2]);
+  return `${last - first + 1}@${first}`;
+}
+
+// Builds an HLS media playlist from DASH periods segments.
+// Each part contains the initialization segment (if any) and media segments.
+export function buildHLSPlaylist(parts, live) {
+  const targetDuration = Math.max(1, ...parts.flatMap(part => part.segments.map(segment => Math.ceil(segment.duration))));
+  const lines = [
+    '#EXTM3U',
+    // EXT-X-MAP needs version 6, we don't need more.
+    '#EXT-X-VERSION:6',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0'
+  ];
+  if (!live) lines.push('#EXT-X-PLAYLIST-TYPE:VOD');
+  let init;
+  for (const [idx, part] of parts.entries()) {
+    if (idx > 0) lines.push('#EXT-X-DISCONTINUITY');
+    if (part.init && !util.deepEqual(part.init, init)) {
+      const byteRange = toHLSByteRange(part.init.range);
+      lines.push(`#EXT-X-MAP:URI="${part.init.url}"${byteRange ? `,BYTERANGE="${byteRange}"` : ''}`);
+    }
+    init = part.init;
+    for (const segment of part.segments) {
+      lines.push(`#EXTINF:${+segment.duration.toFixed(6)},`);
+      const byteRange = toHLSByteRange(segment.range);
+      if (byteRange) lines.push(`#EXT-X-BYTERANGE:${byteRange}`);
+      lines.push(segment.url);
+    }
+  }
+  if (!live) lines.push('#EXT-X-ENDLIST');
+  return `${lines.join('\n')}\n`;
+}
+
+
+// DASH manifest.
+export class DASHManifest {
+
+  constructor(value, params) {
+    params = params || {};
+    this.raw = value;
+    this.url = params.url;
+    this.periods = [];
+    this.streams = [];
+    this.parse(value, params);
+    this.findStreams();
+  }
+
+  parse(value, params) {
+    if (value === undefined) return;
+
+    if (params.debug) console.log(`Parsing DASH content from=<${this.url}>`);
+
+    let mpd;
+    try {
+      mpd = parseXML(value);
+    } catch (error) {
+      if (params.debug) console.log('Ignore non-XML DASH content:', error);
+      return;
+    }
+    if (mpd.name !== 'MPD') {
+      if (params.debug) console.log(`Ignore DASH content with root element=<${mpd.name}>`);
+      return;
+    }
+
+    this.live = mpd.attributes.type === 'dynamic';
+    this.duration = parseDuration(mpd.attributes.mediaPresentationDuration);
+    const base = resolveBaseURL(mpd, this.url);
+
+    const periods = getChildren(mpd, 'Period');
+    let start = 0;
+    for (const [idx, el] of periods.entries()) {
+      // Period starts at given time, or when the previous one ends.
+      const periodStart = parseDuration(el.attributes.start);
+      if (periodStart !== undefined) start = periodStart;
+      // Period ends when the next one starts, or at the end of the
+      // presentation.
+      let duration = parseDuration(el.attributes.duration);
+      if (duration === undefined) {
+        const nextStart = parseDuration(periods[idx + 1]?.attributes.start);
+        if (nextStart !== undefined) duration = nextStart - start;
+        else if ((idx === periods.length - 1) && (this.duration !== undefined)) duration = this.duration - start;
+      }
+      const period = new DASHPeriod(el, {
+        idx,
+        start,
+        duration,
+        base
+      });
+      this.periods.push(period);
+      if (duration !== undefined) start += duration;
+    }
+    if ((this.duration === undefined) && this.periods.length && this.periods.every(period => period.duration !== undefined)) {
+      this.duration = this.periods.reduce((sum, period) => sum + period.duration, 0);
+    }
+  }
+
+  findStreams() {
+    const first = this.periods.at(0);
+    if (!first) return;
+
+    // Audio and subtitles tracks are shared by all video streams.
+    // For each adaptation set, use the best representation.
+    const audio = [];
+    const subtitles = [];
+    for (const adaptationSet of first.adaptationSets) {
+      const contentType = adaptationSet.contentType;
+      if ((contentType !== CONTENT_TYPE_AUDIO) && (contentType !== CONTENT_TYPE_TEXT)) continue;
+      const representation = adaptationSet.getBest();
+      if (!representation) continue;
+      const track = new DASHTrack(this, representation);
+      if (!track.uri) continue;
+      if (contentType === CONTENT_TYPE_AUDIO) audio.push(track);
+      else subtitles.push(track);
+    }
+    // Main audio track first.
+    audio.sort((a, b) => (b.main ? 1 : 0) - (a.main ? 1 : 0));
+
+    for (const adaptationSet of first.adaptationSets) {
+      for (const representation of adaptationSet.representations) {
+        if (representation.contentType !== CONTENT_TYPE_VIDEO) continue;
+        const stream = new DASHStream(this, representation, {audio, subtitles});
+        if (!stream.raw) continue;
+        this.streams.push(stream);
+      }
+    }
+    // Best streams first.
+    this.streams.sort((a, b) => (b.dash.bandwidth || 0) - (a.dash.bandwidth || 0));
+  }
+
+  // Gets representations to use, in each period, for the given first period
+  // representation.
+  // In other periods, we use the representation with the same id, or the one
+  // with the closest bandwidth in the same kind of adaptation set.
+  getPeriodsRepresentations(representation) {
+    const representations = [representation];
+    for (const period of this.periods.slice(1)) {
+      let found = period.findRepresentation(r => r.id === representation.id);
+      if (!found) {
+        let best;
+        period.findRepresentation(r => {
+          if (r.contentType !== representation.contentType) return false;
+          if (representation.lang && (r.lang !== representation.lang)) return false;
+          const diff = Math.abs((r.bandwidth || 0) - (representation.bandwidth || 0));
+          if (!best || (diff < best.diff)) best = {r, diff};
+          return false;
+        });
+        found = best?.r;
+      }
+      if (!found) break;
+      representations.push(found);
+    }
+    return representations;
+  }
+
+  // Builds equivalent HLS media playlist for the given representation.
+  getHLSPlaylist(representation) {
+    const parts = this.getPeriodsRepresentations(representation).map(r => r.getSegments());
+    if (!parts.length || parts.some(part => !part.segments.length)) return;
+    return {
+      raw: buildHLSPlaylist(parts, this.live),
+      duration: parts.flatMap(part => part.segments).reduce((sum, segment) => sum + segment.duration, 0),
+      segments: parts.reduce((sum, part) => sum + part.segments.length, 0)
+    };
+  }
+
+}
+
+// Resolves element BaseURL (if any) against parent one.
+function resolveBaseURL(el, base) {
+  const baseURL = getChild(el, 'BaseURL')?.text.trim();
+  if (!baseURL) return base;
+  try {
+    return new URL(baseURL, base).href;
+  } catch {
+    return base;
+  }
+}
+
+// Merges segment information (template, list or base), which may be defined
+// at period, adaptation set and representation levels: attributes are
+// inherited from upper levels.
+function mergeSegmentInfo(parent, el) {
+  for (const kind of ['SegmentTemplate', 'SegmentList', 'SegmentBase']) {
+    const node = getChild(el, kind);
+    if (!node) continue;
+    const inherited = (parent?.kind === kind) ? parent : {attributes: {}};
+    const urls = getChildren(node, 'SegmentURL');
+    return {
+      kind,
+      attributes: Object.assign({}, inherited.attributes, node.attributes),
+      timeline: getChild(node, 'SegmentTimeline') || inherited.timeline,
+      initialization: getChild(node, 'Initialization') || inherited.initialization,
+      urls: urls.length ? urls : inherited.urls
+    };
+  }
+  return parent;
+}
+
+// Gets ContentProtection schemes.
+function getProtection(el) {
+  return getChildren(el, 'ContentProtection').map(cp => {
+    const scheme = (cp.attributes.schemeIdUri || '').toLowerCase();
+    if (scheme === DRM_SCHEME_MP4PROTECTION) return cp.attributes.value || 'cenc';
+    return DRM_SCHEMES[scheme] || cp.attributes.schemeIdUri;
+  });
+}
+
+// DASH period.
+class DASHPeriod {
+
+  constructor(el, params) {
+    this.id = el.attributes.id;
+    this.idx = params.idx;
+    this.start = params.start;
+    this.duration = params.duration;
+    this.base = resolveBaseURL(el, params.base);
+    this.hasBaseURL = !!getChild(el, 'BaseURL');
+    this.segmentInfo = mergeSegmentInfo(undefined, el);
+    this.adaptationSets = getChildren(el, 'AdaptationSet')
+      .map(as => new DASHAdaptationSet(this, as))
+      .filter(as => !as.trickMode && as.representations.length);
+  }
+
+  findRepresentation(predicate) {
+    for (const adaptationSet of this.adaptationSets) {
+      const found = adaptationSet.representations.find(predicate);
+      if (found) return found;
+    }
+  }
+
+}
+
+// DASH adaptation set.
+class DASHAdaptationSet {
+
+  constructor(period, el) {
+    this.period = period;
+    const attributes = el.attributes;
+    this.lang = attributes.lang;
+    this.label = getChild(el, 'Label')?.text || attributes.label;
+    this.base = resolveBaseURL(el, period.base);
+    this.hasBaseURL = period.hasBaseURL || !!getChild(el, 'BaseURL');
+    this.segmentInfo = mergeSegmentInfo(period.segmentInfo, el);
+    this.protection = getProtection(el);
+    this.main = getChildren(el, 'Role').some(role => role.attributes.value === 'main');
+    this.trickMode = getChildren(el, 'EssentialProperty').some(p => p.attributes.schemeIdUri === SCHEME_TRICKMODE);
+    this.representations = getChildren(el, 'Representation').map(r => new DASHRepresentation(this, el, r));
+    // All representations are expected to share the same content type.
+    this.contentType = this.representations.at(0)?.contentType;
+  }
+
+  // Gets best (highest bandwidth) representation.
+  getBest() {
+    let best;
+    for (const representation of this.representations) {
+      if (!best || ((representation.bandwidth || 0) > (best.bandwidth || 0))) best = representation;
+    }
+    return best;
+  }
+
+}
+
+// DASH representation.
+class DASHRepresentation {
+
+  constructor(adaptationSet, asEl, el) {
+    this.adaptationSet = adaptationSet;
+    this.period = adaptationSet.period;
+    // Most attributes can be set at adaptation set level.
+    const attributes = Object.assign({}, asEl.attributes, el.attributes);
+    this.id = attributes.id;
+    this.bandwidth = parseInteger(el.attributes.bandwidth);
+    this.width = parseInteger(attributes.width);
+    this.height = parseInteger(attributes.height);
+    this.frameRate = parseFrameRate(attributes.frameRate);
+    this.codecs = attributes.codecs;
+    this.mimeType = attributes.mimeType;
+    this.lang = adaptationSet.lang;
+    this.label = adaptationSet.label;
+    this.main = adaptationSet.main;
+    this.base = resolveBaseURL(el, adaptationSet.base);
+    this.hasBaseURL = adaptationSet.hasBaseURL || !!getChild(el, 'BaseURL');
+    this.segmentInfo = mergeSegmentInfo(adaptationSet.segmentInfo, el);
+    this.protection = adaptationSet.protection.concat(getProtection(el));
+    this.contentType = DASHRepresentation.determineContentType(attributes);
+  }
+
+  static determineContentType(attributes) {
+    if (attributes.contentType) return attributes.contentType;
+    const mimeType = attributes.mimeType || '';
+    const mainType = mimeType.split('/')[0];
+    if ([CONTENT_TYPE_VIDEO, CONTENT_TYPE_AUDIO, CONTENT_TYPE_TEXT, CONTENT_TYPE_IMAGE].includes(mainType)) return mainType;
+    if (mimeType.includes('ttml')) return CONTENT_TYPE_TEXT;
+    // Determine from codecs: 'video' if there is any video codec.
+    const kinds = (attributes.codecs || '').split(',').map(codec => {
+      codec = codec.trim();
+      if (/^(stpp|wvtt)/i.test(codec)) return CONTENT_TYPE_TEXT;
+      const kind = codecs.StreamCodec.parse(codec).kind;
+      if (kind === codecs.STREAM_KIND_VIDEO) return CONTENT_TYPE_VIDEO;
+      if (kind === codecs.STREAM_KIND_AUDIO) return CONTENT_TYPE_AUDIO;
+    });
+    for (const kind of [CONTENT_TYPE_VIDEO, CONTENT_TYPE_AUDIO, CONTENT_TYPE_TEXT]) {
+      if (kinds.includes(kind)) return kind;
+    }
+  }
+
+  // Gets initialization and media segments.
+  getSegments() {
+    const info = this.segmentInfo;
+    const kind = info?.kind;
+    if (kind === 'SegmentTemplate') return this.getTemplateSegments(info);
+    if (kind === 'SegmentList') return this.getListSegments(info);
+    // Single segment: either 'SegmentBase' or only BaseURL.
+    if (!this.hasBaseURL || (this.period.duration === undefined)) return {segments: []};
+    return {
+      segments: [{
+        url: this.base,
+        duration: this.period.duration
+      }]
+    };
+  }
+
+  // Gets segments timing: either from timeline, or from fixed duration.
+  // Returns time (in timescale unit) and duration (in seconds) for each
+  // segment.
+  getTimings(info) {
+    const timescale = parseInteger(info.attributes.timescale) || 1;
+    const offset = parseInteger(info.attributes.presentationTimeOffset) || 0;
+    const periodDuration = this.period.duration;
+    const end = (periodDuration !== undefined) ? offset + periodDuration * timescale : undefined;
+    const timings = [];
+
+    if (info.timeline) {
+      const entries = getChildren(info.timeline, 'S');
+      let t = offset;
+      for (const [idx, s] of entries.entries()) {
+        const d = parseInteger(s.attributes.d);
+        if (!d) continue;
+        if (s.attributes.t !== undefined) t = parseInteger(s.attributes.t) || 0;
+        let r = parseInt(s.attributes.r || '0');
+        if (isNaN(r)) r = 0;
+        if (r < 0) {
+          // Repeat until next entry start, or period end.
+          const nextT = parseInteger(entries[idx + 1]?.attributes.t);
+          const until = (nextT !== undefined) ? nextT : end;
+          r = (until !== undefined) ? Math.ceil((until - t) / d) - 1 : 0;
+        }
+        for (let i = 0; i <= r; i++) {
+          timings.push({
+            time: t,
+            duration: d / timescale
+          });
+          t += d;
+        }
+      }
+      return timings;
+    }
+
+    const d = parseInteger(info.attributes.duration);
+    if (!d) return timings;
+    if (end === undefined) {
+      // Without known period duration, we can only rely on segments list.
+      for (let idx = 0; idx < (info.urls || []).length; idx++) {
+        timings.push({
+          time: offset + idx * d,
+          duration: d / timescale
+        });
+      }
+      return timings;
+    }
+    for (let t = offset; t < end; t += d) {
+      timings.push({
+        time: t,
+        duration: Math.min(d, end - t) / timescale
+      });
+    }
+    return timings;
+  }
+
+  getTemplateSegments(info) {
+    const attributes = info.attributes;
+    const startNumber = parseInteger(attributes.startNumber);
+    const values = {
+      RepresentationID: this.id,
+      Bandwidth: this.bandwidth
+    };
+    const r = {
+      segments: []
+    };
+    if (attributes.initialization) {
+      r.init = {
+        url: new URL(fillTemplate(attributes.initialization, values), this.base).href
+      };
+    }
+    if (!attributes.media) return r;
+    for (const [idx, timing] of this.getTimings(info).entries()) {
+      const url = fillTemplate(attributes.media, Object.assign({}, values, {
+        Number: ((startNumber !== undefined) ? startNumber : 1) + idx,
+        Time: timing.time
+      }));
+      r.segments.push({
+        url: new URL(url, this.base).href,
+        duration: timing.duration
+      });
+    }
+    return r;
+  }
+
+  getListSegments(info) {
+    const r = {
+      segments: []
+    };
+    const initialization = info.initialization;
+    if (initialization) {
+      r.init = {
+        url: new URL(initialization.attributes.sourceURL || '', this.base).href
+      };
+      if (initialization.attributes.range) r.init.range = initialization.attributes.range;
+    }
+    const timings = this.getTimings(info);
+    for (const [idx, segmentURL] of (info.urls || []).entries()) {
+      const timing = timings[idx];
+      if (!timing) break;
+      const segment = {
+        url: new URL(segmentURL.attributes.media || '', this.base).href,
+        duration: timing.duration
+      };
+      if (segmentURL.attributes.mediaRange) segment.range = segmentURL.attributes.mediaRange;
+      r.segments.push(segment);
+    }
+    return r;
+  }
+
+}
+
+// Gets unique URL, for the given manifest representation.
+function getRepresentationURL(manifest, representation) {
+  const url = new URL(manifest.url);
+  url.hash = `${representation.contentType}=${encodeURIComponent(representation.id || '')}`;
+  return url;
+}
+
+// DASH stream.
+// Mimics HLS stream, so that it can be handled the same way: its 'raw' content
+// is the equivalent HLS media playlist.
+// Since the stream is passed in messages, only plain fields are kept.
+class DASHStream {
+
+  constructor(manifest, representation, params) {
+    this.uri = getRepresentationURL(manifest, representation).href;
+    this.codecs = representation.codecs;
+    this.video = [];
+    this.audio = params.audio;
+    this.subtitles = params.subtitles;
+    // As for HLS, only set when protected.
+    if (representation.protection.length) this.protection = representation.protection;
+    this.dash = {
+      id: representation.id,
+      bandwidth: representation.bandwidth,
+      width: representation.width,
+      height: representation.height,
+      frameRate: representation.frameRate,
+      live: manifest.live,
+      periods: manifest.periods.length
+    };
+    this.determineName();
+    const playlist = manifest.getHLSPlaylist(representation);
+    if (!playlist) return;
+    this.raw = playlist.raw;
+    this.dash.segments = playlist.segments;
+    if (manifest.live) {
+      // As for HLS, duration of live stream is the one of the DVR window.
+      this.live = {
+        event: false,
+        window: playlist.duration
+      };
+      return;
+    }
+    if (playlist.duration > 0) this.duration = playlist.duration;
+    this.determineSize();
+  }
+
+  getURL() {
+    return new URL(this.uri);
+  }
+
+  // Keys cannot be retrieved: protected content needs DRM.
+  getKeys() {
+    return [];
+  }
+
+  determineName() {
+    const dash = this.dash;
+    let name;
+    if (dash.height) {
+      name = `${dash.height}p`;
+      if (dash.frameRate) name = `${name}@${dash.frameRate}`;
+    } else if (dash.bandwidth) {
+      // Bandwidth is in bits-per-second.
+      name = `≤${util.getSizeText(dash.bandwidth)}bps`;
+    } else {
+      name = dash.id;
+    }
+    this.name = name;
+  }
+
+  determineSize() {
+    if (!this.duration || !this.dash.bandwidth) return;
+    // Bandwidth is in bits-per-second.
+    this.size = Math.round(this.duration * this.dash.bandwidth / 8);
+    this.sizeQualifier = '≤';
+  }
+
+}
+
+// DASH track: audio or subtitles.
+// For audio, as for streams, 'raw' is the equivalent HLS media playlist.
+// For subtitles, 'uri' is the subtitles file when not segmented; otherwise
+// 'raw' is the equivalent HLS media playlist.
+class DASHTrack {
+
+  constructor(manifest, representation) {
+    this.lang = representation.lang;
+    this.name = representation.label || representation.lang;
+    this.codecs = representation.codecs;
+    this.main = representation.main;
+    if (representation.protection.length) this.protection = representation.protection;
+    const info = representation.segmentInfo;
+    if ((representation.contentType === CONTENT_TYPE_TEXT) && (!info || (info.kind === 'SegmentBase'))) {
+      // Subtitles file.
+      if (representation.hasBaseURL) this.uri = representation.base;
+      return;
+    }
+    const playlist = manifest.getHLSPlaylist(representation);
+    if (!playlist) return;
+    this.uri = getRepresentationURL(manifest, representation).href;
+    this.raw = playlist.raw;
+    this.segmented = true;
+  }
+
+  getURL() {
+    return new URL(this.uri);
+  }
+
+  getKeys() {
+    return [];
+  }
+
+}
@@ -1,6 +1,7 @@
 'use strict';
 
 import * as util from '../common/util.js';
+import * as codecs from '../common/stream-codecs.js';
 
 
 // See https://datatracker.ietf.org/doc/html/rfc8216
@@ -9,6 +10,24 @@ import * as util from '../common/util.js';
 // Tags that are followed by an URI line.
 const tagWithURI = new Set(['EXTINF', 'EXT-X-STREAM-INF']);
 
+// Encryption methods.
+export const KEY_METHOD_NONE = 'NONE';
+export const KEY_METHOD_AES_128 = 'AES-128';
+export const KEY_METHOD_SAMPLE_AES = 'SAMPLE-AES';
+export const KEY_METHOD_SAMPLE_AES_CTR = 'SAMPLE-AES-CTR';
+
+// Default key format: key is obtained from its URI.
+const KEY_FORMAT_IDENTITY = 'identity';
+// Key formats of known DRM systems.
+// Keys of such formats cannot be used as-is.
+const DRM_KEY_FORMATS = {
+  'com.apple.streamingkeydelivery': 'FairPlay',
+  'com.microsoft.playready': 'PlayReady',
+  'urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95': 'PlayReady',
+  'com.widevine': 'Widevine',
+  'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed': 'Widevine'
+};
+
 
 // HLS entity with tags.
 class HLSTagged {
@@ -73,18 +92,23 @@ export class HLSPlaylist extends HLSTagged {
       return;
     }
 
+    // Tag waiting for its URI.
+    // Note: other tags may be present in-between, e.g. 'EXT-X-BYTERANGE' after
+    // 'EXTINF'.
+    let pending;
     while (lines.length) {
       line = lines.shift();
       if (line[0] !== '#') {
-        if (params.debug) console.log(`Ignore HLS non-tag line=<${line}>`);
+        if (pending) {
+          pending.uri = HLSPlaylist.parseURI(line);
+          pending = undefined;
+        } else if (params.debug) {
+          console.log(`Ignore HLS non-tag line=<${line}>`);
+        }
         continue;
       }
       const tag = HLSPlaylist.parseTag(line);
-      if (HLSPlaylist.tagNeedsURI(tag) && lines.length) {
-        line = lines.shift();
-        tag.uri = HLSPlaylist.parseURI(line);
-        if (tag.uri === undefined) lines.unshift(line);
-      }
+      if (HLSPlaylist.tagNeedsURI(tag)) pending = tag;
       this.addTag(tag);
     }
   }
@@ -137,7 +161,7 @@ export class HLSPlaylist extends HLSTagged {
 
 // HLS stream.
 // Can be part of master playlist, or created from a non-master playlist.
-class HLSStream extends HLSTagged {
+export class HLSStream extends HLSTagged {
 
   constructor(params) {
     super();
@@ -147,6 +171,8 @@ class HLSStream extends HLSTagged {
     if (codecs) this.codecs = codecs;
     this.determineName();
     this.determineDuration();
+    this.determineLive();
+    this.determineProtection();
     this.video = this.determineRenditions('VIDEO');
     this.audio = this.determineRenditions('AUDIO');
     this.subtitles = this.determineRenditions('SUBTITLES');
@@ -156,22 +182,63 @@ class HLSStream extends HLSTagged {
     this.raw = actual.raw;
     this.tags = actual.tags;
     this.determineSize();
+    this.determineProtection();
   }
 
   getURL() {
     return new URL(this.uri, this.playlist?.url);
   }
 
+  // Gets (classified) keys.
+  // Keys may be rotated: all keys of the media playlist are collected, once
+  // each.
   getKeys() {
-    return this.getTags('EXT-X-KEY').map(tag => {
-      const method = tag.attributes['METHOD'];
-      let url;
-      if (method !== 'NONE') url = new URL(tag.attributes['URI'], this.getURL()).href;
-      return {
-        method,
-        url
-      };
-    });
+    const keys = [];
+    const seen = new Set();
+    for (const tag of this.getTags('EXT-X-KEY')) {
+      const key = HLSStream.classifyKey(tag.attributes['METHOD'], tag.attributes['KEYFORMAT']);
+      if (key.method === KEY_METHOD_NONE) continue;
+      const uri = tag.attributes['URI'];
+      if (uri) {
+        try {
+          key.url = new URL(uri, this.getURL()).href;
+        } catch {
+          key.url = uri;
+        }
+      }
+      const id = [key.method, key.keyFormat, key.url].join('|');
+      if (seen.has(id)) continue;
+      seen.add(id);
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  // Classifies key by its method and format.
+  // Only keys which can be fetched and used as-is are flagged 'usable'; DRM
+  // keys are associated to their system name.
+  static classifyKey(method, keyFormat) {
+    const key = {
+      method: method || KEY_METHOD_NONE
+    };
+    if (keyFormat) key.keyFormat = keyFormat;
+    if (key.method === KEY_METHOD_NONE) return key;
+    if (!keyFormat || (keyFormat === KEY_FORMAT_IDENTITY)) {
+      // Only known methods are usable.
+      key.usable = [KEY_METHOD_AES_128, KEY_METHOD_SAMPLE_AES, KEY_METHOD_SAMPLE_AES_CTR].includes(key.method);
+      if (!key.usable) key.drm = key.method;
+    } else {
+      key.usable = false;
+      key.drm = DRM_KEY_FORMATS[keyFormat.toLowerCase()] || keyFormat;
+    }
+    return key;
+  }
+
+  // Determines DRM systems protecting the stream, if any.
+  determineProtection() {
+    delete(this.protection);
+    const drm = new Set(this.getKeys().filter(key => key.drm).map(key => key.drm));
+    if (drm.size) this.protection = [...drm];
   }
 
   determineName() {
@@ -206,8 +273,23 @@ class HLSStream extends HLSTagged {
     if (this.duration <= 0) delete(this.duration);
   }
 
+  // Determines whether this is a live (or event) stream.
+  // Media playlist without 'EXT-X-ENDLIST' is still being updated: the
+  // duration is only the one of currently available segments, i.e. the DVR
+  // window.
+  determineLive() {
+    delete(this.live);
+    if (!this.getTags('EXTINF').length || this.getTag('EXT-X-ENDLIST')) return;
+    this.live = {
+      event: this.getTag('EXT-X-PLAYLIST-TYPE')?.value === 'EVENT',
+      window: this.duration
+    };
+    delete(this.duration);
+  }
+
   determineSize() {
     this.determineDuration();
+    this.determineLive();
     if (!this.duration || !this.tag) return;
 
     // Bandwidth is in bits-per-second.
@@ -220,6 +302,130 @@ class HLSStream extends HLSTagged {
     }
   }
 
+  // Analyzes media playlist segments.
+  // Determines segments count, exact duration, discontinuities, encryption
+  // changes, and exact size when all segments are byte ranges.
+  analyze() {
+    if (!this.raw) return;
+    const analysis = {
+      segments: 0,
+      duration: 0,
+      discontinuities: 0,
+      maps: 0,
+      keys: []
+    };
+    // Size is only known if all segments (and init segments) are byte ranges.
+    let size = 0;
+    let sizeKnown = true;
+    // Byte range offset defaults to the end of previous range of the same
+    // resource.
+    const rangeEnds = {};
+    // Current segment information, until its URI is reached.
+    let duration;
+    let byteRange;
+    let key;
+    let programDateTime;
+    let programDateTimeOffset = 0;
+
+    // Notes:
+    // We need tags in order, along with segments URI: walk through lines as
+    // when parsing the playlist.
+    const lines = this.raw.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line.length && ((line[0] !== '#') || line.startsWith('#EXT')));
+    for (const line of lines) {
+      if (line[0] !== '#') {
+        // Segment URI.
+        if (duration === undefined) continue;
+        const idx = analysis.segments++;
+        analysis.duration += duration;
+        if (programDateTime) programDateTimeOffset += duration;
+
+        // Keep track of encryption changes (including key rotation), as
+        // segment ranges.
+        const last = analysis.keys.at(-1);
+        const current = {
+          method: key?.method || 'NONE',
+          keyFormat: key?.keyFormat,
+          url: key?.url
+        };
+        if (!last || ['method', 'keyFormat', 'url'].some(field => last[field] !== current[field])) {
+          analysis.keys.push(Object.assign(current, {first: idx, last: idx}));
+        } else {
+          last.last = idx;
+        }
+
+        if (byteRange) {
+          if (byteRange.offset === undefined) byteRange.offset = rangeEnds[line] || 0;
+          rangeEnds[line] = byteRange.offset + byteRange.length;
+          size += byteRange.length;
+        } else {
+          sizeKnown = false;
+        }
+        duration = undefined;
+        byteRange = undefined;
+        continue;
+      }
+
+      const tag = HLSPlaylist.parseTag(line);
+      switch (tag.name) {
+        case 'EXTINF':
+          duration = tag.value;
+          break;
+
+        case 'EXT-X-BYTERANGE':
+          byteRange = HLSTagParser.parseByteRange(tag.value);
+          break;
+
+        case 'EXT-X-DISCONTINUITY':
+          analysis.discontinuities++;
+          break;
+
+        case 'EXT-X-MAP': {
+          analysis.maps++;
+          const range = HLSTagParser.parseByteRange(tag.attributes['BYTERANGE'] || '');
+          if (range) size += range.length;
+          else sizeKnown = false;
+          break;
+        }
+
+        case 'EXT-X-KEY':
+          key = {
+            method: tag.attributes['METHOD'],
+            keyFormat: tag.attributes['KEYFORMAT']
+          };
+          if ((key.method !== 'NONE') && tag.attributes['URI']) key.url = new URL(tag.attributes['URI'], this.getURL()).href;
+          break;
+
+        case 'EXT-X-PROGRAM-DATE-TIME': {
+          // Date applies to the next segment.
+          const date = new Date(tag.value);
+          if (isNaN(date.getTime())) break;
+          programDateTime = date;
+          programDateTimeOffset = 0;
+          if (!analysis.programDateTime) analysis.programDateTime = {start: date.toISOString()};
+          break;
+        }
+      }
+    }
+
+    if (programDateTime) {
+      analysis.programDateTime.end = new Date(programDateTime.getTime() + programDateTimeOffset * 1000).toISOString();
+    }
+    if (sizeKnown && analysis.segments) analysis.size = size;
+    this.analysis = analysis;
+
+    // Exact values supersede estimations.
+    // Except for live streams, for which they are not meaningful.
+    if (this.live) return analysis;
+    if (analysis.duration > 0) this.duration = analysis.duration;
+    if (analysis.size) {
+      this.size = analysis.size;
+      delete(this.sizeQualifier);
+    }
+    return analysis;
+  }
+
   determineRenditions(kind) {
     if (!this.tag || !this.playlist) return [];
     const groupId = this.tag.attributes[kind];
@@ -239,7 +445,9 @@ class HLSTrack {
     this.uri = this.tag.attributes['URI'];
     // Sometimes there is no LANGUAGE but only ASSOC-LANGUAGE.
     this.lang = this.tag.attributes['LANGUAGE'] || this.tag.attributes['ASSOC-LANGUAGE'];
+    this.default = !!this.tag.attributes['DEFAULT'];
     this.determineName();
+    this.determineCodecs();
   }
 
   getURL() {
@@ -253,6 +461,14 @@ class HLSTrack {
     this.name = name;
   }
 
+  // Audio renditions codecs are only listed in the associated stream.
+  determineCodecs() {
+    if (this.tag.attributes['TYPE'] !== 'AUDIO') return;
+    const audioCodecs = (this.stream.codecs || '').split(',').map(v => v.trim())
+      .filter(v => v && (codecs.StreamCodec.parse(v).kind === codecs.STREAM_KIND_AUDIO));
+    if (audioCodecs.length) this.codecs = audioCodecs.join(',');
+  }
+
 }
 
 export class HLSTagParser {
@@ -445,6 +661,17 @@ export class HLSTagParser {
     return s === 'YES';
   }
 
+  // Parses byte range: 'length[@offset]'.
+  static parseByteRange(s) {
+    const m = /^([0-9]+)(?:@([0-9]+))?$/.exec(s.trim());
+    if (!m) return;
+    const range = {
+      length: parseInt(m[1])
+    };
+    if (m[2] !== undefined) range.offset = parseInt(m[2]);
+    return range;
+  }
+
   static parseResolution(s) {
     const res = {
       width: 0,
@@ -0,0 +1,429 @@
+'use strict';
+
+import { getChild, getChildren, parseXML } from './xml.js';
+
+
+// Subtitles handling
+// ==================
+// We parse WebVTT, SubRip (SRT) and TTML/DFXP subtitles into a list of cues,
+// which can then be formatted as SRT or WebVTT.
+// Cues are objects with 'start' and 'end' times (in seconds) and 'text'. WebVTT
+// cues may also have 'settings' (position, alignment, ...), only used when
+// formatting back to WebVTT.
+// Cue text only keeps basic styling (<b>, <i> and <u> tags), which is the part
+// both output formats have in common; other markup is dropped, and entities
+// are decoded.
+//
+// HLS subtitle renditions usually are segmented WebVTT: each segment is a
+// standalone WebVTT file, with a 'X-TIMESTAMP-MAP' header mapping the cues
+// local time to the MPEG-TS timeline. Segments can be joined into one list of
+// cues whose times are relative to the first segment (the stream start).
+
+export const FORMAT_SRT = 'srt';
+export const FORMAT_VTT = 'vtt';
+export const FORMAT_TTML = 'ttml';
+// Not a subtitles format per se: HLS subtitles playlist (of segments).
+export const FORMAT_HLS = 'hls';
+
+// Formats we can output.
+export const formats = new Set([FORMAT_SRT, FORMAT_VTT]);
+
+// MPEG-TS timestamps are 33-bits values, with a 90kHz clock.
+const MPEGTS_CLOCK = 90000;
+const MPEGTS_ROLLOVER = 2 ** 33;
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00a0',
+  lrm: '\u200e',
+  rlm: '\u200f'
+};
+
+
+function stripBOM(s) {
+  return ((s || '')[0] === '\ufeff') ? s.substring(1) : (s || '');
+}
+
+// Splits content in blocks of lines, separated by blank lines.
+function getBlocks(raw) {
+  return stripBOM(raw).replace(/\r\n?/g, '\n').split(/\n(?:[ \t]*\n)+/)
+    .map(block => block.split('\n'))
+    .filter(lines => lines.some(line => line.trim()));
+}
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (m, entity) => {
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.substring(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.substring(1)));
+    return ENTITIES[entity] || m;
+  });
+}
+
+// Only keeps basic styling tags (dropping WebVTT classes if any).
+function cleanupMarkup(s) {
+  return s.replace(/<(\/?)([^\s.>/]*)[^>]*>/g, (m, closing, tag) => {
+    tag = tag.toLowerCase();
+    return ['b', 'i', 'u'].includes(tag) ? `<${closing}${tag}>` : '';
+  });
+}
+
+// Cleans up cue text lines: blank lines would end the cue.
+function cleanupLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(line => line).join('\n');
+}
+
+// Guesses subtitles format from content.
+// Returns undefined if unknown.
+export function detectFormat(raw) {
+  const s = stripBOM(raw).trimStart();
+  if (/^WEBVTT(?:[ \t\r\n]|$)/.test(s)) return FORMAT_VTT;
+  if (s.startsWith('#EXTM3U')) return FORMAT_HLS;
+  if (s.startsWith('<') && /<(?:[^\s>/:]+:)?tt[\s>]/.test(s)) return FORMAT_TTML;
+  if (/^\d+[ \t]*\r?\n[ \t]*(?:\d+:)?\d{2}:\d{2}[,.]\d+[ \t]+-->/.test(s)) return FORMAT_SRT;
+}
+
+// Parses WebVTT/SRT timestamp: '[hh:]mm:ss.ttt' (SRT uses ',' separator).
+// Returns the number of seconds, or undefined if invalid.
+export function parseTimestamp(s) {
+  const m = /^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{1,3})$/.exec((s || '').trim());
+  if (!m) return;
+  return (parseInt(m[1] || '0') * 3600) + (parseInt(m[2]) * 60) + parseInt(m[3]) +
+    (parseInt(m[4].padEnd(3, '0')) / 1000);
+}
+
+// Formats timestamp for the given format.
+// Negative times are not allowed, and are formatted as 0.
+export function formatTimestamp(t, format) {
+  let ms = Math.max(0, Math.round(t * 1000));
+  const h = Math.floor(ms / 3600000);
+  ms -= h * 3600000;
+  const m = Math.floor(ms / 60000);
+  ms -= m * 60000;
+  const s = Math.floor(ms / 1000);
+  ms -= s * 1000;
+  const pad = (v, length) => `${v}`.padStart(length, '0');
+  return `${pad(h, 2)}:${pad(m, 2)}:${pad(s, 2)}${(format === FORMAT_SRT) ? ',' : '.'}${pad(ms, 3)}`;
+}
+
+function parseCueTiming(line) {
+  const m = /^(\S+)[ \t]+-->[ \t]+(\S+)(.*)$/.exec(line.trim());
+  if (!m) return;
+  const start = parseTimestamp(m[1]);
+  const end = parseTimestamp(m[2]);
+  if ((start === undefined) || (end === undefined)) return;
+  return {
+    start,
+    end,
+    settings: m[3].trim()
+  };
+}
+
+// Parses WebVTT content.
+// Returns an object with 'cues', and 'timestampMap' if present: 'mpegts' is
+// the MPEG-TS timestamp corresponding to 'local' cues time (in seconds).
+export function parseVTT(raw) {
+  const blocks = getBlocks(raw);
+  const header = blocks.shift();
+  if (!header || !/^WEBVTT(?:[ \t]|$)/.test(header[0])) throw new Error('Invalid WebVTT content: missing header');
+  const r = {
+    cues: []
+  };
+  for (const line of header.slice(1)) {
+    if (!line.startsWith('X-TIMESTAMP-MAP=')) continue;
+    const fields = {};
+    for (const field of line.substring(16).split(',')) {
+      const idx = field.indexOf(':');
+      if (idx > 0) fields[field.substring(0, idx).trim()] = field.substring(idx + 1).trim();
+    }
+    const mpegts = parseInt(fields['MPEGTS']);
+    const local = parseTimestamp(fields['LOCAL']);
+    if (isNaN(mpegts) || (local === undefined)) throw new Error(`Invalid WebVTT timestamp map: ${line}`);
+    r.timestampMap = {mpegts, local};
+  }
+
+  for (const lines of blocks) {
+    // Skip comments, style and region definitions.
+    if (/^(?:NOTE|STYLE|REGION)(?:[ \t]|$)/.test(lines[0])) continue;
+    // Cue identifier is optional.
+    const idx = lines[0].includes('-->') ? 0 : 1;
+    const timing = parseCueTiming(lines[idx] || '');
+    if (!timing) continue;
+    const cue = {
+      start: timing.start,
+      end: timing.end,
+      text: cleanupLines(decodeEntities(cleanupMarkup(lines.slice(idx + 1).join('\n'))))
+    };
+    if (timing.settings) cue.settings = timing.settings;
+    if (cue.text) r.cues.push(cue);
+  }
+  return r;
+}
+
+// Parses SRT content.
+export function parseSRT(raw) {
+  const r = {
+    cues: []
+  };
+  for (const lines of getBlocks(raw)) {
+    // Cue index is expected, but be lenient.
+    const idx = lines[0].includes('-->') ? 0 : 1;
+    const timing = parseCueTiming(lines[idx] || '');
+    if (!timing) continue;
+    // Drop ASS-like override tags (e.g. '{\an8}') too.
+    const cue = {
+      start: timing.start,
+      end: timing.end,
+      text: cleanupLines(cleanupMarkup(lines.slice(idx + 1).join('\n')).replace(/\{\\[^}]*\}/g, ''))
+    };
+    if (cue.text) r.cues.push(cue);
+  }
+  return r;
+}
+
+// Gets TTML element attribute, whatever its namespace prefix.
+function getTTMLAttribute(el, name) {
+  for (const [key, value] of Object.entries(el.attributes)) {
+    if ((key === name) || key.endsWith(`:${name}`)) return value;
+  }
+}
+
+// Parses TTML time expression.
+// See: https://www.w3.org/TR/ttml1/#timing-value-timeExpression
+// Returns the number of seconds, or undefined if invalid.
+export function parseTTMLTime(s, timing) {
+  timing = Object.assign({frameRate: 30, subFrameRate: 1, tickRate: 1}, timing);
+  s = (s || '').trim();
+  let m = /^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:(\d+)(?:\.(\d+))?)?$/.exec(s);
+  if (m) {
+    let t = (parseInt(m[1]) * 3600) + (parseInt(m[2]) * 60) + parseInt(m[3]);
+    if (m[4]) t += Number(`0.${m[4]}`);
+    if (m[5]) t += (parseInt(m[5]) + (m[6] ? parseInt(m[6]) / timing.subFrameRate : 0)) / timing.frameRate;
+    return t;
+  }
+  m = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/.exec(s);
+  if (!m) return;
+  const v = Number(m[1]);
+  switch (m[2]) {
+    case 'h':
+      return v * 3600;
+    case 'm':
+      return v * 60;
+    case 's':
+      return v;
+    case 'ms':
+      return v / 1000;
+    case 'f':
+      return v / timing.frameRate;
+    case 't':
+      return v / timing.tickRate;
+  }
+}
+
+function getTTMLTiming(tt) {
+  let frameRate = Number(getTTMLAttribute(tt, 'frameRate')) || 30;
+  const multiplier = (getTTMLAttribute(tt, 'frameRateMultiplier') || '').trim().split(/\s+/).map(Number);
+  if ((multiplier.length === 2) && multiplier[0] && multiplier[1]) frameRate = frameRate * multiplier[0] / multiplier[1];
+  const subFrameRate = Number(getTTMLAttribute(tt, 'subFrameRate')) || 1;
+  // Tick rate defaults to frame rate (when given), or 1.
+  const tickRate = Number(getTTMLAttribute(tt, 'tickRate')) ||
+    (getTTMLAttribute(tt, 'frameRate') ? frameRate * subFrameRate : 1);
+  return {frameRate, subFrameRate, tickRate};
+}
+
+// Gets (basic) style of TTML element: referenced styles, then own attributes.
+function getTTMLStyle(el, styles, depth) {
+  depth = depth || 0;
+  const style = {};
+  for (const id of (getTTMLAttribute(el, 'style') || '').split(/\s+/)) {
+    const referenced = styles[id];
+    // Guard against (invalid) circular references.
+    if (referenced && (depth < 8)) Object.assign(style, getTTMLStyle(referenced, styles, depth + 1));
+  }
+  const fontStyle = getTTMLAttribute(el, 'fontStyle');
+  if (fontStyle) style.italic = (fontStyle !== 'normal');
+  const fontWeight = getTTMLAttribute(el, 'fontWeight');
+  if (fontWeight) style.bold = (fontWeight === 'bold');
+  const textDecoration = getTTMLAttribute(el, 'textDecoration');
+  if (textDecoration) style.underline = textDecoration.split(/\s+/).includes('underline');
+  return style;
+}
+
+function applyTTMLStyle(text, style) {
+  if (!text) return text;
+  if (style.underline) text = `<u>${text}</u>`;
+  if (style.bold) text = `<b>${text}</b>`;
+  if (style.italic) text = `<i>${text}</i>`;
+  return text;
+}
+
+function getTTMLText(el, styles) {
+  let text = '';
+  for (const node of el.content) {
+    if (typeof(node) === 'string') {
+      // Default whitespace handling: collapse.
+      text += node.replace(/\s+/g, ' ');
+    } else if (node.name === 'br') {
+      text += '\n';
+    } else if (node.name === 'span') {
+      text += applyTTMLStyle(getTTMLText(node, styles), getTTMLStyle(node, styles));
+    }
+    // Other elements (e.g. metadata) are ignored.
+  }
+  return text;
+}
+
+// Parses TTML (including DFXP) content.
+// Timing of nested elements is relative to their parent.
+export function parseTTML(raw) {
+  const tt = parseXML(stripBOM(raw), {mixed: true});
+  if (tt.name !== 'tt') throw new Error(`Invalid TTML root element=<${tt.name}>`);
+  const timing = getTTMLTiming(tt);
+  const styles = {};
+  const styling = getChild(getChild(tt, 'head') || tt, 'styling');
+  for (const style of (styling ? getChildren(styling, 'style') : [])) {
+    const id = getTTMLAttribute(style, 'id');
+    if (id) styles[id] = style;
+  }
+
+  const r = {
+    cues: []
+  };
+  function walk(el, parentBegin, parentEnd) {
+    const begin = parentBegin + (parseTTMLTime(getTTMLAttribute(el, 'begin'), timing) || 0);
+    let end = parseTTMLTime(getTTMLAttribute(el, 'end'), timing);
+    const dur = parseTTMLTime(getTTMLAttribute(el, 'dur'), timing);
+    if (end !== undefined) end += parentBegin;
+    else if (dur !== undefined) end = begin + dur;
+    else end = parentEnd;
+    if ((parentEnd !== undefined) && (end > parentEnd)) end = parentEnd;
+
+    if (el.name !== 'p') {
+      for (const child of el.children) walk(child, begin, end);
+      return;
+    }
+    // Cues need an end.
+    if (end === undefined) return;
+    const text = cleanupLines(applyTTMLStyle(getTTMLText(el, styles), getTTMLStyle(el, styles)));
+    if (text) r.cues.push({start: begin, end, text});
+  }
+  const body = getChild(tt, 'body');
+  if (body) walk(body, 0);
+  r.cues.sort((c1, c2) => c1.start - c2.start);
+  return r;
+}
+
+// Parses subtitles, whatever their format.
+// Returns an object with 'format', 'cues' and 'timestampMap' (if any).
+// Throws an Error if format is unknown or not handled.
+export function parse(raw) {
+  const format = detectFormat(raw);
+  let r;
+  switch (format) {
+    case FORMAT_VTT:
+      r = parseVTT(raw);
+      break;
+    case FORMAT_SRT:
+      r = parseSRT(raw);
+      break;
+    case FORMAT_TTML:
+      r = parseTTML(raw);
+      break;
+    default:
+      throw new Error(`Unhandled subtitles format=<${format}>`);
+  }
+  r.format = format;
+  return r;
+}
+
+// Gets cues time offset (in seconds) according to timestamp map, relatively to
+// the reference MPEG-TS timestamp.
+function getTimestampOffset(timestampMap, reference) {
+  if (!timestampMap) return 0;
+  let delta = timestampMap.mpegts - reference;
+  // Handle timestamps rollover.
+  if (delta < -MPEGTS_ROLLOVER / 2) delta += MPEGTS_ROLLOVER;
+  else if (delta > MPEGTS_ROLLOVER / 2) delta -= MPEGTS_ROLLOVER;
+  return (delta / MPEGTS_CLOCK) - timestampMap.local;
+}
+
+// Joins parsed subtitles segments.
+// Cues repeated in consecutive segments (or split across segments) are
+// merged.
+export function joinSegments(segments) {
+  const reference = segments.find(segment => segment.timestampMap)?.timestampMap.mpegts;
+  const cues = [];
+  for (const segment of segments) {
+    const offset = getTimestampOffset(segment.timestampMap, reference);
+    for (const cue of segment.cues) {
+      cues.push(Object.assign({}, cue, {
+        start: cue.start + offset,
+        end: cue.end + offset
+      }));
+    }
+  }
+  // Reminder: sorting is stable.
+  cues.sort((c1, c2) => c1.start - c2.start);
+
+  const r = [];
+  // Tolerance: timestamps precision.
+  const near = (t1, t2) => Math.abs(t1 - t2) < 0.001;
+  const last = new Map();
+  for (const cue of cues) {
+    const previous = last.get(cue.text);
+    if (previous && near(previous.start, cue.start) && near(previous.end, cue.end)) continue;
+    if (previous && (cue.start <= previous.end + 0.001) && (cue.end > previous.end)) {
+      previous.end = cue.end;
+      continue;
+    }
+    last.set(cue.text, cue);
+    r.push(cue);
+  }
+  return r;
+}
+
+function escapeVTT(text) {
+  return text.replace(/&/g, '&amp;').replace(/<(?!\/?[biu]>)/g, '&lt;').replace(/-->/g, '--&gt;');
+}
+
+// Formats cues in the given format.
+export function formatCues(cues, format) {
+  const blocks = [];
+  if (format === FORMAT_VTT) {
+    blocks.push('WEBVTT');
+    for (const cue of cues) {
+      const settings = cue.settings ? ` ${cue.settings}` : '';
+      blocks.push(`${formatTimestamp(cue.start, format)} --> ${formatTimestamp(cue.end, format)}${settings}\n${escapeVTT(cue.text)}`);
+    }
+  } else if (format === FORMAT_SRT) {
+    for (const [idx, cue] of cues.entries()) {
+      blocks.push(`${idx + 1}\n${formatTimestamp(cue.start, format)} --> ${formatTimestamp(cue.end, format)}\n${cue.text}`);
+    }
+  } else {
+    throw new Error(`Unhandled subtitles output format=<${format}>`);
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// Converts subtitles to the requested format.
+// 'contents' lists the subtitles content: more than one for segments to join.
+// Without requested format, original format is kept (WebVTT for segments in
+// a format we cannot output), and single content is returned as-is; same when
+// content already is in the requested format.
+// Returns an object with 'format' and 'raw' content.
+// Throws an Error if content cannot be parsed.
+export function convert(contents, format) {
+  if (contents.length === 1) {
+    const actual = detectFormat(contents[0]);
+    if (!format || (actual === format)) return {format: actual, raw: contents[0]};
+  }
+  const segments = contents.map(parse);
+  if (!format) format = formats.has(segments[0]?.format) ? segments[0].format : FORMAT_VTT;
+  return {
+    format,
+    raw: formatCues(joinSegments(segments), format)
+  };
+}
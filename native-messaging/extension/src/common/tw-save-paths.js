@@ -0,0 +1,75 @@
+'use strict';
+
+import * as util from './util.js';
+
+
+// TiddlyWiki custom save paths
+// ============================
+// A wiki may be saved to another path than the one it was opened from, e.g.
+// to save into a versioned directory, or to save a wiki built from a Node.js
+// wiki folder (opened from its 'output' subfolder) elsewhere.
+// This also allows saving wikis served over HTTP (where TW5 'put' saver would
+// save to the wiki URL, when the server accepts it) to their local file.
+// The list is defined as an array of objects with the following fields:
+//  - url: wiki URL pattern; '*' matches any characters; URL fragment is ignored
+//  - path: where to save the wiki; when ending with a path separator, this is
+//    the directory in which to save the wiki: as with the 'put' saver, the
+//    wiki URL path matched by a trailing '*' in the pattern is kept (including
+//    subfolders), otherwise the wiki is saved with its original file name
+// The first matching entry applies.
+
+const entryFields = new Set(['url', 'path']);
+
+// File name used when wiki URL is a directory (served index).
+const INDEX_FILENAME = 'index.html';
+
+// Decodes URL path segment, keeping it as-is upon error.
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+export class TwSavePaths {
+
+  // Builds list from raw value.
+  // Throws an Error if value is invalid.
+  constructor(entries) {
+    const validator = new util.ValueValidator('TiddlyWiki save paths');
+    if ((entries === undefined) || (entries === null)) entries = [];
+    validator.checkArray(entries);
+    this.entries = entries.map((entry, idx) => {
+      validator.label = `TiddlyWiki save path #${idx + 1}`;
+      validator.checkObject(entry, entryFields);
+      const url = validator.getString(entry, 'url');
+      return {
+        // Capture what is matched by wildcards.
+        url: new RegExp(`^${url.split('*').map(util.escapeRegExp).join('(.*)')}$`, 'i'),
+        trailingWildcard: url.endsWith('*'),
+        path: validator.getString(entry, 'path')
+      };
+    });
+  }
+
+  // Gets custom save path of wiki, given its URL.
+  // Returns undefined if there is no custom path.
+  getSavePath(url) {
+    url = util.normalizeUrl(url);
+    for (const entry of this.entries) {
+      const m = entry.url.exec(url);
+      if (!m) continue;
+      if (!/[\\/]$/.test(entry.path)) return entry.path;
+      // Get the relative path (URL path matched by trailing wildcard, or file
+      // name), without query.
+      let relative = entry.trailingWildcard ? m[m.length - 1] : new URL(url).pathname.split('/').pop();
+      relative = relative.split('?').shift();
+      const segments = relative.split('/').map(decodeSegment);
+      if (!segments[segments.length - 1]) segments[segments.length - 1] = INDEX_FILENAME;
+      const separator = entry.path.endsWith('\\') ? '\\' : '/';
+      return `${entry.path}${segments.join(separator)}`;
+    }
+  }
+
+}
@@ -246,6 +246,11 @@ export function formatObject(obj, processed, recursiveLoop) {
   return s;
 }
 
+// Formats error as string (kept as-is if already one).
+export function formatError(error) {
+  return (typeof(error) === 'string') ? error : formatObject(error);
+}
+
 // See: https://gist.github.com/jed/982883
 export function uuidv4() {
   return ([1e7]+-1e3+-4e3+-8e3+-1e11).replace(/[018]/g, c =>
@@ -332,6 +337,84 @@ export function callMethod(obj, m, args) {
   if (hasMethod(obj, m)) obj[m].apply(obj, args);
 }
 
+export function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Converts a '*' wildcard pattern to a regular expression.
+export function wildcardToRegExp(pattern, prefix) {
+  return new RegExp(`^${prefix || ''}${pattern.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+}
+
+// Converts a hostname pattern to a regular expression.
+// A pattern without wildcard also matches sub-domains.
+export function hostToRegExp(host) {
+  host = host.toLowerCase();
+  return host.includes('*')
+    ? wildcardToRegExp(host)
+    : wildcardToRegExp(host, '(?:.*\\.)?');
+}
+
+// Validates (JSON setting) values.
+// Throws an Error, prefixed with label, upon invalid value.
+export class ValueValidator {
+
+  constructor(label) {
+    this.label = label;
+  }
+
+  fail(msg) {
+    throw new Error(`${this.label}: ${msg}`);
+  }
+
+  // Checks value is an array.
+  checkArray(value) {
+    if (!Array.isArray(value)) this.fail('not an array');
+  }
+
+  // Checks value is an object, with known fields only.
+  checkObject(value, fields) {
+    if (!value || (typeof(value) !== 'object') || Array.isArray(value)) this.fail('not an object');
+    for (const key of Object.keys(value)) {
+      if (!fields.has(key)) this.fail(`unknown field=<${key}>`);
+    }
+  }
+
+  // Gets non-empty string value of given field.
+  getString(details, key) {
+    const v = details[key];
+    if ((typeof(v) !== 'string') || !v.trim()) this.fail(`${key} must be a non-empty string`);
+    return v.trim();
+  }
+
+  // Gets non-empty string value(s) of given field: either a string or an array
+  // of strings.
+  getStrings(details, key) {
+    const values = Array.isArray(details[key]) ? details[key] : [details[key]];
+    if (!values.length || values.some(v => (typeof(v) !== 'string') || !v.trim())) {
+      this.fail(`${key} must be a non-empty string or array of strings`);
+    }
+    return values.map(v => v.trim());
+  }
+
+  // Gets (possibly empty) array of non-empty strings of given field.
+  getStringArray(details, key) {
+    const values = details[key];
+    if (!Array.isArray(values) || values.some(v => (typeof(v) !== 'string') || !v.trim())) {
+      this.fail(`${key} must be an array of non-empty strings`);
+    }
+    return values.map(v => v.trim());
+  }
+
+  // Gets non-negative integer value of given field.
+  getInteger(details, key) {
+    const v = details[key];
+    if (!Number.isInteger(v) || (v < 0)) this.fail(`${key} must be a non-negative integer`);
+    return v;
+  }
+
+}
+
 // Ensure URL is in string format.
 // Useful when value is saved in field meant to be sent as message, as using the
 // original URL object will trigger a 'URL object could not be cloned' error.
@@ -0,0 +1,133 @@
+'use strict';
+
+
+// Video sources export formats
+// ============================
+// Exported sources are objects with:
+//  - 'url': the video (or HLS/DASH stream) URL
+//  - 'file': the download filename
+//  - 'title' (optional): the title to display
+//  - 'duration' (optional): duration in seconds
+//  - 'headers' (optional): request headers (name -> value) needed to download
+//  - 'audio' (optional): separate audio tracks, as objects with 'url' and
+//    optional 'lang' and 'name'
+//  - 'subtitles' (optional): subtitles, as objects with 'url' and optional
+//    'lang' and 'name'
+//  - 'tabUrl'/'tabTitle' (optional): the tab the source was found in
+//
+// M3U playlists only reference the video URL, with headers as VLC options.
+// Commands are meant for a (bash-like) shell; yt-dlp is given the video URL,
+// while ffmpeg also merges separate audio tracks.
+
+export const FORMAT_M3U = 'm3u';
+export const FORMAT_YTDLP = 'yt-dlp';
+export const FORMAT_FFMPEG = 'ffmpeg';
+export const FORMAT_JSON = 'json';
+
+export const formats = new Set([FORMAT_M3U, FORMAT_YTDLP, FORMAT_FFMPEG, FORMAT_JSON]);
+
+// Format details: label, and exported file extension and MIME type.
+export const formatsDetails = {
+  [FORMAT_M3U]: {label: 'M3U playlist', extension: 'm3u', mimeType: 'audio/x-mpegurl'},
+  [FORMAT_YTDLP]: {label: 'yt-dlp commands', extension: 'sh', mimeType: 'text/x-sh'},
+  [FORMAT_FFMPEG]: {label: 'ffmpeg commands', extension: 'sh', mimeType: 'text/x-sh'},
+  [FORMAT_JSON]: {label: 'JSON', extension: 'json', mimeType: 'application/json'}
+};
+
+// Headers passed to external tools, when known.
+const EXPORTED_HEADERS = ['Referer', 'User-Agent', 'Cookie'];
+
+function getHeaders(source) {
+  const headers = source.headers || {};
+  return EXPORTED_HEADERS.filter(name => headers[name]).map(name => [name, headers[name]]);
+}
+
+function getTitle(source) {
+  return source.title || source.file || source.url;
+}
+
+// Quotes a shell argument.
+function shellQuote(s) {
+  return `'${`${s}`.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+// Quotes a shell argument with (ANSI-C) escaped control characters.
+function shellQuoteEscaped(s) {
+  return `$'${s.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\r/g, '\\r').replace(/\n/g, '\\n')}'`;
+}
+
+// M3U entries cannot span lines.
+function m3uText(s) {
+  return `${s}`.replace(/[\r\n]+/g, ' ');
+}
+
+function toM3U(sources) {
+  const lines = ['#EXTM3U'];
+  for (const source of sources) {
+    const duration = (source.duration > 0) ? Math.round(source.duration) : -1;
+    lines.push(`#EXTINF:${duration},${m3uText(getTitle(source))}`);
+    for (const [name, value] of getHeaders(source)) {
+      if (name === 'Referer') lines.push(`#EXTVLCOPT:http-referrer=${m3uText(value)}`);
+      else if (name === 'User-Agent') lines.push(`#EXTVLCOPT:http-user-agent=${m3uText(value)}`);
+    }
+    lines.push(source.url);
+  }
+  return lines;
+}
+
+function toYtdlp(sources) {
+  return sources.map(source => {
+    const args = ['yt-dlp'];
+    for (const [name, value] of getHeaders(source)) {
+      args.push('--add-header', shellQuote(`${name}: ${value}`));
+    }
+    if (source.file) args.push('-o', shellQuote(source.file));
+    args.push(shellQuote(source.url));
+    return args.join(' ');
+  });
+}
+
+function toFfmpeg(sources) {
+  return sources.map(source => {
+    const args = ['ffmpeg'];
+    // Headers are input options, needed for each input.
+    const headers = getHeaders(source).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    const audio = source.audio || [];
+    for (const url of [source.url, ...audio.map(track => track.url)]) {
+      if (headers) args.push('-headers', shellQuoteEscaped(headers));
+      args.push('-i', shellQuote(url));
+    }
+    if (audio.length) {
+      args.push('-map', '0:v');
+      audio.forEach((track, idx) => {
+        args.push('-map', `${idx + 1}:a`);
+      });
+    }
+    args.push('-c', 'copy', shellQuote(source.file || 'video.mp4'));
+    return args.join(' ');
+  });
+}
+
+// Formats sources as text, in the given format.
+// Unknown format fallbacks to M3U.
+export function formatSources(sources, format, newline) {
+  newline = newline || '\n';
+  let lines;
+  switch (format) {
+    case FORMAT_YTDLP:
+      lines = ['#!/bin/bash', ...toYtdlp(sources)];
+      break;
+
+    case FORMAT_FFMPEG:
+      lines = ['#!/bin/bash', ...toFfmpeg(sources)];
+      break;
+
+    case FORMAT_JSON:
+      return `${JSON.stringify(sources, undefined, 2)}${newline}`;
+
+    default:
+      lines = toM3U(sources);
+      break;
+  }
+  return `${lines.join(newline)}${newline}`;
+}
@@ -0,0 +1,86 @@
+'use strict';
+
+import * as util from './util.js';
+
+
+// Video sources ignore list
+// =========================
+// Video sources to ignore (neither listed nor offered to download), e.g. ads
+// and preview clips.
+// The list is defined as an object with the following (optional) fields:
+//  - urls: array of URL patterns; '*' matches any characters
+//  - hosts: array of hostname patterns; '*' matches any characters, and a
+//    pattern without wildcard also matches sub-domains
+//  - minDuration: minimum duration (seconds); sources which duration is known
+//    and lower are ignored (live streams excepted)
+//  - minSize: minimum size (bytes); sources which size is known and lower are
+//    ignored
+
+const listFields = new Set(['urls', 'hosts', 'minDuration', 'minSize']);
+
+// Gets the URL pattern to ignore a source: the URL without query/fragment,
+// which often change between requests of the same resource.
+export function getUrlPattern(url) {
+  const u = new URL(url);
+  return (u.search || u.hash) ? `${u.origin}${u.pathname}*` : u.href;
+}
+
+// Adds an URL/host pattern to (raw) ignore list.
+// Returns the updated list, or undefined if the pattern was already there.
+export function addPattern(list, field, pattern) {
+  list = Object.assign({}, list);
+  const patterns = list[field] || [];
+  if (patterns.includes(pattern)) return;
+  list[field] = patterns.concat([pattern]);
+  // Validate the resulting list.
+  new VideoIgnoreList(list);
+  return list;
+}
+
+export class VideoIgnoreList {
+
+  // Builds list from raw value.
+  // Throws an Error if value is invalid.
+  constructor(details) {
+    const self = this;
+    const validator = new util.ValueValidator('Ignore list');
+    if ((details === undefined) || (details === null)) details = {};
+    validator.checkObject(details, listFields);
+
+    self.urls = ('urls' in details) ? validator.getStringArray(details, 'urls').map(url => util.wildcardToRegExp(url)) : [];
+    self.hosts = ('hosts' in details) ? validator.getStringArray(details, 'hosts').map(util.hostToRegExp) : [];
+    for (const key of ['minDuration', 'minSize']) {
+      if (key in details) self[key] = validator.getInteger(details, key);
+    }
+  }
+
+  isEmpty() {
+    return !this.urls.length && !this.hosts.length && !this.minDuration && !this.minSize;
+  }
+
+  // Checks whether source is to be ignored, given its details:
+  //  - url: the source URL
+  //  - duration: the source duration, if known
+  //  - live: whether the source is a live stream
+  //  - size: the source size, if known
+  // Returns the reason to ignore the source, if any.
+  check(details) {
+    if (details.url) {
+      if (this.urls.some(re => re.test(details.url))) return 'URL in ignore list';
+      let hostname;
+      try {
+        hostname = new URL(details.url).hostname;
+      } catch {
+        // Not a valid URL: nothing to match.
+      }
+      if (hostname && this.hosts.some(re => re.test(hostname))) return 'Host in ignore list';
+    }
+    if (this.minDuration && !details.live && (details.duration > 0) && (details.duration < this.minDuration)) {
+      return `Duration=<${details.duration}> below minimum`;
+    }
+    if (this.minSize && Number.isInteger(details.size) && (details.size >= 0) && (details.size < this.minSize)) {
+      return `Size=<${details.size}> below minimum`;
+    }
+  }
+
+}
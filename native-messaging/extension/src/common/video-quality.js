@@ -0,0 +1,140 @@
+'use strict';
+
+import * as codecs from './stream-codecs.js';
+
+
+// Video quality profile
+// =====================
+// Video sources are ordered according to a quality profile:
+//  - maximum resolution (height) and bandwidth: streams exceeding either limit
+//    come last, the closest to the limits first
+//  - preferred audio language: streams with a matching audio track come first
+//  - then the highest resolution
+//  - then the preferred video codec (as listed in the profile)
+//  - then the highest bandwidth
+// Limits and preferences are optional; missing information (e.g. plain video
+// files, or HLS non-master playlists) does not match any preference.
+// Sorting is stable: sources that compare equal keep their original order.
+
+export const CODEC_AVC = 'avc';
+export const CODEC_HEVC = 'hevc';
+export const CODEC_AV1 = 'av1';
+export const CODEC_VVC = 'vvc';
+
+// Codec families that can be preferred.
+export const codecFamilies = new Set([CODEC_AV1, CODEC_HEVC, CODEC_AVC, CODEC_VVC]);
+
+// Codec families, from codec details (determined by StreamCodec parsers).
+const CODEC_FAMILY = {
+  'H264': CODEC_AVC,
+  'H265': CODEC_HEVC,
+  'AV1': CODEC_AV1,
+  'H266': CODEC_VVC
+};
+
+// Gets the video codec family from a stream 'CODECS' value.
+// The first video codec is considered.
+export function getCodecFamily(value) {
+  for (const raw of (value || '').split(',')) {
+    const codec = codecs.StreamCodec.parse(raw.trim());
+    if (codec.kind !== codecs.STREAM_KIND_VIDEO) continue;
+    return CODEC_FAMILY[(codec.details || '').split(' ')[0]];
+  }
+}
+
+// Gets whether a language matches the wanted one.
+// Languages are compared case insensitively, and the wanted language matches
+// its regional variants (e.g. 'en' matches 'en-US').
+export function matchesLang(lang, wanted) {
+  if (!lang || !wanted) return false;
+  lang = lang.toLowerCase();
+  wanted = wanted.toLowerCase();
+  return (lang === wanted) || lang.startsWith(`${wanted}-`);
+}
+
+// Gets source quality information.
+// Source is expected to be a VideoSource (or its message form): HLS/DASH
+// stream information is in 'hls', audio tracks in 'audioTracks'.
+export function getQuality(source) {
+  const stream = source.hls;
+  const attributes = stream?.tag?.attributes || {};
+  const dash = stream?.dash || {};
+  return {
+    height: attributes['RESOLUTION']?.height || dash.height,
+    bandwidth: attributes['BANDWIDTH'] || dash.bandwidth,
+    codec: getCodecFamily(stream?.codecs),
+    langs: (source.audioTracks || []).map(track => track.lang).filter(lang => lang)
+  };
+}
+
+export class QualityProfile {
+
+  // Profile fields (all optional):
+  //  - maxHeight: maximum resolution height
+  //  - maxBandwidth: maximum bandwidth (bps)
+  //  - codecs: preferred codec families, by order of preference
+  //  - audioLang: preferred audio language
+  constructor(profile) {
+    Object.assign(this, {
+      maxHeight: 0,
+      maxBandwidth: 0,
+      codecs: [],
+      audioLang: ''
+    }, profile);
+  }
+
+  // Gets how much quality exceeds the profile limits.
+  // 0 when within limits, otherwise the highest ratio to the limits.
+  getExcess(quality) {
+    let excess = 0;
+    if (this.maxHeight && (quality.height > this.maxHeight)) excess = Math.max(excess, quality.height / this.maxHeight);
+    if (this.maxBandwidth && (quality.bandwidth > this.maxBandwidth)) excess = Math.max(excess, quality.bandwidth / this.maxBandwidth);
+    return excess;
+  }
+
+  // Gets the codec rank: lowest is preferred.
+  getCodecRank(quality) {
+    const idx = this.codecs.indexOf(quality.codec);
+    return (idx < 0) ? this.codecs.length : idx;
+  }
+
+  // Compares quality information.
+  // Negative when 'q1' is better than 'q2'.
+  compare(q1, q2) {
+    const self = this;
+    const comparisons = [
+      () => self.getExcess(q1) - self.getExcess(q2),
+      () => {
+        const wanted = self.audioLang;
+        return q2.langs.some(lang => matchesLang(lang, wanted)) - q1.langs.some(lang => matchesLang(lang, wanted));
+      },
+      () => (q2.height || 0) - (q1.height || 0),
+      () => self.getCodecRank(q1) - self.getCodecRank(q2),
+      () => (q2.bandwidth || 0) - (q1.bandwidth || 0)
+    ];
+    for (const comparison of comparisons) {
+      const r = comparison();
+      if (r) return r;
+    }
+    return 0;
+  }
+
+  // Sorts sources, best first.
+  // Returns a new array.
+  sort(sources) {
+    const entries = sources.map(source => ({source, quality: getQuality(source)}));
+    entries.sort((e1, e2) => this.compare(e1.quality, e2.quality));
+    return entries.map(entry => entry.source);
+  }
+
+  // Finds the best source.
+  // There is no best match when there is nothing to choose from, or when the
+  // best source quality is unknown.
+  findBest(sources) {
+    if (sources.length < 2) return;
+    const best = this.sort(sources)[0];
+    const quality = getQuality(best);
+    if (quality.height || quality.bandwidth) return best;
+  }
+
+}
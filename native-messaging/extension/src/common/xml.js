@@ -0,0 +1,106 @@
+'use strict';
+
+
+const XML_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\''
+};
+
+
+// Minimal XML parser.
+// We don't need (nor have, in unit tests) a complete DOM implementation: we
+// only need elements with their attributes, children and text.
+// Element names are stripped of their namespace prefix, attributes are kept
+// as-is.
+// When 'mixed' option is set, elements also have a 'content' field listing
+// children and (untrimmed) text nodes in document order; this is needed when
+// text and elements are interleaved (e.g. TTML paragraphs with spans and line
+// breaks).
+// Throws an Error if content is not well-formed enough to be parsed.
+export function parseXML(value, options) {
+  const mixed = options?.mixed;
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+  const stack = [];
+  let root;
+  let m;
+  while (re.lastIndex < value.length) {
+    const offset = re.lastIndex;
+    m = re.exec(value);
+    if (!m) throw new Error(`Invalid XML content at offset=<${offset}>`);
+    const current = stack.at(-1);
+    if (m[1] !== undefined) {
+      if (current) addText(current, m[1], mixed);
+    } else if (m[2] !== undefined) {
+      const name = stripPrefix(m[2]);
+      if (!current || (current.name !== name)) throw new Error(`Unexpected XML closing element=<${m[2]}> at offset=<${offset}>`);
+      current.text = current.text.trim();
+      stack.pop();
+    } else if (m[3] !== undefined) {
+      if (!current && root) throw new Error(`Unexpected XML element=<${m[3]}> at offset=<${offset}>: root already parsed`);
+      const el = {
+        name: stripPrefix(m[3]),
+        attributes: parseXMLAttributes(m[4]),
+        children: [],
+        text: ''
+      };
+      if (mixed) el.content = [];
+      if (current) {
+        current.children.push(el);
+        if (mixed) current.content.push(el);
+      } else {
+        root = el;
+      }
+      if (!m[5]) stack.push(el);
+    } else if (m[6] !== undefined) {
+      if (current) addText(current, decodeXMLEntities(m[6]), mixed);
+      else if (m[6].trim()) throw new Error(`Unexpected XML text at offset=<${offset}>`);
+    }
+    // Other cases: comment, processing instruction and doctype are ignored.
+  }
+  if (stack.length) throw new Error(`Unclosed XML element=<${stack.at(-1).name}>`);
+  if (!root) throw new Error('No XML root element');
+  return root;
+}
+
+function addText(el, text, mixed) {
+  el.text += text;
+  if (!mixed) return;
+  // Merge with previous text node (e.g. text then CDATA).
+  const content = el.content;
+  if (typeof(content.at(-1)) === 'string') content[content.length - 1] += text;
+  else content.push(text);
+}
+
+function stripPrefix(name) {
+  return name.split(':').pop();
+}
+
+function parseXMLAttributes(value) {
+  const attributes = {};
+  if (!value) return attributes;
+  for (const m of value.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[m[1]] = decodeXMLEntities((m[2] !== undefined) ? m[2] : m[3]);
+  }
+  return attributes;
+}
+
+function decodeXMLEntities(s) {
+  return s.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (m, entity) => {
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.substring(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.substring(1)));
+    return XML_ENTITIES[entity] || m;
+  });
+}
+
+// Gets the first child element with the given name.
+export function getChild(el, name) {
+  return el.children.find(child => child.name === name);
+}
+
+// Gets all children elements with the given name.
+export function getChildren(el, name) {
+  return el.children.filter(child => child.name === name);
+}
@@ -85,7 +85,7 @@ function updatePopup(msg) {
     return;
   }
 
-  const { title, subtitle } = msg.data;
+  const { title, subtitle, thumbnail } = msg.data;
   // Positions (absolute on screen) information:
   //  - containerLeft: left (x) of the container (browser action page)
   //  - itemTop: top (y) of the content selected item
@@ -108,6 +108,13 @@ function updatePopup(msg) {
     <div class="popup-title">${title}</div>
     <div class="popup-subtitle">${subtitle}</div>
   `);
+  // Only display image data URLs, so that we don't trigger remote requests.
+  if (thumbnail?.startsWith('data:image/')) {
+    const img = document.createElement('img');
+    img.classList.add('popup-thumbnail');
+    img.src = thumbnail;
+    popup.insertBefore(img, popup.querySelector('.popup-subtitle'));
+  }
 
   // Leave as much width as possible for the popup:
   //  - start with the width available between the left edges of the viewport
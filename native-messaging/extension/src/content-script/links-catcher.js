@@ -2,22 +2,42 @@
 
 import { constants } from '../common/constants.js';
 import * as util from '../common/util.js';
+import * as http from '../common/http.js';
+import * as unsafe from '../common/unsafe.js';
+import { LinksFilter } from '../common/links-filter.js';
+import * as linksFormat from '../common/links-format.js';
 import { settings } from '../common/settings.js';
 
 
 export async function run() {
   // We only work in top frame.
-  if (!settings.catchLinks || (window !== window.top)) return;
+  if (window !== window.top) return;
+
+  // Links catching can be enabled/disabled at any time (e.g. keyboard
+  // shortcut): only setup the catcher once enabled.
+  settings.inner.catchLinks.addListener(() => {
+    if (settings.catchLinks) setup();
+  });
+  if (settings.catchLinks) await setup();
+}
+
+let setupDone;
 
-  await util.waitForDocument();
+function setup() {
+  if (!setupDone) {
+    setupDone = (async () => {
+      await util.waitForDocument();
 
-  const link = document.createElement('link');
-  link.href = browser.runtime.getURL('/resources/content-script-links-catcher.css');
-  link.type = 'text/css';
-  link.rel = 'stylesheet';
-  document.head.appendChild(link);
+      const link = document.createElement('link');
+      link.href = browser.runtime.getURL('/resources/content-script-links-catcher.css');
+      link.type = 'text/css';
+      link.rel = 'stylesheet';
+      document.head.appendChild(link);
 
-  new LinksCatcher();
+      new LinksCatcher();
+    })();
+  }
+  return setupDone;
 }
 
 
@@ -77,6 +97,9 @@ const LINKS_REFRESH_DELAY = 100;
 // Margin (pixels) around links count hint
 const LINKS_COUNT_MARGIN = 5;
 
+// Maximum number of links listed when confirming download
+const LINKS_CONFIRM_LIMIT = 20;
+
 function searchLinks(node) {
   // We want to get all 'a' nodes which have a non-empty 'href' attribute.
   // See: CSS selectors
@@ -200,6 +223,8 @@ class LinkHandler {
     this.rect = new DOMRect(0, 0, 0, 0);
     // The highlight zones, if any
     this.highlights = [];
+    // Whether link is excluded by filter
+    this.excluded = false;
   }
 
   // Whether this link can be caught
@@ -338,6 +363,15 @@ class LinkHandler {
     return this.highlight(intersect ? this.rects : undefined, updated);
   }
 
+  // Changes whether link is excluded by filter
+  exclude(excluded) {
+    if (excluded === this.excluded) return;
+    this.excluded = excluded;
+    for (const node of this.highlights) {
+      node.classList.toggle('linksCatcher_excluded', excluded);
+    }
+  }
+
   // Changes link highlighting
   highlight(rects, updated) {
     // Notes:
@@ -357,6 +391,7 @@ class LinkHandler {
         const node = document.createElement('div');
         this.highlights.push(node);
         node.classList.add('linksCatcher_highlight');
+        if (this.excluded) node.classList.add('linksCatcher_excluded');
         node.style.left = `${rect.x}px`;
         node.style.top = `${rect.y}px`;
         node.style.width = `${rect.width}px`;
@@ -464,9 +499,22 @@ class LinksHandler {
   }
 
   check(handler) {
+    handler.exclude(!this.catcher.filter.matches(handler.link.href));
     this.updatedLink(handler, handler.catch(this.catcher.catchZone));
   }
 
+  // Applies (changed) filter to caught links
+  filter() {
+    for (const handler of this.handlers) {
+      if (handler.isCaught()) handler.exclude(!this.catcher.filter.matches(handler.link.href));
+    }
+  }
+
+  // Gets number of distinct caught links passing filter
+  getFiltered() {
+    return Object.keys(this.distincts).filter(href => this.catcher.filter.matches(href)).length;
+  }
+
   updatedLink(handler, diff) {
     this.caught += diff;
     const href = handler.link.href;
@@ -534,7 +582,7 @@ class LinksCatcher {
     debug('[LinksCatcher] Initializing');
 
     // Cleanup previous nodes if any (useful when reloading extension)
-    for (const node of document.querySelectorAll('.linksCatcher_catchZone, .linksCatcher_linksCount')) {
+    for (const node of document.querySelectorAll('.linksCatcher_catchZone, .linksCatcher_linksCount, .linksCatcher_filterBar')) {
       document.body.removeChild(node);
     }
 
@@ -564,11 +612,27 @@ class LinksCatcher {
     self.linksCountNode.style.display = 'none';
     document.body.appendChild(self.linksCountNode);
 
+    // Node to display filters
+    self.filterBarNode = document.createElement('div');
+    self.filterBarNode.classList.add('linksCatcher_filterBar');
+    self.filterBarNode.style.display = 'none';
+    document.body.appendChild(self.filterBarNode);
+
+    // Links refining script
+    self.linksRefining = new unsafe.CodeExecutor({
+      webext,
+      name: 'links refining',
+      args: ['params'],
+      setting: settings.linksCatcher.refining,
+      notifDefaults: globalThis.notifDefaults
+    });
+
     // Functions to dispatch events to
     self.eventHandlers = {
       mousedown: self.handleMouseDown.bind(self),
       mouseup: self.handleMouseUp.bind(self),
-      mousemove: self.handleMouseMove.bind(self)
+      mousemove: self.handleMouseMove.bind(self),
+      keydown: self.handleKeyDown.bind(self)
     };
     // Wrap handlers for debugging
     if (settings.debug.linksCatcher) {
@@ -604,6 +668,8 @@ class LinksCatcher {
       delete(this.mouseTracking);
     }
     this.unlistenEvent('mousemove');
+    this.unlistenEvent('keydown');
+    this.filterBarNode.style.display = 'none';
 
     // Reset catch zone
     delete(this.lastMouseEvent);
@@ -725,6 +791,9 @@ class LinksCatcher {
       const caught = this.linksHandler.caught;
       let text = `${caught}`;
       if (distincts !== caught) text = `${distincts}/${caught}`;
+      // Prefix with the number of links passing filter, if not all.
+      const filtered = this.linksHandler.getFiltered();
+      if (filtered !== distincts) text = `${filtered} of ${text}`;
       this.linksCountNode.textContent = text;
       const rect = getNodeRect(this.linksCountNode);
       let left = endPos.x + LINKS_COUNT_MARGIN;
@@ -775,12 +844,16 @@ class LinksCatcher {
   }
 
   // Processes caught links
-  processLinks() {
+  // Links are filtered and refined, then copied to clipboard, or downloaded if
+  // requested.
+  // Note: caught links are gathered before anything asynchronous, since the
+  // catcher is reset right after calling us.
+  async processLinks(download) {
     const handlers = [];
-    const caught = [];
-    // Keep caught links.
+    let links = [];
+    // Keep caught links passing filter.
     for (const handler of this.linksHandler.handlers) {
-      if (handler.isCaught()) handlers.push(handler);
+      if (handler.isCaught() && !handler.excluded) handlers.push(handler);
     }
     // Sort links depending on catch zone direction (from top or bottom, and
     // from left or right).
@@ -794,15 +867,136 @@ class LinksCatcher {
     });
     // Keep unique links.
     for (const handler of handlers) {
-      if (!caught.includes(handler.link.href)) caught.push(handler.link.href);
+      const url = handler.link.href;
+      if (links.some(link => link.url === url)) continue;
+      links.push({
+        url,
+        text: handler.link.textContent.replace(/\s+/g, ' ').trim(),
+        title: handler.link.title
+      });
     }
+    links = await this.refineLinks(links);
+    if (!links.length) return;
+    if (download) return this.downloadLinks(links);
+
+    this.copyLinks(links);
+  }
+
+  // Copies links to clipboard, in the configured format.
+  // When possible, an HTML list is also written alongside the text, so that
+  // pasting in rich editors keeps the links text.
+  async copyLinks(links) {
     // Determine system-dependent newline.
     const newline = (navigator.appVersion.indexOf('Win') >= 0) ? '\r\n' : '\n';
-    if (caught.length) navigator.clipboard.writeText(`${caught.join(newline)}${newline}`);
+    const text = linksFormat.formatLinks(links, settings.linksCatcher.format, newline);
+    if (globalThis.ClipboardItem) {
+      try {
+        await navigator.clipboard.write([new ClipboardItem({
+          'text/plain': new Blob([text], {type: 'text/plain'}),
+          'text/html': new Blob([linksFormat.toHtml(links, newline)], {type: 'text/html'})
+        })]);
+        return;
+      } catch (error) {
+        console.log('Failed to write rich content to clipboard:', error);
+      }
+    }
+    navigator.clipboard.writeText(text);
+  }
+
+  // Refines links through script, if any.
+  // Script can rewrite or drop each link; unique links are kept.
+  async refineLinks(links) {
+    const refined = [];
+    for (const link of links) {
+      const r = await this.linksRefining.execute({
+        params: {
+          url: link.url,
+          text: link.text,
+          pageUrl: location.href
+        }
+      });
+      if (r.drop) continue;
+      if (r.url) link.url = r.url;
+      if (!refined.some(other => other.url === link.url)) refined.push(link);
+    }
+    debug('[LinksCatcher.refineLinks] links=<%o> refined=<%o>', links, refined);
+    return refined;
+  }
+
+  // Shows filters, if any.
+  // Each filter is prefixed by the digit to press to toggle it.
+  updateFilterBar() {
+    const filters = this.filter.filters;
+    if (!filters.length) {
+      this.filterBarNode.style.display = 'none';
+      return;
+    }
+    this.filterBarNode.textContent = '';
+    filters.forEach((filter, idx) => {
+      const node = document.createElement('span');
+      node.classList.add('linksCatcher_filter');
+      if (!filter.active) node.classList.add('linksCatcher_filterInactive');
+      node.textContent = `[${idx + 1}] ${filter.label}`;
+      this.filterBarNode.appendChild(node);
+    });
+    this.filterBarNode.style.display = 'block';
+  }
+
+  // Downloads caught links, once confirmed by user.
+  // Links known size is displayed to help user decide.
+  async downloadLinks(links) {
+    links = links.filter(link => http.canDownload(link.url));
+    if (!links.length) return;
+
+    let sizes = [];
+    try {
+      sizes = await webext.sendMessage({
+        _routing: {
+          target: constants.TARGET_BACKGROUND_PAGE,
+          kind: constants.KIND_GET_DL_LINKS_SIZES
+        },
+        urls: links.map(link => link.url)
+      });
+    } catch (error) {
+      console.log('Failed to get links size:', error);
+    }
+    if (!Array.isArray(sizes)) sizes = [];
+    let total = 0;
+    let unknown = 0;
+    links.forEach((link, idx) => {
+      const size = sizes[idx];
+      if (Number.isInteger(size)) {
+        link.size = size;
+        total += size;
+      } else {
+        unknown++;
+      }
+    });
+
+    const message = [`Download ${links.length} link(s)?`];
+    message.push(`Total known size: ${util.getSizeText(total)}${unknown ? ` (${unknown} unknown)` : ''}`);
+    message.push('');
+    for (const link of links.slice(0, LINKS_CONFIRM_LIMIT)) {
+      message.push(`${link.url}${(link.size !== undefined) ? ` (${util.getSizeText(link.size)})` : ''}`);
+    }
+    if (links.length > LINKS_CONFIRM_LIMIT) message.push('...');
+    if (!confirm(message.join('\n'))) return;
+
+    webext.postMessage({
+      _routing: {
+        target: constants.TARGET_BACKGROUND_PAGE,
+        kind: constants.KIND_DL_LINKS
+      },
+      links,
+      referrer: location.href,
+      tabTitle: document.title
+    });
   }
 
   // Handles 'mousedown': starts catch zone and follows mouse
   handleMouseDown(ev) {
+    // Ignore if links catching was disabled.
+    if (!settings.catchLinks) return;
     // Right button triggers context menu right away on Linux.
     //if (ev.buttons !== constants.MOUSE_BUTTON_RIGHT) return;
     if ((ev.buttons !== constants.MOUSE_BUTTON_LEFT) || !ev.shiftKey) return;
@@ -815,6 +1009,16 @@ class LinksCatcher {
       document.body.classList.add('linksCatcher_noUserSelect');
     }
 
+    // Setup filter from current settings.
+    try {
+      this.filter = new LinksFilter(settings.linksCatcher.filter, location.href);
+    } catch (error) {
+      console.log('Invalid links filter:', error);
+      this.filter = new LinksFilter({}, location.href);
+    }
+    this.updateFilterBar();
+    this.listenEvent('keydown');
+
     this.lastMouseEvent = ev;
     this.catchZone.pos.start = { x: ev.pageX, y: ev.pageY };
     debug('[LinksCatcher.handleMouseDown] startPos=<%o>', this.catchZone.pos.start);
@@ -844,7 +1048,8 @@ class LinksCatcher {
       }
       this.skipContextMenu = false;
     }
-    this.processLinks();
+    // Download links instead of copying them if 'Ctrl' is pressed upon release.
+    this.processLinks(ev.ctrlKey);
     this.reset();
   }
 
@@ -853,6 +1058,18 @@ class LinksCatcher {
     this.lastMouseEvent = ev;
   }
 
+  // Handles 'keydown': toggles filter by digit
+  // Note: use key code, as 'Shift' may still be pressed.
+  handleKeyDown(ev) {
+    const m = (ev.code || '').match(/^(?:Digit|Numpad)([1-9])$/);
+    if (!m || !this.filter.toggle(Number(m[1]) - 1)) return;
+    ev.preventDefault();
+    ev.stopPropagation();
+    this.updateFilterBar();
+    this.linksHandler.filter();
+    this.updateLinksCount();
+  }
+
   // Adds event listener
   listenEvent(kind) {
     const handler = this.eventHandlers[kind];
@@ -3,6 +3,7 @@
 import { constants } from '../common/constants.js';
 import * as util from '../common/util.js';
 import { settings } from '../common/settings.js';
+import { TwSavePaths } from '../common/tw-save-paths.js';
 
 
 // Handles received extension messages.
@@ -27,6 +28,25 @@ function unhandledMessage(msg, sender) {
   };
 }
 
+// Handled TiddlyWiki kinds.
+const WIKI_TW5 = 'TW5';
+const WIKI_CLASSIC = 'TiddlyWiki Classic';
+
+// TiddlyWiki kind of document.
+let wikiKind;
+
+// Whether document is a local ('file:') one.
+let isLocal;
+
+// Original TiddlyWiki Classic file content, needed when saving.
+let originalContent;
+
+// TiddlyWiki file state, as known by native application when loading or last
+// saving the document.
+// Passed when saving, so that native application can detect whether the file
+// was modified by someone else.
+let fileState;
+
 // Whether the 'concurrent' warning is displayed
 // (to only display it only once until discarded)
 let warningConcurrent = false;
@@ -47,8 +67,18 @@ export function warnConcurrent(msg) {
 }
 
 export async function run() {
-  // We only work in top frame of 'file:' documents.
-  if ((window !== window.top) || !document.URL.match(/^file:.*html?$/i)) return;
+  // We only work in top frame of 'file:' documents, or of HTTP documents for
+  // which a custom save path is configured (wiki served over HTTP, that TW5
+  // 'put' saver cannot save when server does not accept it).
+  // Note: URL may contain a query or fragment (e.g. TW5 permalinks).
+  if (window !== window.top) return;
+  const url = new URL(document.URL);
+  if (url.protocol === 'file:') {
+    if (!url.pathname.match(/\.html?$/i)) return;
+  } else if (!['http:', 'https:'].includes(url.protocol) || !getCustomPath()) {
+    return;
+  }
+  isLocal = (url.protocol === 'file:');
 
   await util.waitForDocument();
 
@@ -67,10 +97,14 @@ export async function run() {
 
   // Enable TiddlyWiki handling when applicable.
   let ready = false;
-  if (isTW5()) {
-    if (settings.debug.misc) console.log('Is TW5');
+  wikiKind = getWikiKind();
+  // TiddlyWiki Classic can only save local documents.
+  if ((wikiKind === WIKI_CLASSIC) && !isLocal) wikiKind = undefined;
+  if (wikiKind) {
+    if (settings.debug.misc) console.log(`Is ${wikiKind}`);
     try {
-      injectMessageBox();
+      const messageBox = injectMessageBox();
+      if (messageBox && (wikiKind === WIKI_CLASSIC)) injectClassicSaver(messageBox);
       checkConcurrent();
       ready = true;
     } catch (error) {
@@ -81,7 +115,7 @@ export async function run() {
       console.error('Failed to initialize TiddlyWiki handling:', error);
     }
   } else if (settings.debug.misc) {
-    console.log('Is not TW5');
+    console.log('Is not TiddlyWiki');
   }
 
   if (ready) {
@@ -97,11 +131,61 @@ export async function run() {
           kind: 'error'
         });
         console.error('Native application is not working:', r.error);
+        return;
       }
+      loadState();
+      if (wikiKind === WIKI_CLASSIC) loadOriginal();
     });
   }
 }
 
+// Gets TiddlyWiki file state.
+function loadState() {
+  webext.sendMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_TW_STATE
+    },
+    path: getWikiPath()
+  }).then(r => {
+    if (r.error) throw r.error;
+    fileState = r.state;
+    if (settings.debug.misc) console.log('TiddlyWiki file state:', fileState);
+  }).catch(error => {
+    // Not critical: we won't be able to detect external modifications.
+    console.warn('Failed to get TiddlyWiki file state:', error);
+  });
+}
+
+// Gets TiddlyWiki Classic original file content.
+function loadOriginal() {
+  webext.sendMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_TW_STATE
+    },
+    path: getLocalPath(),
+    withContent: true
+  }).then(r => {
+    if (r.error) throw r.error;
+    originalContent = r.content;
+  }).catch(error => {
+    displayModal('Failed to load TiddlyWiki original file', {
+      body: 'TiddlyWiki Classic needs its original file to save changes.\n' +
+        formatError(error),
+      kind: 'error'
+    });
+    console.error('Failed to load TiddlyWiki original file:', error);
+  });
+}
+
+// Formats error to display.
+// Path rejected by native application: message tells how to allow it.
+function formatError(error) {
+  if (error?.kind !== constants.ERROR_PATH_NOT_ALLOWED) return util.formatObject(error);
+  return `Path is not allowed by the native application.\n${error.message}`;
+}
+
 // Displays a modal message.
 // See: https://www.w3schools.com/howto/howto_css_modals.asp
 function displayModal(title, params) {
@@ -133,18 +217,46 @@ function displayModal(title, params) {
   }
   modalBody.appendChild(bodyNode);
 
+  // Removes modal message.
+  function close() {
+    if (params.callback) params.callback();
+    modal.style.display = 'none';
+    document.body.removeChild(modal);
+  }
+
+  // Add buttons, if any: modal message is removed before executing the
+  // button action.
+  if (params.buttons?.length) {
+    const buttonsNode = document.createElement('div');
+    buttonsNode.classList.add('modal-buttons');
+    for (const button of params.buttons) {
+      const buttonNode = document.createElement('button');
+      buttonNode.appendChild(document.createTextNode(button.label));
+      buttonNode.addEventListener('click', event => {
+        close();
+        if (button.action) button.action();
+      });
+      buttonsNode.appendChild(buttonNode);
+    }
+    modalBody.appendChild(buttonsNode);
+  }
+
   // Insert and display message
   modal.style.display = 'block';
   document.body.appendChild(modal);
 
   // Remove modal message when 'close' icon is clicked
   modalClose.addEventListener('click', event => {
-    if (params.callback) params.callback();
-    modal.style.display = 'none';
-    document.body.removeChild(modal);
+    close();
   });
 }
 
+// Gets TiddlyWiki kind of document, if any.
+function getWikiKind() {
+  if (isTW5()) return WIKI_TW5;
+  if (isClassic()) return WIKI_CLASSIC;
+}
+
 // Gets whether this is a TW5 document
 function isTW5() {
   // TW5 has a <meta name="application-name" content="TiddlyWiki" /> header
@@ -154,6 +266,14 @@ function isTW5() {
   return false;
 }
 
+// Gets whether this is a TiddlyWiki Classic document
+function isClassic() {
+  // TiddlyWiki Classic has a <script id="versionArea"> defining its version
+  // (with 'TiddlyWiki' title), and a <div id="storeArea"> containing tiddlers.
+  const versionArea = document.getElementById('versionArea');
+  return !!versionArea && /TiddlyWiki/.test(versionArea.textContent) && !!document.getElementById('storeArea');
+}
+
 // Checks whether a same TiddlyWiki is open in other tabs/windows.
 function checkConcurrent() {
   // Delegate checking to background script, which will notify concerned tabs.
@@ -169,7 +289,8 @@ function checkConcurrent() {
   });
 }
 
-function getSavePath(message) {
+// Gets TiddlyWiki local path, from document location.
+function getLocalPath() {
   // Notes:
   // Historically, TW generates a 'tiddlyfox-save-file' message, which field
   // 'data-tiddlyfox-path' points to the save path.
@@ -214,6 +335,16 @@ function getSavePath(message) {
   return pathname;
 }
 
+// Gets TiddlyWiki custom save path, if any.
+function getCustomPath() {
+  return new TwSavePaths(settings.tw.savePaths).getSavePath(document.URL);
+}
+
+// Gets path where to save TiddlyWiki: custom save path if any, or local path.
+function getWikiPath() {
+  return getCustomPath() || getLocalPath();
+}
+
 // Interoperate with TiddlyWiki save mechanism
 function injectMessageBox() {
   // See: https://groups.google.com/forum/#!msg/tiddlywiki/BWkudgla4ms/mvv6mxeg0lAJ
@@ -258,37 +389,134 @@ function injectMessageBox() {
   messageBox.addEventListener('tiddlyfox-save-file', event => {
     // Get the details
     const message = event.target;
-    const path = getSavePath(message);
     const content = message.getAttribute('data-tiddlyfox-content');
+    // TiddlyWiki Classic also saves other files (backups, RSS feed): save
+    // those as requested.
+    const messagePath = message.getAttribute('data-tiddlyfox-path');
+    if ((wikiKind === WIKI_CLASSIC) && (messagePath !== getLocalPath())) {
+      saveFile(message, messagePath, content, {auxiliary: true});
+      return false;
+    }
 
     // Save the file
-    webext.sendMessage({
-      _routing: {
-        target: constants.TARGET_BACKGROUND_PAGE,
-        kind: constants.KIND_TW_SAVE
-      },
-      path,
-      content
-    }).then(r => {
-      // Error are notified though the response 'error' field
-      if (r.error) throw r.error;
-      // Notify TiddlyWiki saving is done
-      const ev = document.createEvent('Events');
-      ev.initEvent('tiddlyfox-have-saved-file', true, false);
-      message.dispatchEvent(ev);
-
-      // Cleanup processed event
-      message.parentNode.removeChild(message);
-    }).catch(error => {
-      // Saving failed
-      displayModal('Could not save TiddlyWiki', {
-        body: 'Failed to save file.\n' +
-          util.formatObject(error),
-        kind: 'error'
-      });
-      console.error('Failed to save TiddlyWiki:', error);
-    });
+    saveFile(message, getWikiPath(), content, {});
 
     return false;
   });
+
+  return messageBox;
+}
+
+// Interoperate with TiddlyWiki Classic save mechanism
+function injectClassicSaver(messageBox) {
+  // TiddlyWiki Classic loads the original file, and saves files, through the
+  // 'mozillaLoadFile' and 'mozillaSaveFile' functions: define them in the page
+  // so that saving goes through the message box, as for TW5 (this is what the
+  // TiddlyFox extension did).
+  // Both functions are synchronous: the original file content was retrieved
+  // beforehand, and saving is assumed successful (errors being displayed).
+  exportFunction((filePath, content) => {
+    const message = document.createElement('div');
+    message.setAttribute('data-tiddlyfox-path', filePath);
+    message.setAttribute('data-tiddlyfox-content', content);
+    messageBox.appendChild(message);
+    const ev = document.createEvent('Events');
+    ev.initEvent('tiddlyfox-save-file', true, false);
+    message.dispatchEvent(ev);
+    return true;
+  }, window, { defineAs: 'mozillaSaveFile' });
+  exportFunction(filePath => {
+    // Only the wiki file itself can be loaded.
+    return ((filePath === getLocalPath()) && originalContent) || null;
+  }, window, { defineAs: 'mozillaLoadFile' });
+}
+
+// Saves TiddlyWiki file.
+// Options:
+//  - force: skip content sanity check
+//  - overwrite: overwrite file even if modified by someone else
+//  - copy: save a copy next to the file
+//  - auxiliary: file is not the wiki itself (TiddlyWiki Classic backups and
+//    RSS feed)
+// Unless forced, the native application refuses to save content that does not
+// look like a valid TiddlyWiki, or when the file was modified by someone else;
+// user may then decide what to do.
+function saveFile(message, path, content, options) {
+  webext.sendMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_TW_SAVE
+    },
+    path,
+    content,
+    state: options.auxiliary ? undefined : fileState,
+    force: options.force,
+    overwrite: options.overwrite,
+    copy: options.copy,
+    auxiliary: options.auxiliary
+  }).then(r => {
+    // Error are notified though the response 'error' field
+    if (r.error) throw r.error;
+    // Remember new file state (not changed when saving a copy).
+    if (!options.auxiliary && r.state) fileState = r.state;
+    // TiddlyWiki Classic original file changed when saved in place.
+    if ((wikiKind === WIKI_CLASSIC) && !options.auxiliary && !options.copy && (path === getLocalPath())) {
+      originalContent = content;
+    }
+    if (options.copy) {
+      displayModal('TiddlyWiki saved as copy', {
+        body: `TiddlyWiki was saved as:\n${r.path}`,
+        kind: 'info'
+      });
+    }
+    // Notify TiddlyWiki saving is done
+    const ev = document.createEvent('Events');
+    ev.initEvent('tiddlyfox-have-saved-file', true, false);
+    message.dispatchEvent(ev);
+
+    // Cleanup processed event
+    message.parentNode.removeChild(message);
+  }).catch(error => {
+    // File was modified by someone else: let user decide.
+    if (error?.kind === constants.ERROR_TW_CONFLICT) {
+      displayModal('TiddlyWiki file was modified', {
+        body: `${error.message}.\nIt may have been changed from another browser or machine (e.g. synchronized folder).`,
+        kind: 'error',
+        buttons: [{
+          label: 'Overwrite',
+          action: () => saveFile(message, path, content, Object.assign({}, options, {overwrite: true}))
+        }, {
+          label: 'Save as copy',
+          action: () => saveFile(message, path, content, Object.assign({}, options, {copy: true}))
+        }, {
+          label: 'Reload',
+          action: () => location.reload()
+        }]
+      });
+      console.warn('TiddlyWiki file was modified:', error);
+      return;
+    }
+    // Content did not pass sanity check: let user decide.
+    if (error?.kind === constants.ERROR_TW_SANITY_CHECK) {
+      displayModal('TiddlyWiki content looks invalid', {
+        body: `${error.message}.\nSaving it may lose data; previous file is backed up before saving.`,
+        kind: 'error',
+        buttons: [{
+          label: 'Save anyway',
+          action: () => saveFile(message, path, content, Object.assign({}, options, {force: true}))
+        }, {
+          label: 'Cancel'
+        }]
+      });
+      console.warn('TiddlyWiki content did not pass sanity check:', error);
+      return;
+    }
+    // Saving failed
+    displayModal('Could not save TiddlyWiki', {
+      body: 'Failed to save file.\n' +
+        formatError(error),
+      kind: 'error'
+    });
+    console.error('Failed to save TiddlyWiki:', error);
+  });
 }
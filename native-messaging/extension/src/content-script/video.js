@@ -7,6 +7,16 @@ import * as unsafe from '../common/unsafe.js';
 import { settings } from '../common/settings.js';
 
 
+// Gets the media tags to process: 'audio' tags are processed like 'video' ones
+// when audio interception is enabled.
+function getMediaTags() {
+  return settings.video.audio.intercept ? ['video', 'audio'] : ['video'];
+}
+
+function isMedia(node) {
+  return !!node.tagName && getMediaTags().includes(node.tagName.toLowerCase());
+}
+
 function findShadows(node) {
   // If the node itself is a shadow host, process it.
   if (node.sharowRoot instanceof Node) {
@@ -27,24 +37,26 @@ function findShadows(node) {
 function processShadow(node) {
   // Observe and find video in each child.
   for (const child of node.shadowRoot.children) {
-    if (child.tagName !== 'VIDEO') nodesObserver.observe(child, { childList: true, subtree: true });
+    if (!isMedia(child)) nodesObserver.observe(child, { childList: true, subtree: true });
     findVideo(child);
   }
 }
 
 function findVideo(node) {
-  // If the node is a video, process it.
-  if (node.tagName === 'VIDEO') {
+  // If the node is a video (or audio), process it.
+  if (isMedia(node)) {
     processVideo(node);
     return;
   }
 
-  // Otherwise, search for 'video' children.
+  // Otherwise, search for 'video' (and 'audio') children.
   // Note: depending on node type (e.g. text node), there may be no children
   // available and thus no 'getElementsByTagName' method.
   if (node.getElementsByTagName) {
-    for (const v of node.getElementsByTagName('video')) {
-      processVideo(v);
+    for (const tag of getMediaTags()) {
+      for (const v of node.getElementsByTagName(tag)) {
+        processVideo(v);
+      }
     }
   }
 
@@ -94,6 +106,45 @@ const VIDEO_EVENTS = ['loadstart', 'loadeddata', 'canplay', 'canplaythrough', 'p
 // need for this code to have a precise timing when tab is inactive.
 const delayed = asynchronous.delayPromise(100);
 
+// Maximum thumbnail size.
+const THUMBNAIL_MAX_WIDTH = 320;
+const THUMBNAIL_MAX_HEIGHT = 180;
+
+// Captures a video thumbnail, as a small image data URL.
+// The current frame is used when available, otherwise the poster if any.
+// Nothing is returned if capture is not possible: e.g. no data yet, or canvas
+// tainted by cross-origin content.
+async function captureThumbnail(node) {
+  if (node.tagName !== 'VIDEO') return;
+  let image = node;
+  let width = node.videoWidth;
+  let height = node.videoHeight;
+  if (!width || !height || (node.readyState < node.HAVE_CURRENT_DATA)) {
+    if (!node.poster) return;
+    image = new Image();
+    image.src = node.poster;
+    try {
+      await image.decode();
+    } catch {
+      return;
+    }
+    width = image.naturalWidth;
+    height = image.naturalHeight;
+    if (!width || !height) return;
+  }
+
+  const scale = Math.min(1, THUMBNAIL_MAX_WIDTH / width, THUMBNAIL_MAX_HEIGHT / height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  try {
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch (error) {
+    if (settings.debug.video) console.log('Failed to capture video source=<%o> thumbnail:', node, error);
+  }
+}
+
 function processVideo(node) {
   // Notes:
   // Page can add 'source' tags children to the video. Its purpose is to let
@@ -201,13 +252,38 @@ function processVideo(node) {
       notifDefaults
     });
     util.cleanupFields(scriptResult);
-    webext.postMessage(Object.assign({
+    const msg = {
       _routing: {
         target: constants.TARGET_BACKGROUND_PAGE,
         kind: constants.KIND_ADD_VIDEO_SOURCE
       },
       url: src
-    }, scriptResult));
+    };
+    // Flag sources from 'audio' tags.
+    if (node.tagName === 'AUDIO') msg.audioOnly = true;
+    webext.postMessage(Object.assign(msg, scriptResult));
+    // Send the thumbnail separately: capturing it may take time (poster image
+    // to load), which must not delay the source detection.
+    // Capture it once the video has data, if not possible yet.
+    addVideoThumbnail(src).then(sent => {
+      if (!sent && (node.tagName === 'VIDEO')) node.addEventListener('loadeddata', () => addVideoThumbnail(src), { once: true });
+    });
+  }
+
+  // Sends video thumbnail, if it can be captured.
+  // Returns whether thumbnail was sent.
+  async function addVideoThumbnail(src) {
+    const thumbnail = await captureThumbnail(node);
+    if (!thumbnail) return false;
+    webext.postMessage({
+      _routing: {
+        target: constants.TARGET_BACKGROUND_PAGE,
+        kind: constants.KIND_ADD_VIDEO_THUMBNAIL
+      },
+      url: src,
+      thumbnail
+    });
+    return true;
   }
 
   async function processVideoSource() {
@@ -294,8 +370,9 @@ export async function run() {
   if (refined?.intercept?.disabled || !(refined?.intercept?.video ?? true)) return;
 
   await util.waitForDocument();
-  // Observe mutations in document, to detect new video tags being added.
+  // Observe mutations in document, to detect new video (and audio) tags being
+  // added.
   nodesObserver.observe(document.body, { childList: true, subtree: true });
-  // Lookup existing video tags.
+  // Lookup existing video (and audio) tags.
   findVideo(document.body);
 }
@@ -34,6 +34,9 @@ const exportButton = document.querySelector('#export');
 const importButton = document.querySelector('#import');
 const importFile = document.querySelector('#import-file');
 const resetButton = document.querySelector('#reset');
+const shortcutsNode = document.querySelector('#shortcuts');
+const shortcutItemNode = document.querySelector('#shortcut-item');
+const resetShortcutsButton = document.querySelector('#resetShortcuts');
 
 function downloadDone(url, id) {
   // Remove download entry when applicable.
@@ -69,12 +72,14 @@ exportButton.addEventListener('click', () => {
     // Add comment lines with all settings, which makes it easier to track
     // changes in multi-line string values.
     // Notes:
-    // We don't expect sub-objects.
-    // Handle arrays a simple way, even if not used yet.
+    // Sub-objects (e.g. rules) are displayed as JSON.
+    // Handle arrays a simple way.
     // We don't need to be able to parse back, so don't bother with separators.
     function stringify(v, prefix) {
       if ((v === undefined) || (v === null)) {
         v = 'null';
+      } else if (!Array.isArray(v) && (typeof(v) === 'object')) {
+        v = JSON.stringify(v, undefined, 2);
       } else if (Array.isArray(v)) {
         const arr = [];
         for (const v2 of v) {
@@ -191,3 +196,43 @@ resetButton.addEventListener('click', () => {
     });
   });
 });
+
+// Lists keyboard shortcuts (extension commands), which can be changed.
+// Shortcuts are persisted by the browser.
+async function refreshShortcuts() {
+  shortcutsNode.querySelectorAll(':scope > .form-label').forEach(node => {
+    node.remove();
+  });
+  for (const command of await browser.commands.getAll()) {
+    const node = shortcutItemNode.cloneNode(true);
+    node.removeAttribute('id');
+    node.querySelector('span').textContent = `${command.description || command.name}:`;
+    const field = node.querySelector('input');
+    field.value = command.shortcut || '';
+    field.addEventListener('change', () => {
+      // Empty value removes the shortcut.
+      browser.commands.update({
+        name: command.name,
+        shortcut: field.value.trim()
+      }).then(() => {
+        field.removeAttribute('title');
+        field.classList.toggle('field-error', false);
+      }).catch(error => {
+        field.setAttribute('title', error.toString());
+        field.classList.toggle('field-error', true);
+      });
+    });
+    shortcutsNode.appendChild(node);
+  }
+}
+
+// Handle reseting shortcuts.
+resetShortcutsButton.addEventListener('click', async () => {
+  resetShortcutsButton.blur();
+  for (const command of await browser.commands.getAll()) {
+    await browser.commands.reset(command.name);
+  }
+  await refreshShortcuts();
+});
+
+refreshShortcuts();
@@ -0,0 +1,132 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as http from 'http';
+import { Aria2Backend } from '../background/download-backends.js';
+
+
+describe('download-backends', function() {
+
+  describe('Aria2Backend', function() {
+
+    // Mock aria2 JSON-RPC server.
+    // Records received requests, and responds with the 'response' function
+    // result.
+    let server;
+    let url;
+    let requests;
+    let response;
+
+    before(function(done) {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+          const request = JSON.parse(body);
+          requests.push(request);
+          const r = response(request);
+          res.writeHead(r.error ? 400 : 200, {'Content-Type': 'application/json'});
+          res.end(JSON.stringify(Object.assign({jsonrpc: '2.0', id: request.id}, r)));
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}/jsonrpc`;
+        done();
+      });
+    });
+
+    after(function(done) {
+      server.close(done);
+    });
+
+    beforeEach(function() {
+      requests = [];
+      response = () => ({result: '2089b05ecca3d829'});
+    });
+
+    it('should add download', async function() {
+      const backend = new Aria2Backend({url});
+      const r = await backend.send({url: 'https://example.com/file.zip'});
+      assert.deepEqual(r, {gid: '2089b05ecca3d829'});
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].jsonrpc, '2.0');
+      assert.equal(requests[0].method, 'aria2.addUri');
+      assert.deepEqual(requests[0].params, [['https://example.com/file.zip'], {}]);
+    });
+
+    it('should pass secret token', async function() {
+      const backend = new Aria2Backend({url, secret: 's3cr3t'});
+      await backend.send({url: 'https://example.com/file.zip'});
+      assert.deepEqual(requests[0].params, ['token:s3cr3t', ['https://example.com/file.zip'], {}]);
+    });
+
+    it('should pass download options', async function() {
+      const backend = new Aria2Backend({url, dir: '/downloads/'});
+      await backend.send({
+        url: 'https://example.com/file.zip',
+        referrer: 'https://example.com/',
+        userAgent: 'Mozilla/5.0',
+        cookie: 'a=b',
+        file: 'other.zip',
+        folder: 'archives',
+        headers: [
+          {name: 'Referer', value: 'https://example.com/page'},
+          {name: 'Cookie', value: 'c=d'},
+          {name: 'Origin', value: 'https://example.com'}
+        ]
+      });
+      assert.deepEqual(requests[0].params[1], {
+        out: 'other.zip',
+        dir: '/downloads/archives',
+        referer: 'https://example.com/',
+        'user-agent': 'Mozilla/5.0',
+        header: ['Origin: https://example.com', 'Cookie: a=b']
+      });
+    });
+
+    it('should resolve directory', function() {
+      let backend = new Aria2Backend({url});
+      assert.equal(backend.getDir(), undefined);
+      assert.equal(backend.getDir('archives'), 'archives');
+      backend = new Aria2Backend({url, dir: '/downloads'});
+      assert.equal(backend.getDir(), '/downloads');
+      assert.equal(backend.getDir('archives'), '/downloads/archives');
+      assert.equal(backend.getDir('/archives'), '/archives');
+      assert.equal(backend.getDir('C:\\archives'), 'C:\\archives');
+    });
+
+    it('should handle RPC error', async function() {
+      response = () => ({error: {code: 1, message: 'Unauthorized'}});
+      const backend = new Aria2Backend({url});
+      const r = await backend.send({url: 'https://example.com/file.zip'});
+      assert.equal(r.error, 'aria2 error code=<1>: Unauthorized');
+      assert.ok(!r.unreachable);
+    });
+
+    it('should handle unreachable server', async function() {
+      // Get a port nobody listens to.
+      const other = http.createServer();
+      await new Promise(resolve => other.listen(0, '127.0.0.1', resolve));
+      const port = other.address().port;
+      await new Promise(resolve => other.close(resolve));
+
+      const backend = new Aria2Backend({url: `http://127.0.0.1:${port}/jsonrpc`});
+      const r = await backend.send({url: 'https://example.com/file.zip'});
+      assert.ok(r.error);
+      assert.ok(r.unreachable);
+    });
+
+    it('should not handle HLS streams', async function() {
+      const backend = new Aria2Backend({url});
+      const details = {url: 'https://example.com/stream.m3u8', hls: [{}]};
+      assert.ok(!backend.canHandle(details));
+      assert.ok(backend.canHandle({url: 'https://example.com/file.zip'}));
+      const r = await backend.send(details);
+      assert.ok(r.error);
+      assert.ok(!r.unreachable);
+      assert.equal(requests.length, 0);
+    });
+
+  });
+
+});
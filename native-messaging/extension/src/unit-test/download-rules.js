@@ -0,0 +1,154 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as rules from '../common/download-rules.js';
+
+
+describe('download-rules', function() {
+
+  describe('DownloadRules', function() {
+
+    it('should handle no rules', function() {
+      for (const raw of [undefined, null, []]) {
+        const r = new rules.DownloadRules(raw);
+        assert.ok(r.isEmpty());
+        assert.equal(r.find({url: 'https://example.com/file.zip'}), undefined);
+      }
+    });
+
+    it('should reject invalid rules', function() {
+      const invalid = [
+        {},
+        'rule',
+        [[]],
+        [{unknown: true}],
+        [{enabled: 'yes'}],
+        [{host: ''}],
+        [{host: ['example.com', 1]}],
+        [{name: ['a', 'b']}],
+        [{url: '('}],
+        [{minSize: -1}],
+        [{maxSize: 1.5}],
+        [{minSize: 10, maxSize: 5}],
+        [{action: 'sometimes'}],
+        [{folder: ''}],
+        [{backend: 'wget'}]
+      ];
+      for (const raw of invalid) {
+        assert.throws(() => new rules.DownloadRules(raw), Error, `Rules ${JSON.stringify(raw)} should be rejected`);
+      }
+    });
+
+    it('should return first matching rule', function() {
+      const r = new rules.DownloadRules([
+        {name: 'zip', extension: 'zip', action: 'never'},
+        {name: 'all', action: 'always'}
+      ]);
+      assert.equal(r.find({url: 'https://example.com/file.zip', extension: 'zip'}).name, 'zip');
+      assert.equal(r.find({url: 'https://example.com/file.iso', extension: 'iso'}).name, 'all');
+    });
+
+    it('should skip disabled rules', function() {
+      const r = new rules.DownloadRules([
+        {name: 'disabled', enabled: false},
+        {name: 'enabled'}
+      ]);
+      assert.equal(r.find({url: 'https://example.com/'}).name, 'enabled');
+      assert.ok(new rules.DownloadRules([{enabled: false}]).isEmpty());
+    });
+
+  });
+
+  describe('DownloadRule', function() {
+
+    function rule(raw) {
+      return new rules.DownloadRule(raw, 1);
+    }
+
+    it('should match host and sub-domains', function() {
+      const r = rule({host: 'Example.com'});
+      assert.ok(r.matches({url: 'https://example.com/file'}));
+      assert.ok(r.matches({url: 'https://www.EXAMPLE.com/file'}));
+      assert.ok(!r.matches({url: 'https://notexample.com/file'}));
+      assert.ok(!r.matches({url: 'https://example.com.org/file'}));
+      assert.ok(!r.matches({url: 'not a url'}));
+    });
+
+    it('should match host wildcard pattern', function() {
+      const r = rule({host: ['*.example.com', 'cdn?.example.org']});
+      assert.ok(r.matches({url: 'https://www.example.com/file'}));
+      assert.ok(!r.matches({url: 'https://example.com/file'}));
+      // '?' is not a wildcard.
+      assert.ok(!r.matches({url: 'https://cdn1.example.org/file'}));
+    });
+
+    it('should match url regular expression', function() {
+      const r = rule({url: '/downloads/.*\\.bin$'});
+      assert.ok(r.matches({url: 'https://example.com/Downloads/file.BIN'}));
+      assert.ok(!r.matches({url: 'https://example.com/file.bin'}));
+    });
+
+    it('should match mime type pattern', function() {
+      const r = rule({mimeType: 'video/*'});
+      assert.ok(r.matches({url: 'https://example.com/', mimeType: 'video/mp4'}));
+      assert.ok(!r.matches({url: 'https://example.com/', mimeType: 'audio/mp4'}));
+      assert.ok(!r.matches({url: 'https://example.com/'}));
+    });
+
+    it('should match extension', function() {
+      const r = rule({extension: ['.ZIP', 'rar']});
+      assert.ok(r.matches({url: 'https://example.com/', extension: 'zip'}));
+      assert.ok(r.matches({url: 'https://example.com/', extension: 'RAR'}));
+      assert.ok(!r.matches({url: 'https://example.com/', extension: '7z'}));
+      assert.ok(!r.matches({url: 'https://example.com/'}));
+    });
+
+    it('should match size range', function() {
+      let r = rule({minSize: 10, maxSize: 20});
+      assert.ok(r.matches({url: 'https://example.com/', size: 10}));
+      assert.ok(r.matches({url: 'https://example.com/', size: 20}));
+      assert.ok(!r.matches({url: 'https://example.com/', size: 9}));
+      assert.ok(!r.matches({url: 'https://example.com/', size: 21}));
+      assert.ok(!r.matches({url: 'https://example.com/'}));
+
+      r = rule({minSize: 10});
+      assert.ok(r.matches({url: 'https://example.com/', size: 1000}));
+      assert.ok(!r.matches({url: 'https://example.com/', size: 0}));
+
+      r = rule({maxSize: 10});
+      assert.ok(r.matches({url: 'https://example.com/', size: 0}));
+      assert.ok(!r.matches({url: 'https://example.com/', size: 11}));
+    });
+
+    it('should require all criteria to match', function() {
+      const r = rule({host: 'example.com', extension: 'zip', minSize: 10});
+      assert.ok(r.matches({url: 'https://example.com/a.zip', extension: 'zip', size: 10}));
+      assert.ok(!r.matches({url: 'https://example.org/a.zip', extension: 'zip', size: 10}));
+      assert.ok(!r.matches({url: 'https://example.com/a.zip', extension: 'rar', size: 10}));
+      assert.ok(!r.matches({url: 'https://example.com/a.zip', extension: 'zip', size: 1}));
+    });
+
+    it('should handle action', function() {
+      assert.equal(rule({}).action, rules.RULE_ACTION_HEURISTICS);
+      assert.ok(!rule({}).isDecisive());
+      assert.ok(rule({action: 'always'}).isDecisive());
+      assert.ok(rule({action: 'never'}).isDecisive());
+    });
+
+    it('should apply overrides', function() {
+      assert.deepEqual(rule({}).apply({file: 'file.zip'}), {file: 'file.zip'});
+      assert.deepEqual(
+        rule({filename: 'other.zip', folder: 'archives'}).apply({file: 'file.zip'}),
+        {file: 'other.zip', folder: 'archives'}
+      );
+    });
+
+    it('should handle backend', function() {
+      assert.equal(rule({}).backend, undefined);
+      assert.equal(rule({backend: 'aria2'}).backend, 'aria2');
+      assert.equal(rule({backend: 'dl-mngr'}).backend, 'dl-mngr');
+    });
+
+  });
+
+});
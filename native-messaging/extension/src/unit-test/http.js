@@ -1,6 +1,7 @@
 'use strict';
 
 import * as assert from 'assert';
+import * as nodeHttp from 'http';
 import * as http from '../common/http.js';
 
 
@@ -59,6 +60,46 @@ describe('http', function() {
 
   });
 
+  describe('#getContentLength', function() {
+
+    let server;
+    let baseUrl;
+
+    before(function(done) {
+      server = nodeHttp.createServer((req, res) => {
+        assert.equal(req.method, 'HEAD');
+        if (req.url === '/sized') res.writeHead(200, {'Content-Length': '1234'});
+        else if (req.url === '/missing') res.writeHead(404, {'Content-Length': '10'});
+        else if (req.url === '/slow') return;
+        else res.writeHead(200, {'Transfer-Encoding': 'chunked'});
+        res.end();
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    after(function(done) {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    it('should get known content length', async function() {
+      assert.equal(await http.getContentLength(`${baseUrl}/sized`, 1000), 1234);
+    });
+
+    it('should handle unknown content length', async function() {
+      assert.equal(await http.getContentLength(`${baseUrl}/chunked`, 1000), undefined);
+      assert.equal(await http.getContentLength(`${baseUrl}/missing`, 1000), undefined);
+    });
+
+    it('should handle timeout', async function() {
+      assert.equal(await http.getContentLength(`${baseUrl}/slow`, 100), undefined);
+    });
+
+  });
+
 });
 
 describe('HeaderParser', function() {
@@ -349,10 +390,16 @@ describe('ContentType', function() {
     guess(ct, 'test.jpg', 'image/jpeg');
     guess(ct, 'test.mp3', 'audio/mpeg');
     guess(ct, 'test.mpa', 'audio/mpeg');
+    guess(ct, 'test.m4a', 'audio/mp4');
+    guess(ct, 'test.aac', 'audio/aac');
+    guess(ct, 'test.opus', 'audio/ogg');
     guess(ct, 'test.mp4', 'video/mp4');
     guess(ct, 'test.m3u8', 'application/vnd.apple.mpegurl');
+    guess(ct, 'test.mpd', 'application/dash+xml');
     guess(ct, 'test.srt', 'application/x-subrip');
     guess(ct, 'test.vtt', 'text/vtt');
+    guess(ct, 'test.ttml', 'application/ttml+xml');
+    guess(ct, 'test.dfxp', 'application/ttml+xml');
   });
 
   it('should not guess mime type if not needed', function() {
@@ -405,9 +452,28 @@ describe('ContentType', function() {
     }
   });
 
+  it('should know DASH types', function() {
+    for (const mimeType of ['application/dash+xml', 'video/vnd.mpeg.dash.mpd']) {
+      const ct = new http.ContentType(mimeType);
+      assert.equal(ct.isDASH(), true);
+      assert.equal(ct.isText(), false);
+      assert.equal(ct.isHLS(), false);
+    }
+
+    for (const mimeType of ['text/xml', 'application/octet-stream']) {
+      const ct = new http.ContentType(mimeType);
+      assert.equal(ct.isDASH(), false);
+      assert.equal(ct.maybeDASH(), false);
+      assert.equal(ct.maybeDASH('file.m3u8'), false);
+      assert.equal(ct.maybeDASH('file.mpd'), true);
+    }
+  });
+
   it('should know subtitle types', function() {
     isSubtitle('application/x-subrip');
     isSubtitle('text/vtt');
+    isSubtitle('application/ttml+xml');
+    isSubtitle('application/ttaf+xml');
   });
 
   it('should not known unknown types', function() {
@@ -432,7 +498,8 @@ describe('ContentType', function() {
     mimeExtension(mimeType, undefined);
     mimeExtension('text/plain', 'txt');
     mimeExtension('text/html', 'html');
-    mimeExtension('audio/mpeg', undefined);
+    mimeExtension('audio/mpeg', 'mp3');
+    mimeExtension('audio/ogg', 'ogg');
   });
 
 });
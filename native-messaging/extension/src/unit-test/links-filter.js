@@ -0,0 +1,101 @@
+'use strict';
+
+import * as assert from 'assert';
+import { LinksFilter, parseExtensions } from '../common/links-filter.js';
+
+
+describe('links-filter', function() {
+
+  const pageUrl = 'https://www.example.com/page.html';
+
+  describe('#parseExtensions', function() {
+
+    it('should parse extensions list', function() {
+      assert.deepEqual(parseExtensions(undefined), []);
+      assert.deepEqual(parseExtensions(' '), []);
+      assert.deepEqual(parseExtensions('zip, .RAR  7z,,iso'), ['zip', 'rar', '7z', 'iso']);
+    });
+
+  });
+
+  describe('LinksFilter', function() {
+
+    it('should match everything when not configured', function() {
+      const filter = new LinksFilter({}, pageUrl);
+      assert.ok(!filter.isActive());
+      assert.ok(filter.matches('https://example.org/file.zip'));
+      assert.ok(filter.matches('mailto:someone@example.com'));
+    });
+
+    it('should reject invalid regular expression', function() {
+      assert.throws(() => new LinksFilter({include: '('}, pageUrl));
+      assert.throws(() => new LinksFilter({exclude: '['}, pageUrl));
+    });
+
+    it('should filter included links', function() {
+      const filter = new LinksFilter({include: '/downloads/'}, pageUrl);
+      assert.ok(filter.isActive());
+      assert.ok(filter.matches('https://example.com/Downloads/file.zip'));
+      assert.ok(!filter.matches('https://example.com/file.zip'));
+    });
+
+    it('should filter excluded links', function() {
+      const filter = new LinksFilter({exclude: '\\.html$'}, pageUrl);
+      assert.ok(filter.matches('https://example.com/file.zip'));
+      assert.ok(!filter.matches('https://example.com/index.HTML'));
+    });
+
+    it('should filter same domain links', function() {
+      const filter = new LinksFilter({sameDomain: true}, pageUrl);
+      assert.ok(filter.matches('https://example.com/file.zip'));
+      assert.ok(filter.matches('https://www.example.com/file.zip'));
+      assert.ok(filter.matches('http://cdn.example.com/file.zip'));
+      assert.ok(!filter.matches('https://notexample.com/file.zip'));
+      assert.ok(!filter.matches('https://example.org/file.zip'));
+      assert.ok(!filter.matches('not a url'));
+    });
+
+    it('should make same domain filter available but inactive by default', function() {
+      const filter = new LinksFilter({}, pageUrl);
+      assert.equal(filter.filters.length, 1);
+      assert.ok(filter.matches('https://example.org/file.zip'));
+      assert.ok(filter.toggle(0));
+      assert.ok(!filter.matches('https://example.org/file.zip'));
+    });
+
+    it('should filter links extension', function() {
+      const filter = new LinksFilter({extensions: 'zip rar'}, pageUrl);
+      assert.ok(filter.matches('https://example.com/file.ZIP?v=1'));
+      assert.ok(filter.matches('https://example.com/dir/file.tar.rar#top'));
+      assert.ok(!filter.matches('https://example.com/file.zip/'));
+      assert.ok(!filter.matches('https://example.com/zip'));
+      assert.ok(!filter.matches('https://example.com/.zip'));
+    });
+
+    it('should require all active filters to match', function() {
+      const filter = new LinksFilter({include: 'files', exclude: 'old', extensions: 'zip', sameDomain: true}, pageUrl);
+      assert.ok(filter.matches('https://example.com/files/new.zip'));
+      assert.ok(!filter.matches('https://example.com/other/new.zip'));
+      assert.ok(!filter.matches('https://example.com/files/old.zip'));
+      assert.ok(!filter.matches('https://example.com/files/new.rar'));
+      assert.ok(!filter.matches('https://example.org/files/new.zip'));
+    });
+
+    it('should toggle filters', function() {
+      const filter = new LinksFilter({include: 'files', extensions: 'zip'}, pageUrl);
+      assert.deepEqual(filter.filters.map(f => f.label), ['include: files', 'same domain', 'extensions: zip']);
+      const url = 'https://example.com/other/new.rar';
+      assert.ok(!filter.matches(url));
+      assert.ok(filter.toggle(0));
+      assert.ok(!filter.matches(url));
+      assert.ok(filter.toggle(2));
+      assert.ok(filter.matches(url));
+      assert.ok(!filter.isActive());
+      assert.ok(!filter.toggle(3));
+      assert.ok(filter.toggle(0));
+      assert.ok(!filter.matches(url));
+    });
+
+  });
+
+});
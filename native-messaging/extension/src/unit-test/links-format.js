@@ -0,0 +1,71 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as linksFormat from '../common/links-format.js';
+
+
+describe('links-format', function() {
+
+  const links = [
+    {url: 'https://example.com/a.zip', text: 'File A', title: ''},
+    {url: 'https://example.com/b (1).zip', text: 'File [B], "beta"', title: 'Second, file'},
+    {url: 'https://example.com/c.zip', text: ''}
+  ];
+
+  describe('#formatLinks', function() {
+
+    it('should format plain URLs', function() {
+      assert.equal(
+        linksFormat.formatLinks(links, linksFormat.FORMAT_PLAIN, '\r\n'),
+        'https://example.com/a.zip\r\nhttps://example.com/b (1).zip\r\nhttps://example.com/c.zip\r\n'
+      );
+      // Unknown format fallbacks to plain.
+      assert.equal(linksFormat.formatLinks(links.slice(0, 1), 'unknown'), 'https://example.com/a.zip\n');
+      assert.equal(linksFormat.formatLinks(links.slice(0, 1), ''), 'https://example.com/a.zip\n');
+    });
+
+    it('should format Markdown', function() {
+      assert.equal(
+        linksFormat.formatLinks(links, linksFormat.FORMAT_MARKDOWN),
+        '[File A](https://example.com/a.zip)\n' +
+        '[File \\[B\\], "beta"](https://example.com/b%20%281%29.zip)\n' +
+        '[https://example.com/c.zip](https://example.com/c.zip)\n'
+      );
+    });
+
+    it('should format HTML', function() {
+      assert.equal(
+        linksFormat.formatLinks(links, linksFormat.FORMAT_HTML),
+        '<ul>\n' +
+        '<li><a href="https://example.com/a.zip">File A</a></li>\n' +
+        '<li><a href="https://example.com/b (1).zip" title="Second, file">File [B], &quot;beta&quot;</a></li>\n' +
+        '<li><a href="https://example.com/c.zip">https://example.com/c.zip</a></li>\n' +
+        '</ul>\n'
+      );
+      assert.equal(
+        linksFormat.toHtml([{url: 'https://example.com/?a=1&b=<2>', text: '<b>'}], '\n'),
+        '<ul>\n<li><a href="https://example.com/?a=1&amp;b=&lt;2&gt;">&lt;b&gt;</a></li>\n</ul>\n'
+      );
+    });
+
+    it('should format CSV', function() {
+      assert.equal(
+        linksFormat.formatLinks(links, linksFormat.FORMAT_CSV),
+        'text,url,title\n' +
+        'File A,https://example.com/a.zip,\n' +
+        '"File [B], ""beta""",https://example.com/b (1).zip,"Second, file"\n' +
+        ',https://example.com/c.zip,\n'
+      );
+    });
+
+    it('should format JSON', function() {
+      assert.deepEqual(JSON.parse(linksFormat.formatLinks(links, linksFormat.FORMAT_JSON)), [
+        {text: 'File A', url: 'https://example.com/a.zip', title: ''},
+        {text: 'File [B], "beta"', url: 'https://example.com/b (1).zip', title: 'Second, file'},
+        {text: '', url: 'https://example.com/c.zip', title: ''}
+      ]);
+    });
+
+  });
+
+});
@@ -287,3 +287,16 @@ describe('StreamCodec', function() {
   });
 
 });
+
+describe('isAudioOnly', function() {
+
+  it('should detect audio-only codecs', function() {
+    assert.ok(codecs.isAudioOnly('mp4a.40.2'));
+    assert.ok(codecs.isAudioOnly('mp4a.40.2, opus'));
+    assert.ok(!codecs.isAudioOnly('avc1.64001f,mp4a.40.2'));
+    assert.ok(!codecs.isAudioOnly('mp4a.40.2,rawvalue'));
+    assert.ok(!codecs.isAudioOnly(''));
+    assert.ok(!codecs.isAudioOnly(undefined));
+  });
+
+});
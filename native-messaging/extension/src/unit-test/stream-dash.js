@@ -0,0 +1,437 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as dash from '../common/stream-dash.js';
+
+
+describe('dash', function() {
+
+  describe('parseDuration', function() {
+
+    it('should parse ISO 8601 durations', function() {
+      assert.strictEqual(dash.parseDuration('PT0S'), 0);
+      assert.strictEqual(dash.parseDuration('PT1.5S'), 1.5);
+      assert.strictEqual(dash.parseDuration('PT1H2M3S'), 3723);
+      assert.strictEqual(dash.parseDuration('PT2M'), 120);
+      assert.strictEqual(dash.parseDuration('P1DT1S'), 86401);
+      assert.strictEqual(dash.parseDuration(' PT10S '), 10);
+    });
+
+    it('should reject invalid durations', function() {
+      assert.strictEqual(dash.parseDuration(), undefined);
+      assert.strictEqual(dash.parseDuration(''), undefined);
+      assert.strictEqual(dash.parseDuration('P'), undefined);
+      assert.strictEqual(dash.parseDuration('PT'), undefined);
+      assert.strictEqual(dash.parseDuration('10S'), undefined);
+      assert.strictEqual(dash.parseDuration('PT1.2.3S'), undefined);
+    });
+
+  });
+
+  describe('parseFrameRate', function() {
+
+    it('should parse frame rates', function() {
+      assert.strictEqual(dash.parseFrameRate(), undefined);
+      assert.strictEqual(dash.parseFrameRate('25'), 25);
+      assert.strictEqual(dash.parseFrameRate('30000/1001'), 29.97);
+      assert.strictEqual(dash.parseFrameRate('50/2'), 25);
+      assert.strictEqual(dash.parseFrameRate('1/0'), undefined);
+      assert.strictEqual(dash.parseFrameRate('abc'), undefined);
+    });
+
+  });
+
+  describe('fillTemplate', function() {
+
+    it('should fill identifiers', function() {
+      const values = {
+        RepresentationID: 'v1',
+        Number: 7,
+        Bandwidth: 1000,
+        Time: 90000
+      };
+      assert.equal(dash.fillTemplate('$RepresentationID$/$Number$.m4s', values), 'v1/7.m4s');
+      assert.equal(dash.fillTemplate('$Number%05d$-$Time$-$Bandwidth$', values), '00007-90000-1000');
+      assert.equal(dash.fillTemplate('a$$b', values), 'a$b');
+      assert.equal(dash.fillTemplate('$Time$', {}), '$Time$');
+    });
+
+  });
+
+  describe('DASHManifest', function() {
+
+    const url = 'https://cdn.example.com/videos/v1/manifest.mpd';
+
+    function getLines(raw) {
+      return raw.split('\n').filter(line => line);
+    }
+
+    it('should ignore non-DASH content', function() {
+      for (const content of [undefined, '', '#EXTM3U', '<html><body></body></html>', '<MPD>']) {
+        const manifest = new dash.DASHManifest(content, {url});
+        assert.equal(manifest.periods.length, 0);
+        assert.equal(manifest.streams.length, 0);
+      }
+    });
+
+    it('should handle segment template with duration', function() {
+      const manifest = new dash.DASHManifest(`<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT9S">
+  <Period>
+    <AdaptationSet mimeType="video/mp4" codecs="avc1.64001f">
+      <SegmentTemplate timescale="1000" duration="4000" startNumber="0" initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/seg-$Number%03d$.m4s"/>
+      <Representation id="720p" bandwidth="2000000" width="1280" height="720" frameRate="30000/1001"/>
+      <Representation id="1080p" bandwidth="4000000" width="1920" height="1080" frameRate="25"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      assert.equal(manifest.live, false);
+      assert.equal(manifest.duration, 9);
+      assert.equal(manifest.periods.length, 1);
+      assert.equal(manifest.periods[0].duration, 9);
+      // Best streams first.
+      assert.deepEqual(manifest.streams.map(stream => stream.name), ['1080p@25', '720p@29.97']);
+
+      const stream = manifest.streams[1];
+      assert.equal(stream.getURL().href, `${url}#video=720p`);
+      assert.equal(stream.codecs, 'avc1.64001f');
+      assert.equal(stream.duration, 9);
+      assert.equal(stream.size, Math.round(9 * 2000000 / 8));
+      assert.equal(stream.sizeQualifier, '≤');
+      assert.deepEqual(stream.getKeys(), []);
+      assert.strictEqual(stream.protection, undefined);
+      assert.deepEqual(stream.dash, {
+        id: '720p',
+        bandwidth: 2000000,
+        width: 1280,
+        height: 720,
+        frameRate: 29.97,
+        live: false,
+        periods: 1,
+        segments: 3
+      });
+      assert.deepEqual(getLines(stream.raw), [
+        '#EXTM3U',
+        '#EXT-X-VERSION:6',
+        '#EXT-X-TARGETDURATION:4',
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        '#EXT-X-MAP:URI="https://cdn.example.com/videos/v1/720p/init.mp4"',
+        '#EXTINF:4,',
+        'https://cdn.example.com/videos/v1/720p/seg-000.m4s',
+        '#EXTINF:4,',
+        'https://cdn.example.com/videos/v1/720p/seg-001.m4s',
+        '#EXTINF:1,',
+        'https://cdn.example.com/videos/v1/720p/seg-002.m4s',
+        '#EXT-X-ENDLIST'
+      ]);
+    });
+
+    it('should handle segment timeline', function() {
+      const manifest = new dash.DASHManifest(`<MPD mediaPresentationDuration="PT10S">
+  <Period>
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <SegmentTemplate timescale="10" initialization="init-$RepresentationID$.mp4" media="$RepresentationID$-$Time$.m4s">
+        <SegmentTimeline>
+          <S t="0" d="20" r="1"/>
+          <S d="15"/>
+          <S t="60" d="20" r="-1"/>
+        </SegmentTimeline>
+      </SegmentTemplate>
+      <Representation id="v" bandwidth="800000" height="360"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      const stream = manifest.streams[0];
+      assert.equal(stream.name, '360p');
+      assert.equal(stream.dash.segments, 5);
+      assert.equal(stream.duration, 9.5);
+      assert.deepEqual(getLines(stream.raw).filter(line => !line.startsWith('#EXT-X-')), [
+        '#EXTM3U',
+        '#EXTINF:2,',
+        'https://cdn.example.com/videos/v1/v-0.m4s',
+        '#EXTINF:2,',
+        'https://cdn.example.com/videos/v1/v-20.m4s',
+        '#EXTINF:1.5,',
+        'https://cdn.example.com/videos/v1/v-40.m4s',
+        '#EXTINF:2,',
+        'https://cdn.example.com/videos/v1/v-60.m4s',
+        '#EXTINF:2,',
+        'https://cdn.example.com/videos/v1/v-80.m4s'
+      ]);
+    });
+
+    it('should handle segment list with byte ranges', function() {
+      const manifest = new dash.DASHManifest(`<MPD mediaPresentationDuration="PT5S">
+  <BaseURL>https://media.example.com/</BaseURL>
+  <Period>
+    <AdaptationSet mimeType="video/mp4">
+      <Representation id="v" bandwidth="1000000">
+        <BaseURL>files/video.mp4</BaseURL>
+        <SegmentList timescale="1" duration="3">
+          <Initialization range="0-999"/>
+          <SegmentURL mediaRange="1000-1999"/>
+          <SegmentURL mediaRange="2000-2499"/>
+        </SegmentList>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      const stream = manifest.streams[0];
+      // Name from bandwidth when resolution is unknown.
+      assert.equal(stream.name, '≤977Kbps');
+      assert.equal(stream.duration, 5);
+      assert.deepEqual(getLines(stream.raw), [
+        '#EXTM3U',
+        '#EXT-X-VERSION:6',
+        '#EXT-X-TARGETDURATION:3',
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        '#EXT-X-MAP:URI="https://media.example.com/files/video.mp4",BYTERANGE="1000@0"',
+        '#EXTINF:3,',
+        '#EXT-X-BYTERANGE:1000@1000',
+        'https://media.example.com/files/video.mp4',
+        '#EXTINF:2,',
+        '#EXT-X-BYTERANGE:500@2000',
+        'https://media.example.com/files/video.mp4',
+        '#EXT-X-ENDLIST'
+      ]);
+    });
+
+    it('should handle single file representation', function() {
+      const manifest = new dash.DASHManifest(`<MPD mediaPresentationDuration="PT1M">
+  <Period>
+    <AdaptationSet mimeType="video/webm">
+      <Representation id="1" bandwidth="1000" height="240">
+        <BaseURL>video-240.webm</BaseURL>
+        <SegmentBase indexRange="100-200"/>
+      </Representation>
+      <!-- Representation without any addressing cannot be used -->
+      <Representation id="2" bandwidth="2000" height="480"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      assert.equal(manifest.streams.length, 1);
+      const stream = manifest.streams[0];
+      assert.equal(stream.duration, 60);
+      assert.deepEqual(getLines(stream.raw).slice(-3), [
+        '#EXTINF:60,',
+        'https://cdn.example.com/videos/v1/video-240.webm',
+        '#EXT-X-ENDLIST'
+      ]);
+    });
+
+    it('should pair audio and subtitles tracks', function() {
+      const manifest = new dash.DASHManifest(`<MPD mediaPresentationDuration="PT4S">
+  <Period>
+    <SegmentTemplate timescale="1" duration="2" media="$RepresentationID$/$Number$.m4s"/>
+    <AdaptationSet mimeType="video/mp4">
+      <Representation id="v" bandwidth="1000000" codecs="hvc1.1.6.L93.B0" width="960" height="540"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4" lang="fr">
+      <Representation id="a-fr" bandwidth="128000" codecs="mp4a.40.2"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4" lang="en">
+      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"/>
+      <Label>English</Label>
+      <Representation id="a-en-low" bandwidth="64000" codecs="mp4a.40.5"/>
+      <Representation id="a-en" bandwidth="128000" codecs="mp4a.40.2"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="text/vtt" lang="en">
+      <Representation id="s-en">
+        <BaseURL>subs/en.vtt</BaseURL>
+        <SegmentBase/>
+      </Representation>
+    </AdaptationSet>
+    <AdaptationSet contentType="text" mimeType="application/mp4" codecs="wvtt" lang="fr">
+      <Representation id="s-fr" bandwidth="1000"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="image" mimeType="image/jpeg">
+      <Representation id="thumbs" bandwidth="1000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      assert.equal(manifest.streams.length, 1);
+      const stream = manifest.streams[0];
+      assert.equal(stream.name, '540p');
+      // Main audio track first.
+      assert.deepEqual(stream.audio.map(track => [track.lang, track.name, track.codecs]), [
+        ['en', 'English', 'mp4a.40.2'],
+        ['fr', 'fr', 'mp4a.40.2']
+      ]);
+      const audio = stream.audio[0];
+      assert.equal(audio.getURL().href, `${url}#audio=a-en`);
+      assert.deepEqual(getLines(audio.raw).filter(line => !line.startsWith('#')), [
+        'https://cdn.example.com/videos/v1/a-en/1.m4s',
+        'https://cdn.example.com/videos/v1/a-en/2.m4s'
+      ]);
+
+      assert.equal(stream.subtitles.length, 2);
+      const [subEn, subFr] = stream.subtitles;
+      assert.equal(subEn.lang, 'en');
+      assert.ok(!subEn.segmented);
+      assert.equal(subEn.getURL().href, 'https://cdn.example.com/videos/v1/subs/en.vtt');
+      assert.equal(subFr.lang, 'fr');
+      assert.ok(subFr.segmented);
+      assert.equal(subFr.getURL().href, `${url}#text=s-fr`);
+    });
+
+    it('should determine content type from codecs', function() {
+      const manifest = new dash.DASHManifest(`<MPD mediaPresentationDuration="PT2S">
+  <Period>
+    <SegmentTemplate duration="2" media="$RepresentationID$.m4s"/>
+    <AdaptationSet mimeType="application/mp4">
+      <Representation id="v" bandwidth="1" codecs="avc1.4d401e,mp4a.40.2"/>
+      <Representation id="a" bandwidth="1" codecs="opus"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="application/mp4">
+      <Representation id="av1" bandwidth="2" codecs="av01.0.08M.08"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      const period = manifest.periods[0];
+      assert.deepEqual(period.adaptationSets[0].representations.map(r => r.contentType), ['video', 'audio']);
+      assert.deepEqual(manifest.streams.map(stream => stream.dash.id), ['av1', 'v']);
+    });
+
+    it('should skip trick mode adaptation sets', function() {
+      const manifest = new dash.DASHManifest(`<MPD mediaPresentationDuration="PT2S">
+  <Period>
+    <SegmentTemplate duration="2" media="$RepresentationID$.m4s"/>
+    <AdaptationSet id="1" mimeType="video/mp4">
+      <Representation id="v" bandwidth="1000"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="video/mp4">
+      <EssentialProperty schemeIdUri="http://dashif.org/guidelines/trickmode" value="1"/>
+      <Representation id="trick" bandwidth="100"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      assert.deepEqual(manifest.streams.map(stream => stream.dash.id), ['v']);
+    });
+
+    it('should detect content protection', function() {
+      const manifest = new dash.DASHManifest(`<MPD xmlns:cenc="urn:mpeg:cenc:2013" mediaPresentationDuration="PT2S">
+  <Period>
+    <SegmentTemplate duration="2" media="$RepresentationID$.m4s"/>
+    <AdaptationSet mimeType="video/mp4">
+      <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc" cenc:default_KID="10000000-1000-1000-1000-100000000001"/>
+      <ContentProtection schemeIdUri="urn:uuid:EDEF8BA9-79D6-4ACE-A3C8-27DCD51D21ED">
+        <cenc:pssh>AAAA</cenc:pssh>
+      </ContentProtection>
+      <Representation id="v" bandwidth="1000">
+        <ContentProtection schemeIdUri="urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95"/>
+      </Representation>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4">
+      <Representation id="a" bandwidth="1000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      const stream = manifest.streams[0];
+      assert.deepEqual(stream.protection, ['cenc', 'Widevine', 'PlayReady']);
+      assert.strictEqual(stream.audio[0].protection, undefined);
+    });
+
+    it('should handle multiple periods', function() {
+      const manifest = new dash.DASHManifest(`<MPD mediaPresentationDuration="PT6S">
+  <Period id="p1" start="PT0S">
+    <BaseURL>p1/</BaseURL>
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate duration="2" initialization="$RepresentationID$-init.mp4" media="$RepresentationID$-$Number$.m4s"/>
+      <Representation id="low" bandwidth="1000" height="240"/>
+      <Representation id="high" bandwidth="5000" height="720"/>
+    </AdaptationSet>
+  </Period>
+  <Period id="ad" start="PT2S" duration="PT2S">
+    <BaseURL>https://ads.example.com/</BaseURL>
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate duration="2" media="ad-$Bandwidth$.m4s"/>
+      <Representation id="ad-low" bandwidth="1500"/>
+      <Representation id="ad-high" bandwidth="4000"/>
+    </AdaptationSet>
+  </Period>
+  <Period id="p2">
+    <BaseURL>p2/</BaseURL>
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate duration="2" initialization="$RepresentationID$-init.mp4" media="$RepresentationID$-$Number$.m4s"/>
+      <Representation id="low" bandwidth="1000" height="240"/>
+      <Representation id="high" bandwidth="5000" height="720"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      assert.deepEqual(manifest.periods.map(period => [period.id, period.start, period.duration]), [
+        ['p1', 0, 2],
+        ['ad', 2, 2],
+        ['p2', 4, 2]
+      ]);
+      const stream = manifest.streams[0];
+      assert.equal(stream.name, '720p');
+      assert.equal(stream.duration, 6);
+      assert.equal(stream.dash.periods, 3);
+      assert.deepEqual(getLines(stream.raw).slice(5), [
+        '#EXT-X-MAP:URI="https://cdn.example.com/videos/v1/p1/high-init.mp4"',
+        '#EXTINF:2,',
+        'https://cdn.example.com/videos/v1/p1/high-1.m4s',
+        '#EXT-X-DISCONTINUITY',
+        '#EXTINF:2,',
+        'https://ads.example.com/ad-4000.m4s',
+        '#EXT-X-DISCONTINUITY',
+        '#EXT-X-MAP:URI="https://cdn.example.com/videos/v1/p2/high-init.mp4"',
+        '#EXTINF:2,',
+        'https://cdn.example.com/videos/v1/p2/high-1.m4s',
+        '#EXT-X-ENDLIST'
+      ]);
+    });
+
+    it('should handle live manifest', function() {
+      const manifest = new dash.DASHManifest(`<MPD type="dynamic">
+  <Period start="PT0S">
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate timescale="1" media="$Time$.m4s">
+        <SegmentTimeline>
+          <S t="100" d="2" r="2"/>
+        </SegmentTimeline>
+      </SegmentTemplate>
+      <Representation id="v" bandwidth="1000"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4">
+      <!-- Without period duration, segments cannot be determined -->
+      <SegmentTemplate timescale="1" duration="2" media="$Number$.m4s"/>
+      <Representation id="a" bandwidth="1000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, {url});
+
+      assert.equal(manifest.live, true);
+      const stream = manifest.streams[0];
+      assert.equal(stream.dash.live, true);
+      assert.deepEqual(stream.live, {
+        event: false,
+        window: 6
+      });
+      assert.strictEqual(stream.duration, undefined);
+      assert.strictEqual(stream.size, undefined);
+      assert.equal(stream.audio.length, 0);
+      const lines = getLines(stream.raw);
+      assert.ok(!lines.includes('#EXT-X-ENDLIST'));
+      assert.ok(!lines.includes('#EXT-X-PLAYLIST-TYPE:VOD'));
+      assert.deepEqual(lines.filter(line => !line.startsWith('#')), [
+        'https://cdn.example.com/videos/v1/100.m4s',
+        'https://cdn.example.com/videos/v1/102.m4s',
+        'https://cdn.example.com/videos/v1/104.m4s'
+      ]);
+    });
+
+  });
+
+});
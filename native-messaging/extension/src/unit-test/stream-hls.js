@@ -380,12 +380,15 @@ main/english-audio.m3u8
           uri: 'main/english-audio.m3u8'
         }]
       });
-      const buildTrack = function(tag) {
+      const buildTrack = function(tag, codecs) {
         return {
           tag,
           uri: tag.attributes['URI'],
           lang: tag.attributes['LANGUAGE'],
-          name: tag.attributes['NAME'] || tag.attributes['LANGUAGE']
+          default: tag.attributes['DEFAULT'],
+          name: tag.attributes['NAME'] || tag.attributes['LANGUAGE'],
+          // Only audio codecs are retained from stream codecs.
+          ...(codecs?.startsWith('mp4a') && {codecs})
         };
       };
       buildStream = function(idx, name) {
@@ -398,9 +401,9 @@ main/english-audio.m3u8
           name,
           video: [],
           audio: [
-            buildTrack(playlist.tags['EXT-X-MEDIA'][0]),
-            buildTrack(playlist.tags['EXT-X-MEDIA'][1]),
-            buildTrack(playlist.tags['EXT-X-MEDIA'][2])
+            buildTrack(playlist.tags['EXT-X-MEDIA'][0], tag.attributes['CODECS']),
+            buildTrack(playlist.tags['EXT-X-MEDIA'][1], tag.attributes['CODECS']),
+            buildTrack(playlist.tags['EXT-X-MEDIA'][2], tag.attributes['CODECS'])
           ],
           subtitles: []
         };
@@ -419,6 +422,25 @@ main/english-audio.m3u8
       ]);
     });
 
+    it('should determine audio renditions information', function() {
+      const playlist = new hls.HLSPlaylist(`
+#EXTM3U
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="English",DEFAULT=YES,LANGUAGE="en",URI="en.m3u8"
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="Français",LANGUAGE="fr",URI="fr.m3u8"
+#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",DEFAULT=YES,LANGUAGE="en",URI="subs-en.m3u8"
+#EXT-X-STREAM-INF:BANDWIDTH=1280000,CODECS="avc1.4d401f, mp4a.40.2",AUDIO="audio",SUBTITLES="subs"
+video.m3u8
+`, {url: 'https://example.com/'});
+      const stream = playlist.streams[0];
+      assert.deepEqual(stream.audio.map(track => [track.name, track.lang, track.default, track.codecs]), [
+        ['English', 'en', true, 'mp4a.40.2'],
+        ['Français', 'fr', false, 'mp4a.40.2']
+      ]);
+      assert.deepEqual(stream.subtitles.map(track => [track.name, track.lang, track.default, track.codecs]), [
+        ['English', 'en', true, undefined]
+      ]);
+    });
+
     it('should handle playlist URI', function() {
       let playlist = new hls.HLSPlaylist(RAW_MASTER_EX2, {url: 'https://domain.net'});
       assert.strictEqual(playlist.streams[0].getURL().href, 'https://example.com/full-path/stream.m3u8');
@@ -688,13 +710,265 @@ http://media.example.com/third.ts
 `, {url: 'https://domain.net/some/file.m3u8'}).isStream();
       assert.deepEqual(stream.getKeys(), [{
         method: 'AES-128',
+        usable: true,
         url: 'https://domain.net/some/relative/key.bin'
       }, {
+        method: 'AES-128',
+        usable: true,
+        url: 'https://other.net/absolute/key.bin'
+      }]);
+      assert.strictEqual(stream.protection, undefined);
+    });
+
+    it('should classify keys', function() {
+      assert.deepEqual(hls.HLSStream.classifyKey(), {method: 'NONE'});
+      assert.deepEqual(hls.HLSStream.classifyKey('NONE'), {method: 'NONE'});
+      assert.deepEqual(hls.HLSStream.classifyKey('AES-128'), {method: 'AES-128', usable: true});
+      assert.deepEqual(hls.HLSStream.classifyKey('SAMPLE-AES', 'identity'), {method: 'SAMPLE-AES', keyFormat: 'identity', usable: true});
+      assert.deepEqual(hls.HLSStream.classifyKey('SAMPLE-AES-CTR'), {method: 'SAMPLE-AES-CTR', usable: true});
+      assert.deepEqual(hls.HLSStream.classifyKey('SAMPLE-AES', 'com.apple.streamingkeydelivery'), {
+        method: 'SAMPLE-AES',
+        keyFormat: 'com.apple.streamingkeydelivery',
+        usable: false,
+        drm: 'FairPlay'
+      });
+      assert.deepEqual(hls.HLSStream.classifyKey('SAMPLE-AES-CTR', 'urn:uuid:EDEF8BA9-79D6-4ACE-A3C8-27DCD51D21ED'), {
+        method: 'SAMPLE-AES-CTR',
+        keyFormat: 'urn:uuid:EDEF8BA9-79D6-4ACE-A3C8-27DCD51D21ED',
+        usable: false,
+        drm: 'Widevine'
+      });
+      assert.deepEqual(hls.HLSStream.classifyKey('SAMPLE-AES-CTR', 'com.microsoft.playready'), {
+        method: 'SAMPLE-AES-CTR',
+        keyFormat: 'com.microsoft.playready',
+        usable: false,
+        drm: 'PlayReady'
+      });
+      assert.deepEqual(hls.HLSStream.classifyKey('SAMPLE-AES', 'com.example.drm'), {
+        method: 'SAMPLE-AES',
+        keyFormat: 'com.example.drm',
+        usable: false,
+        drm: 'com.example.drm'
+      });
+      assert.deepEqual(hls.HLSStream.classifyKey('SOME-METHOD'), {method: 'SOME-METHOD', usable: false, drm: 'SOME-METHOD'});
+    });
+
+    it('should collect rotated keys once', function() {
+      const stream = new hls.HLSPlaylist(`
+#EXTM3U
+#EXT-X-KEY:METHOD=AES-128,URI="key1.bin",IV=0x01
+#EXTINF:4,
+s1.ts
+#EXT-X-KEY:METHOD=AES-128,URI="key1.bin",IV=0x02
+#EXTINF:4,
+s2.ts
+#EXT-X-KEY:METHOD=AES-128,URI="key2.bin"
+#EXTINF:4,
+s3.ts
+#EXT-X-ENDLIST
+`, {url: 'https://domain.net/some/file.m3u8'}).isStream();
+      assert.deepEqual(stream.getKeys().map(key => key.url), [
+        'https://domain.net/some/key1.bin',
+        'https://domain.net/some/key2.bin'
+      ]);
+    });
+
+    it('should detect DRM protection', function() {
+      const playlist = new hls.HLSPlaylist(RAW_MASTER_EX1);
+      const stream = playlist.streams[0];
+      assert.strictEqual(stream.protection, undefined);
+      stream.merge(new hls.HLSPlaylist(`
+#EXTM3U
+#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://some-key",KEYFORMAT="com.apple.streamingkeydelivery",KEYFORMATVERSIONS="1"
+#EXT-X-KEY:METHOD=SAMPLE-AES-CTR,URI="data:text/plain;base64,AAAA",KEYFORMAT="urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed"
+#EXTINF:4,
+s1.ts
+#EXT-X-ENDLIST
+`, {url: 'https://domain.net/some/file.m3u8'}).isStream());
+      assert.deepEqual(stream.protection, ['FairPlay', 'Widevine']);
+      assert.deepEqual(stream.getKeys().map(key => [key.url, key.usable]), [
+        ['skd://some-key', false],
+        ['data:text/plain;base64,AAAA', false]
+      ]);
+    });
+
+    it('should handle tags between segment information and URI', function() {
+      const playlist = new hls.HLSPlaylist(`
+#EXTM3U
+#EXTINF:9.009,
+#EXT-X-BYTERANGE:1000@0
+http://media.example.com/file.ts
+`);
+      assert.deepEqual(playlist.getTags('EXTINF'), [{
+        name: 'EXTINF',
+        value: 9.009,
+        attributes: {},
+        uri: 'http://media.example.com/file.ts'
+      }]);
+      assert.deepEqual(playlist.getTags('EXT-X-BYTERANGE'), [{
+        name: 'EXT-X-BYTERANGE',
+        value: '1000@0',
+        attributes: {}
+      }]);
+    });
+
+    it('should detect live streams', function() {
+      const raw = `
+#EXTM3U
+#EXT-X-TARGETDURATION:10
+#EXT-X-MEDIA-SEQUENCE:100
+#EXTINF:10,
+s100.ts
+#EXTINF:10,
+s101.ts
+`;
+      const params = {url: 'https://domain.net/some/live.m3u8'};
+      let stream = new hls.HLSPlaylist(raw, params).isStream();
+      assert.deepEqual(stream.live, {
+        event: false,
+        window: 20
+      });
+      assert.strictEqual(stream.duration, undefined);
+
+      stream = new hls.HLSPlaylist(raw.replace('#EXT-X-TARGETDURATION', '#EXT-X-PLAYLIST-TYPE:EVENT\n#EXT-X-TARGETDURATION'), params).isStream();
+      assert.deepEqual(stream.live, {
+        event: true,
+        window: 20
+      });
+
+      // Finished event is not live anymore.
+      stream = new hls.HLSPlaylist(`${raw}#EXT-X-ENDLIST\n`, params).isStream();
+      assert.strictEqual(stream.live, undefined);
+      assert.equal(stream.duration, 20);
+
+      // Live stream has no size, even with analysis.
+      const playlist = new hls.HLSPlaylist(RAW_MASTER_EX1);
+      stream = playlist.streams[0];
+      stream.merge(new hls.HLSPlaylist(raw, params).isStream());
+      assert.ok(stream.live);
+      assert.strictEqual(stream.size, undefined);
+      assert.equal(stream.analyze().duration, 20);
+      assert.strictEqual(stream.duration, undefined);
+    });
+
+    it('should analyze segments', function() {
+      const stream = new hls.HLSPlaylist(RAW_STREAM_EX1, {url: 'https://domain.net/some/file.m3u8'}).isStream();
+      assert.deepEqual(stream.analyze(), {
+        segments: 3,
+        duration: 21.021,
+        discontinuities: 0,
+        maps: 0,
+        keys: [{
+          method: 'NONE',
+          keyFormat: undefined,
+          url: undefined,
+          first: 0,
+          last: 2
+        }]
+      });
+      assert.equal(stream.duration, 21.021);
+      assert.strictEqual(stream.size, undefined);
+    });
+
+    it('should analyze byte range segments', function() {
+      const playlist = new hls.HLSPlaylist(RAW_MASTER_EX1);
+      const stream = playlist.streams[0];
+      stream.merge(new hls.HLSPlaylist(`
+#EXTM3U
+#EXT-X-TARGETDURATION:10
+#EXT-X-VERSION:6
+#EXT-X-MAP:URI="main.mp4",BYTERANGE="500@0"
+#EXT-X-PROGRAM-DATE-TIME:2026-01-02T03:04:05.000Z
+#EXTINF:10,
+#EXT-X-BYTERANGE:1000@500
+main.mp4
+#EXT-X-BYTERANGE:2000
+#EXTINF:10,
+main.mp4
+#EXT-X-DISCONTINUITY
+#EXT-X-PROGRAM-DATE-TIME:2026-01-02T04:00:00.000Z
+#EXTINF:5,
+#EXT-X-BYTERANGE:300
+other.mp4
+#EXT-X-ENDLIST
+`, {url: 'https://domain.net/some/file.m3u8'}).isStream());
+      // Estimation first.
+      assert.equal(stream.sizeQualifier, '≈');
+      const analysis = stream.analyze();
+      assert.deepEqual(analysis, {
+        segments: 3,
+        duration: 25,
+        discontinuities: 1,
+        maps: 1,
+        keys: [{
+          method: 'NONE',
+          keyFormat: undefined,
+          url: undefined,
+          first: 0,
+          last: 2
+        }],
+        programDateTime: {
+          start: '2026-01-02T03:04:05.000Z',
+          end: '2026-01-02T04:00:05.000Z'
+        },
+        size: 3800
+      });
+      assert.strictEqual(stream.analysis, analysis);
+      assert.equal(stream.duration, 25);
+      assert.equal(stream.size, 3800);
+      assert.strictEqual(stream.sizeQualifier, undefined);
+    });
+
+    it('should analyze encryption changes', function() {
+      const stream = new hls.HLSPlaylist(`
+#EXTM3U
+#EXTINF:4,
+s1.ts
+#EXT-X-KEY:METHOD=AES-128,URI="key1.bin"
+#EXTINF:4,
+s2.ts
+#EXTINF:4,
+s3.ts
+#EXT-X-KEY:METHOD=AES-128,URI="key2.bin"
+#EXTINF:4,
+s4.ts
+#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key",KEYFORMAT="com.apple.streamingkeydelivery"
+#EXTINF:4,
+s5.ts
+#EXT-X-KEY:METHOD=NONE
+#EXTINF:4,
+s6.ts
+`, {url: 'https://domain.net/some/file.m3u8'}).isStream();
+      assert.deepEqual(stream.analyze().keys, [{
         method: 'NONE',
-        url: undefined
+        keyFormat: undefined,
+        url: undefined,
+        first: 0,
+        last: 0
       }, {
         method: 'AES-128',
-        url: 'https://other.net/absolute/key.bin'
+        keyFormat: undefined,
+        url: 'https://domain.net/some/key1.bin',
+        first: 1,
+        last: 2
+      }, {
+        method: 'AES-128',
+        keyFormat: undefined,
+        url: 'https://domain.net/some/key2.bin',
+        first: 3,
+        last: 3
+      }, {
+        method: 'SAMPLE-AES',
+        keyFormat: 'com.apple.streamingkeydelivery',
+        url: 'skd://key',
+        first: 4,
+        last: 4
+      }, {
+        method: 'NONE',
+        keyFormat: undefined,
+        url: undefined,
+        first: 5,
+        last: 5
       }]);
     });
 
@@ -0,0 +1,270 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as subtitles from '../common/subtitles.js';
+
+
+describe('subtitles', function() {
+
+  const vtt = `\ufeffWEBVTT - some title
+X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000
+
+NOTE a comment
+spanning lines
+
+STYLE
+::cue { color: yellow; }
+
+cue-1
+00:01.000 --> 00:02.500 align:start
+<v Bob>Hello <c.yellow>there</c> &amp; <i.loud>welcome</i></v>
+
+00:00:03.000 --> 00:00:04.000
+Line one
+
+`;
+
+  const srt = `1\r
+00:00:01,000 --> 00:00:02,500\r
+{\\an8}<font color="#ffffff">Hello</font> <b>there</b>\r
+\r
+2\r
+00:00:03,000 --> 00:00:04,000\r
+Line one\r
+Line two\r
+`;
+
+  describe('detectFormat', function() {
+
+    it('should detect subtitles format', function() {
+      assert.equal(subtitles.detectFormat(vtt), subtitles.FORMAT_VTT);
+      assert.equal(subtitles.detectFormat('WEBVTT\n'), subtitles.FORMAT_VTT);
+      assert.equal(subtitles.detectFormat(srt), subtitles.FORMAT_SRT);
+      assert.equal(subtitles.detectFormat('<?xml version="1.0"?>\n<tt xmlns="http://www.w3.org/ns/ttml"></tt>'), subtitles.FORMAT_TTML);
+      assert.equal(subtitles.detectFormat('<tt:tt xmlns:tt="http://www.w3.org/ns/ttml"/>'), subtitles.FORMAT_TTML);
+      assert.equal(subtitles.detectFormat('#EXTM3U\n#EXTINF:6,\nseg1.vtt\n'), subtitles.FORMAT_HLS);
+      assert.equal(subtitles.detectFormat('WEBVTTX'), undefined);
+      assert.equal(subtitles.detectFormat('<html></html>'), undefined);
+      assert.equal(subtitles.detectFormat(''), undefined);
+      assert.equal(subtitles.detectFormat(undefined), undefined);
+    });
+
+  });
+
+  describe('timestamps', function() {
+
+    it('should parse timestamps', function() {
+      assert.equal(subtitles.parseTimestamp('01:02.500'), 62.5);
+      assert.equal(subtitles.parseTimestamp('01:02:03.4'), 3723.4);
+      assert.equal(subtitles.parseTimestamp('100:00:00,001'), 360000.001);
+      assert.equal(subtitles.parseTimestamp('1:02.500'), undefined);
+      assert.equal(subtitles.parseTimestamp('01:02'), undefined);
+      assert.equal(subtitles.parseTimestamp(undefined), undefined);
+    });
+
+    it('should format timestamps', function() {
+      assert.equal(subtitles.formatTimestamp(3723.4, subtitles.FORMAT_VTT), '01:02:03.400');
+      assert.equal(subtitles.formatTimestamp(3723.4, subtitles.FORMAT_SRT), '01:02:03,400');
+      assert.equal(subtitles.formatTimestamp(0.0004, subtitles.FORMAT_SRT), '00:00:00,000');
+      assert.equal(subtitles.formatTimestamp(-1, subtitles.FORMAT_VTT), '00:00:00.000');
+    });
+
+    it('should parse TTML time expressions', function() {
+      assert.equal(subtitles.parseTTMLTime('00:01:02.5'), 62.5);
+      assert.equal(subtitles.parseTTMLTime('00:00:01:15', {frameRate: 30}), 1.5);
+      assert.equal(subtitles.parseTTMLTime('00:00:01:15.1', {frameRate: 25, subFrameRate: 2}), 1.62);
+      assert.equal(subtitles.parseTTMLTime('1.5h'), 5400);
+      assert.equal(subtitles.parseTTMLTime('2m'), 120);
+      assert.equal(subtitles.parseTTMLTime('2.5s'), 2.5);
+      assert.equal(subtitles.parseTTMLTime('250ms'), 0.25);
+      assert.equal(subtitles.parseTTMLTime('50f', {frameRate: 25}), 2);
+      assert.equal(subtitles.parseTTMLTime('20000000t', {tickRate: 10000000}), 2);
+      assert.equal(subtitles.parseTTMLTime('2'), undefined);
+      assert.equal(subtitles.parseTTMLTime(undefined), undefined);
+    });
+
+  });
+
+  describe('parse', function() {
+
+    it('should parse WebVTT', function() {
+      assert.deepEqual(subtitles.parse(vtt), {
+        format: subtitles.FORMAT_VTT,
+        timestampMap: {mpegts: 900000, local: 0},
+        cues: [
+          {start: 1, end: 2.5, settings: 'align:start', text: 'Hello there & <i>welcome</i>'},
+          {start: 3, end: 4, text: 'Line one'}
+        ]
+      });
+      assert.throws(() => subtitles.parseVTT('00:01.000 --> 00:02.000\nText'));
+      assert.throws(() => subtitles.parseVTT('WEBVTT\nX-TIMESTAMP-MAP=LOCAL:00:00:00.000\n'));
+    });
+
+    it('should parse SRT', function() {
+      assert.deepEqual(subtitles.parse(srt), {
+        format: subtitles.FORMAT_SRT,
+        cues: [
+          {start: 1, end: 2.5, text: 'Hello <b>there</b>'},
+          {start: 3, end: 4, text: 'Line one\nLine two'}
+        ]
+      });
+    });
+
+    it('should parse TTML', function() {
+      const ttml = `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" xmlns:tts="http://www.w3.org/ns/ttml#styling" ttp:tickRate="10000000">
+  <head>
+    <styling>
+      <style xml:id="base" tts:fontWeight="bold"/>
+      <style xml:id="emphasis" style="base" tts:fontStyle="italic"/>
+    </styling>
+  </head>
+  <body>
+    <div begin="10s">
+      <p begin="10000000t" end="25000000t">First   line<br/>second
+        line</p>
+      <p begin="3s" dur="1s"><span style="emphasis">Styled</span> <span tts:fontStyle="italic">and</span> plain &amp; simple</p>
+      <p begin="5s">No end</p>
+    </div>
+    <div begin="00:00:00.000" end="00:00:02.000">
+      <p begin="00:00:01.000" end="00:00:03.000">Cut by parent</p>
+      <p begin="00:00:00.000" end="00:00:01.000"></p>
+    </div>
+  </body>
+</tt>
+`;
+      assert.deepEqual(subtitles.parse(ttml), {
+        format: subtitles.FORMAT_TTML,
+        cues: [
+          {start: 1, end: 2, text: 'Cut by parent'},
+          {start: 11, end: 12.5, text: 'First line\nsecond line'},
+          {start: 13, end: 14, text: '<i><b>Styled</b></i> <i>and</i> plain & simple'}
+        ]
+      });
+      assert.throws(() => subtitles.parseTTML('<html/>'));
+    });
+
+    it('should reject unknown format', function() {
+      assert.throws(() => subtitles.parse('not subtitles'));
+      assert.throws(() => subtitles.parse('#EXTM3U\n'));
+    });
+
+  });
+
+  describe('formatCues', function() {
+
+    const cues = [
+      {start: 1, end: 2.5, settings: 'align:start', text: 'Hello <i>there</i> & a < b --> c'},
+      {start: 3723.4, end: 3724, text: 'Line one\nLine two'}
+    ];
+
+    it('should format SRT', function() {
+      assert.equal(subtitles.formatCues(cues, subtitles.FORMAT_SRT),
+        '1\n00:00:01,000 --> 00:00:02,500\nHello <i>there</i> & a < b --> c\n\n' +
+        '2\n01:02:03,400 --> 01:02:04,000\nLine one\nLine two\n'
+      );
+    });
+
+    it('should format WebVTT', function() {
+      assert.equal(subtitles.formatCues(cues, subtitles.FORMAT_VTT),
+        'WEBVTT\n\n' +
+        '00:00:01.000 --> 00:00:02.500 align:start\nHello <i>there</i> &amp; a &lt; b --&gt; c\n\n' +
+        '01:02:03.400 --> 01:02:04.000\nLine one\nLine two\n'
+      );
+      // Formatted content can be parsed back.
+      assert.deepEqual(subtitles.parse(subtitles.formatCues(cues, subtitles.FORMAT_VTT)).cues, cues);
+    });
+
+    it('should reject unknown format', function() {
+      assert.throws(() => subtitles.formatCues(cues, subtitles.FORMAT_TTML));
+    });
+
+  });
+
+  describe('joinSegments', function() {
+
+    it('should apply timestamp map offsets', function() {
+      // Segments cues are relative to their own MPEG-TS timestamp, and first
+      // segment starts the stream.
+      const segments = [
+        'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000\n\n00:00:01.000 --> 00:00:02.000\nOne\n',
+        'WEBVTT\nX-TIMESTAMP-MAP=LOCAL:00:00:00.000,MPEGTS:1440000\n\n00:00:01.000 --> 00:00:02.000\nTwo\n',
+        'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:10.000\n\n00:00:22.000 --> 00:00:23.000\nThree\n'
+      ].map(subtitles.parse);
+      assert.deepEqual(subtitles.joinSegments(segments), [
+        {start: 1, end: 2, text: 'One'},
+        {start: 7, end: 8, text: 'Two'},
+        {start: 12, end: 13, text: 'Three'}
+      ]);
+    });
+
+    it('should handle MPEG-TS timestamps rollover', function() {
+      const segments = [
+        `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${2 ** 33 - 90000},LOCAL:00:00:00.000\n\n00:00:00.000 --> 00:00:01.000\nBefore\n`,
+        'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:90000,LOCAL:00:00:00.000\n\n00:00:00.000 --> 00:00:01.000\nAfter\n'
+      ].map(subtitles.parse);
+      assert.deepEqual(subtitles.joinSegments(segments), [
+        {start: 0, end: 1, text: 'Before'},
+        {start: 2, end: 3, text: 'After'}
+      ]);
+    });
+
+    it('should merge repeated cues', function() {
+      // Cues spanning segments may be repeated, or split.
+      const segments = [
+        'WEBVTT\n\n00:00:01.000 --> 00:00:07.000\nRepeated\n\n00:00:05.000 --> 00:00:06.000\nSplit\n',
+        'WEBVTT\n\n00:00:01.000 --> 00:00:07.000\nRepeated\n\n00:00:06.000 --> 00:00:08.000\nSplit\n\n00:00:09.000 --> 00:00:10.000\nSplit\n'
+      ].map(subtitles.parse);
+      assert.deepEqual(subtitles.joinSegments(segments), [
+        {start: 1, end: 7, text: 'Repeated'},
+        {start: 5, end: 8, text: 'Split'},
+        {start: 9, end: 10, text: 'Split'}
+      ]);
+    });
+
+  });
+
+  describe('convert', function() {
+
+    it('should keep content as-is when possible', function() {
+      assert.deepEqual(subtitles.convert([vtt]), {format: subtitles.FORMAT_VTT, raw: vtt});
+      assert.deepEqual(subtitles.convert([vtt], subtitles.FORMAT_VTT), {format: subtitles.FORMAT_VTT, raw: vtt});
+      assert.deepEqual(subtitles.convert([srt], subtitles.FORMAT_SRT), {format: subtitles.FORMAT_SRT, raw: srt});
+      assert.deepEqual(subtitles.convert(['unknown']), {format: undefined, raw: 'unknown'});
+    });
+
+    it('should convert content', function() {
+      assert.deepEqual(subtitles.convert([vtt], subtitles.FORMAT_SRT), {
+        format: subtitles.FORMAT_SRT,
+        raw: '1\n00:00:01,000 --> 00:00:02,500\nHello there & <i>welcome</i>\n\n2\n00:00:03,000 --> 00:00:04,000\nLine one\n'
+      });
+      assert.deepEqual(subtitles.convert([srt], subtitles.FORMAT_VTT), {
+        format: subtitles.FORMAT_VTT,
+        raw: 'WEBVTT\n\n00:00:01.000 --> 00:00:02.500\nHello <b>there</b>\n\n00:00:03.000 --> 00:00:04.000\nLine one\nLine two\n'
+      });
+      // Local time of timestamp map is applied.
+      assert.deepEqual(subtitles.convert(['WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:10.000\n\n00:00:11.000 --> 00:00:12.000\nText\n'], subtitles.FORMAT_SRT), {
+        format: subtitles.FORMAT_SRT,
+        raw: '1\n00:00:01,000 --> 00:00:02,000\nText\n'
+      });
+      assert.throws(() => subtitles.convert(['unknown'], subtitles.FORMAT_SRT));
+    });
+
+    it('should join segments', function() {
+      const segments = [
+        'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000\n\n00:00:01.000 --> 00:00:02.000\nOne\n',
+        'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:1440000,LOCAL:00:00:00.000\n\n00:00:01.000 --> 00:00:02.000\nTwo\n'
+      ];
+      assert.deepEqual(subtitles.convert(segments), {
+        format: subtitles.FORMAT_VTT,
+        raw: 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nOne\n\n00:00:07.000 --> 00:00:08.000\nTwo\n'
+      });
+      assert.deepEqual(subtitles.convert(segments, subtitles.FORMAT_SRT), {
+        format: subtitles.FORMAT_SRT,
+        raw: '1\n00:00:01,000 --> 00:00:02,000\nOne\n\n2\n00:00:07,000 --> 00:00:08,000\nTwo\n'
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+import * as assert from 'assert';
+import { TwSavePaths } from '../common/tw-save-paths.js';
+
+
+describe('tw-save-paths', function() {
+
+  describe('TwSavePaths', function() {
+
+    it('should get custom save path', function() {
+      const paths = new TwSavePaths([
+        {url: 'file:///home/user/notes/output/index.html', path: '/home/user/notes/wiki.html'},
+        {url: 'file:///home/user/wikis/*', path: '/home/user/versioned/'},
+        {url: 'file:///C:/wikis/*', path: 'D:\\versioned\\'}
+      ]);
+      assert.equal(paths.getSavePath('file:///home/user/notes/output/index.html#Tiddler'), '/home/user/notes/wiki.html');
+      assert.equal(paths.getSavePath('file:///home/user/wikis/todo.html'), '/home/user/versioned/todo.html');
+      assert.equal(paths.getSavePath('file:///C:/wikis/todo.html'), 'D:\\versioned\\todo.html');
+      assert.equal(paths.getSavePath('file:///home/user/other.html'), undefined);
+    });
+
+    it('should keep sub-path matched by trailing wildcard', function() {
+      const paths = new TwSavePaths([
+        {url: 'http://localhost:8080/*', path: '/home/user/wikis/'},
+        {url: 'file:///mnt/share/*/output/index.html', path: '/home/user/built/'},
+        {url: 'file:///C:/share/*', path: 'D:\\wikis\\'}
+      ]);
+      assert.equal(paths.getSavePath('http://localhost:8080/team/my%20notes.html?v=1#Tiddler'), '/home/user/wikis/team/my notes.html');
+      assert.equal(paths.getSavePath('http://localhost:8080/team/'), '/home/user/wikis/team/index.html');
+      assert.equal(paths.getSavePath('http://localhost:8080/'), '/home/user/wikis/index.html');
+      // Without trailing wildcard, only the file name is kept.
+      assert.equal(paths.getSavePath('file:///mnt/share/notes/output/index.html'), '/home/user/built/index.html');
+      assert.equal(paths.getSavePath('file:///C:/share/team/notes.html'), 'D:\\wikis\\team\\notes.html');
+    });
+
+    it('should use first matching entry', function() {
+      const paths = new TwSavePaths([
+        {url: 'file:///home/user/*/todo.html', path: '/home/user/todo.html'},
+        {url: 'file:///home/user/*', path: '/home/user/versioned/'}
+      ]);
+      assert.equal(paths.getSavePath('file:///home/user/wikis/todo.html'), '/home/user/todo.html');
+      assert.equal(paths.getSavePath('file:///home/user/wikis/notes.html'), '/home/user/versioned/wikis/notes.html');
+    });
+
+  });
+
+});
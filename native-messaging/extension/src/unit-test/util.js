@@ -461,6 +461,49 @@ describe('util', function() {
 
   });
 
+  describe('ValueValidator', function() {
+
+    const validator = new util.ValueValidator('Test');
+
+    it('should check arrays and objects', function() {
+      validator.checkArray([]);
+      validator.checkObject({a: 1}, new Set(['a', 'b']));
+      for (const value of [undefined, null, {}, 'list']) {
+        assert.throws(() => validator.checkArray(value), /^Error: Test: not an array$/);
+      }
+      for (const value of [undefined, null, [], 'object']) {
+        assert.throws(() => validator.checkObject(value, new Set()), /^Error: Test: not an object$/);
+      }
+      assert.throws(() => validator.checkObject({c: 1}, new Set(['a', 'b'])), /unknown field=<c>/);
+    });
+
+    it('should get strings', function() {
+      assert.equal(validator.getString({a: ' v '}, 'a'), 'v');
+      assert.deepEqual(validator.getStrings({a: 'v'}, 'a'), ['v']);
+      assert.deepEqual(validator.getStrings({a: ['v1', ' v2']}, 'a'), ['v1', 'v2']);
+      assert.deepEqual(validator.getStringArray({a: []}, 'a'), []);
+      assert.deepEqual(validator.getStringArray({a: [' v']}, 'a'), ['v']);
+      for (const value of [undefined, '', ' ', 1, ['v']]) {
+        assert.throws(() => validator.getString({a: value}, 'a'), /a must be a non-empty string/);
+      }
+      for (const value of [undefined, '', [], ['v', ''], ['v', 1]]) {
+        assert.throws(() => validator.getStrings({a: value}, 'a'), /a must be a non-empty string or array of strings/);
+      }
+      for (const value of [undefined, 'v', ['v', '']]) {
+        assert.throws(() => validator.getStringArray({a: value}, 'a'), /a must be an array of non-empty strings/);
+      }
+    });
+
+    it('should get non-negative integers', function() {
+      assert.equal(validator.getInteger({a: 0}, 'a'), 0);
+      assert.equal(validator.getInteger({a: 10}, 'a'), 10);
+      for (const value of [undefined, -1, 1.5, '1']) {
+        assert.throws(() => validator.getInteger({a: value}, 'a'), /a must be a non-negative integer/);
+      }
+    });
+
+  });
+
   describe('urlString', function() {
 
     it('should leave value as-is when applicable', function() {
@@ -0,0 +1,84 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as videoExport from '../common/video-export.js';
+
+
+describe('video-export', function() {
+
+  const sources = [
+    {
+      title: 'Video 1',
+      file: 'Video 1.mp4',
+      url: 'https://example.com/v1.mp4',
+      duration: 61.6,
+      headers: {
+        'Referer': 'https://example.com/page',
+        'User-Agent': 'Mozilla/5.0',
+        'Cookie': 'a=1; b=2',
+        'Origin': 'https://example.com'
+      }
+    },
+    {
+      title: 'It\'s\nvideo 2',
+      file: 'It\'s video 2.mp4',
+      url: 'https://cdn.example.com/v2/index.m3u8',
+      headers: {
+        'Referer': 'https://example.com/page2'
+      },
+      audio: [
+        {url: 'https://cdn.example.com/v2/audio-en.m3u8', lang: 'en'}
+      ]
+    },
+    {
+      url: 'https://example.com/v3.webm'
+    }
+  ];
+
+  describe('#formatSources', function() {
+
+    it('should format M3U playlist', function() {
+      assert.equal(
+        videoExport.formatSources(sources, videoExport.FORMAT_M3U),
+        '#EXTM3U\n' +
+        '#EXTINF:62,Video 1\n' +
+        '#EXTVLCOPT:http-referrer=https://example.com/page\n' +
+        '#EXTVLCOPT:http-user-agent=Mozilla/5.0\n' +
+        'https://example.com/v1.mp4\n' +
+        '#EXTINF:-1,It\'s video 2\n' +
+        '#EXTVLCOPT:http-referrer=https://example.com/page2\n' +
+        'https://cdn.example.com/v2/index.m3u8\n' +
+        '#EXTINF:-1,https://example.com/v3.webm\n' +
+        'https://example.com/v3.webm\n'
+      );
+      // Unknown format fallbacks to M3U.
+      assert.equal(videoExport.formatSources(sources.slice(2), 'unknown', '\r\n'), '#EXTM3U\r\n#EXTINF:-1,https://example.com/v3.webm\r\nhttps://example.com/v3.webm\r\n');
+    });
+
+    it('should format yt-dlp commands', function() {
+      assert.equal(
+        videoExport.formatSources(sources, videoExport.FORMAT_YTDLP),
+        '#!/bin/bash\n' +
+        'yt-dlp --add-header \'Referer: https://example.com/page\' --add-header \'User-Agent: Mozilla/5.0\' --add-header \'Cookie: a=1; b=2\' -o \'Video 1.mp4\' \'https://example.com/v1.mp4\'\n' +
+        'yt-dlp --add-header \'Referer: https://example.com/page2\' -o \'It\'\\\'\'s video 2.mp4\' \'https://cdn.example.com/v2/index.m3u8\'\n' +
+        'yt-dlp \'https://example.com/v3.webm\'\n'
+      );
+    });
+
+    it('should format ffmpeg commands', function() {
+      assert.equal(
+        videoExport.formatSources(sources, videoExport.FORMAT_FFMPEG),
+        '#!/bin/bash\n' +
+        'ffmpeg -headers $\'Referer: https://example.com/page\\r\\nUser-Agent: Mozilla/5.0\\r\\nCookie: a=1; b=2\\r\\n\' -i \'https://example.com/v1.mp4\' -c copy \'Video 1.mp4\'\n' +
+        'ffmpeg -headers $\'Referer: https://example.com/page2\\r\\n\' -i \'https://cdn.example.com/v2/index.m3u8\' -headers $\'Referer: https://example.com/page2\\r\\n\' -i \'https://cdn.example.com/v2/audio-en.m3u8\' -map 0:v -map 1:a -c copy \'It\'\\\'\'s video 2.mp4\'\n' +
+        'ffmpeg -i \'https://example.com/v3.webm\' -c copy \'video.mp4\'\n'
+      );
+    });
+
+    it('should format JSON', function() {
+      assert.deepEqual(JSON.parse(videoExport.formatSources(sources, videoExport.FORMAT_JSON)), sources);
+    });
+
+  });
+
+});
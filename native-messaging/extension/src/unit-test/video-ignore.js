@@ -0,0 +1,89 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as videoIgnore from '../common/video-ignore.js';
+
+
+describe('video-ignore', function() {
+
+  describe('VideoIgnoreList', function() {
+
+    it('should handle empty list', function() {
+      for (const raw of [undefined, null, {}, {urls: [], hosts: []}]) {
+        const list = new videoIgnore.VideoIgnoreList(raw);
+        assert.ok(list.isEmpty());
+        assert.equal(list.check({url: 'https://example.com/video.mp4', duration: 1, size: 1}), undefined);
+      }
+    });
+
+    it('should reject invalid list', function() {
+      const invalid = [
+        [],
+        'list',
+        {unknown: true},
+        {urls: 'https://example.com/*'},
+        {hosts: ['example.com', '']},
+        {hosts: [1]},
+        {minDuration: -1},
+        {minSize: 1.5}
+      ];
+      for (const raw of invalid) {
+        assert.throws(() => new videoIgnore.VideoIgnoreList(raw), Error, `List ${JSON.stringify(raw)} should be rejected`);
+      }
+    });
+
+    it('should match URL patterns', function() {
+      const list = new videoIgnore.VideoIgnoreList({urls: ['https://cdn.example.com/previews/*', 'https://example.com/ad.mp4']});
+      assert.ok(list.check({url: 'https://cdn.example.com/previews/clip.mp4?t=1'}));
+      assert.ok(list.check({url: 'https://example.com/ad.mp4'}));
+      assert.equal(list.check({url: 'https://example.com/ad.mp4?t=1'}), undefined);
+      assert.equal(list.check({url: 'https://cdn.example.com/videos/clip.mp4'}), undefined);
+    });
+
+    it('should match hosts and sub-domains', function() {
+      const list = new videoIgnore.VideoIgnoreList({hosts: ['ads.example.com', 'cdn*.example.org']});
+      assert.ok(list.check({url: 'https://ads.example.com/video.mp4'}));
+      assert.ok(list.check({url: 'https://eu.ADS.example.com/video.mp4'}));
+      assert.ok(list.check({url: 'https://cdn2.example.org/video.mp4'}));
+      assert.equal(list.check({url: 'https://badads.example.com/video.mp4'}), undefined);
+      assert.equal(list.check({url: 'https://example.com/video.mp4'}), undefined);
+      assert.equal(list.check({url: 'not a url'}), undefined);
+    });
+
+    it('should apply minimum duration and size when known', function() {
+      const list = new videoIgnore.VideoIgnoreList({minDuration: 30, minSize: 1000000});
+      assert.ok(list.check({duration: 29.5}));
+      assert.equal(list.check({duration: 30}), undefined);
+      assert.equal(list.check({duration: 10, live: true}), undefined);
+      assert.equal(list.check({url: 'https://example.com/video.mp4'}), undefined);
+      assert.ok(list.check({size: 999999}));
+      assert.ok(list.check({size: 0}));
+      assert.equal(list.check({size: 1000000}), undefined);
+    });
+
+  });
+
+  describe('#getUrlPattern', function() {
+
+    it('should strip query and fragment', function() {
+      assert.equal(videoIgnore.getUrlPattern('https://example.com/video.mp4'), 'https://example.com/video.mp4');
+      assert.equal(videoIgnore.getUrlPattern('https://example.com/video.mp4?token=abc#t=10'), 'https://example.com/video.mp4*');
+    });
+
+  });
+
+  describe('#addPattern', function() {
+
+    it('should add pattern once', function() {
+      const raw = {hosts: ['example.com'], minDuration: 10};
+      const list = videoIgnore.addPattern(raw, 'hosts', 'ads.example.com');
+      assert.deepEqual(list, {hosts: ['example.com', 'ads.example.com'], minDuration: 10});
+      // Original list is left untouched.
+      assert.deepEqual(raw.hosts, ['example.com']);
+      assert.equal(videoIgnore.addPattern(list, 'hosts', 'example.com'), undefined);
+      assert.deepEqual(videoIgnore.addPattern(undefined, 'urls', 'https://example.com/*'), {urls: ['https://example.com/*']});
+    });
+
+  });
+
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as videoQuality from '../common/video-quality.js';
+
+
+describe('video-quality', function() {
+
+  function hlsSource(name, height, bandwidth, codecs, langs) {
+    return {
+      name,
+      hls: {
+        codecs,
+        tag: {
+          attributes: {
+            'RESOLUTION': height ? {width: Math.round(height * 16 / 9), height} : undefined,
+            'BANDWIDTH': bandwidth
+          }
+        }
+      },
+      audioTracks: (langs || []).map(lang => ({lang}))
+    };
+  }
+
+  function dashSource(name, height, bandwidth, codecs) {
+    return {
+      name,
+      hls: {
+        codecs,
+        dash: {height, bandwidth}
+      }
+    };
+  }
+
+  function names(sources) {
+    return sources.map(source => source.name);
+  }
+
+  describe('#getCodecFamily', function() {
+
+    it('should determine the video codec family', function() {
+      assert.equal(videoQuality.getCodecFamily('avc1.640028,mp4a.40.2'), videoQuality.CODEC_AVC);
+      assert.equal(videoQuality.getCodecFamily('mp4a.40.2, hvc1.2.4.L153.B0'), videoQuality.CODEC_HEVC);
+      assert.equal(videoQuality.getCodecFamily('av01.0.08M.10'), videoQuality.CODEC_AV1);
+      assert.equal(videoQuality.getCodecFamily('vvc1.1.L128.CQA'), videoQuality.CODEC_VVC);
+    });
+
+    it('should handle unknown codecs', function() {
+      assert.equal(videoQuality.getCodecFamily(undefined), undefined);
+      assert.equal(videoQuality.getCodecFamily(''), undefined);
+      assert.equal(videoQuality.getCodecFamily('mp4a.40.2'), undefined);
+      assert.equal(videoQuality.getCodecFamily('vp09.00.10.08'), undefined);
+    });
+
+  });
+
+  describe('#matchesLang', function() {
+
+    it('should match languages', function() {
+      assert.ok(videoQuality.matchesLang('en', 'en'));
+      assert.ok(videoQuality.matchesLang('en-US', 'en'));
+      assert.ok(videoQuality.matchesLang('FR', 'fr'));
+      assert.ok(!videoQuality.matchesLang('en', 'en-US'));
+      assert.ok(!videoQuality.matchesLang('eng', 'en'));
+      assert.ok(!videoQuality.matchesLang('en', ''));
+      assert.ok(!videoQuality.matchesLang(undefined, 'en'));
+    });
+
+  });
+
+  describe('#getQuality', function() {
+
+    it('should get HLS quality information', function() {
+      assert.deepEqual(videoQuality.getQuality(hlsSource('a', 720, 2000000, 'avc1.64001f,mp4a.40.2', ['en', undefined, 'fr'])), {
+        height: 720,
+        bandwidth: 2000000,
+        codec: videoQuality.CODEC_AVC,
+        langs: ['en', 'fr']
+      });
+    });
+
+    it('should get DASH quality information', function() {
+      assert.deepEqual(videoQuality.getQuality(dashSource('a', 1080, 5000000, 'hev1.1.6.L120.90')), {
+        height: 1080,
+        bandwidth: 5000000,
+        codec: videoQuality.CODEC_HEVC,
+        langs: []
+      });
+    });
+
+    it('should handle missing information', function() {
+      assert.deepEqual(videoQuality.getQuality({url: 'http://dummy/video.mp4'}), {
+        height: undefined,
+        bandwidth: undefined,
+        codec: undefined,
+        langs: []
+      });
+    });
+
+  });
+
+  describe('QualityProfile', function() {
+
+    const sources = [
+      hlsSource('480p', 480, 1000000, 'avc1.64001e'),
+      hlsSource('1080p-avc', 1080, 6000000, 'avc1.640028'),
+      hlsSource('720p', 720, 3000000, 'avc1.64001f'),
+      hlsSource('1080p-hevc', 1080, 4000000, 'hvc1.1.6.L120.90'),
+      hlsSource('2160p', 2160, 16000000, 'hvc1.2.4.L153.B0')
+    ];
+
+    it('should sort by resolution then bandwidth by default', function() {
+      const profile = new videoQuality.QualityProfile();
+      assert.deepEqual(names(profile.sort(sources)), ['2160p', '1080p-avc', '1080p-hevc', '720p', '480p']);
+      // Original list is left untouched.
+      assert.equal(sources[0].name, '480p');
+    });
+
+    it('should prefer codecs', function() {
+      const profile = new videoQuality.QualityProfile({codecs: [videoQuality.CODEC_HEVC]});
+      assert.deepEqual(names(profile.sort(sources)), ['2160p', '1080p-hevc', '1080p-avc', '720p', '480p']);
+    });
+
+    it('should apply maximum resolution', function() {
+      const profile = new videoQuality.QualityProfile({maxHeight: 1080});
+      assert.deepEqual(names(profile.sort(sources)), ['1080p-avc', '1080p-hevc', '720p', '480p', '2160p']);
+    });
+
+    it('should apply maximum bandwidth', function() {
+      const profile = new videoQuality.QualityProfile({maxBandwidth: 5000000});
+      assert.deepEqual(names(profile.sort(sources)), ['1080p-hevc', '720p', '480p', '1080p-avc', '2160p']);
+    });
+
+    it('should prefer the closest streams when all exceed limits', function() {
+      const profile = new videoQuality.QualityProfile({maxHeight: 360});
+      assert.deepEqual(names(profile.sort(sources)), ['480p', '720p', '1080p-avc', '1080p-hevc', '2160p']);
+    });
+
+    it('should prefer audio language', function() {
+      const profile = new videoQuality.QualityProfile({audioLang: 'fr'});
+      const sources = [
+        hlsSource('1080p-en', 1080, 6000000, 'avc1.640028', ['en']),
+        hlsSource('720p-fr', 720, 3000000, 'avc1.64001f', ['en', 'fr-FR']),
+        hlsSource('1080p', 1080, 6000000, 'avc1.640028')
+      ];
+      assert.deepEqual(names(profile.sort(sources)), ['720p-fr', '1080p-en', '1080p']);
+    });
+
+    it('should keep order of sources without quality information', function() {
+      const profile = new videoQuality.QualityProfile({maxHeight: 720, codecs: [videoQuality.CODEC_AV1]});
+      const sources = [
+        {name: 'a'},
+        hlsSource('480p', 480, 1000000, 'avc1.64001e'),
+        {name: 'b'},
+        dashSource('720p', 720, 3000000, 'av01.0.05M.08')
+      ];
+      assert.deepEqual(names(profile.sort(sources)), ['720p', '480p', 'a', 'b']);
+    });
+
+    it('should find the best source', function() {
+      const profile = new videoQuality.QualityProfile({maxHeight: 1080, codecs: [videoQuality.CODEC_HEVC, videoQuality.CODEC_AVC]});
+      assert.equal(profile.findBest(sources).name, '1080p-hevc');
+      // Nothing to choose from.
+      assert.equal(profile.findBest(sources.slice(0, 1)), undefined);
+      assert.equal(profile.findBest([]), undefined);
+      // Unknown quality.
+      assert.equal(profile.findBest([{name: 'a'}, {name: 'b'}]), undefined);
+    });
+
+  });
+
+});
@@ -145,3 +145,111 @@ describe('VideoSourceNamer', function() {
   });
 
 });
+
+describe('VideoSource', function() {
+
+  function buildSource(audioTracks, subtitles) {
+    return new VideoSource(undefined, {
+      url: 'http://dummy/',
+      audioTracks: audioTracks.map(track => Object.assign({stream: {}}, track)),
+      subtitles
+    });
+  }
+
+  describe('#getDefaultSelection', function() {
+
+    it('should select default audio track and first subtitle with highest priority', function() {
+      let source = buildSource([], []);
+      assert.deepEqual(source.getDefaultSelection(), {audio: [], subtitles: []});
+
+      source = buildSource([
+        {url: 'http://dummy/en.m3u8', lang: 'en'},
+        {url: 'http://dummy/fr.m3u8', lang: 'fr', default: true}
+      ], [
+        {url: 'http://dummy/en.vtt', lang: 'en'},
+        {url: 'http://dummy/fr.vtt', lang: 'fr', priority: 1},
+        {url: 'http://dummy/fr-cc.vtt', lang: 'fr', priority: 1}
+      ]);
+      assert.deepEqual(source.getDefaultSelection(), {
+        audio: ['http://dummy/fr.m3u8'],
+        subtitles: ['http://dummy/fr.vtt']
+      });
+
+      source = buildSource([
+        {url: 'http://dummy/en.m3u8', lang: 'en'},
+        {url: 'http://dummy/fr.m3u8', lang: 'fr'}
+      ], [
+        {url: 'http://dummy/en.vtt', lang: 'en'},
+        {url: 'http://dummy/fr.vtt', lang: 'fr'}
+      ]);
+      assert.deepEqual(source.getDefaultSelection(), {
+        audio: ['http://dummy/en.m3u8'],
+        subtitles: ['http://dummy/en.vtt']
+      });
+    });
+
+  });
+
+  describe('#getSelection', function() {
+
+    it('should get selected tracks', function() {
+      const source = buildSource([
+        {url: 'http://dummy/en.m3u8', lang: 'en', default: true},
+        {url: 'http://dummy/fr.m3u8', lang: 'fr'}
+      ], [
+        {url: 'http://dummy/en.vtt', lang: 'en'},
+        {url: 'http://dummy/fr.vtt', lang: 'fr'}
+      ]);
+      const urls = function(selection) {
+        return {
+          audio: selection.audioTracks.map(track => track.url),
+          subtitles: selection.subtitles.map(subtitle => subtitle.url)
+        };
+      };
+      // Default selection is used for missing lists.
+      assert.deepEqual(urls(source.getSelection()), {
+        audio: ['http://dummy/en.m3u8'],
+        subtitles: ['http://dummy/en.vtt']
+      });
+      assert.deepEqual(urls(source.getSelection({audio: ['http://dummy/fr.m3u8', 'http://dummy/en.m3u8', 'http://dummy/unknown.m3u8']})), {
+        audio: ['http://dummy/en.m3u8', 'http://dummy/fr.m3u8'],
+        subtitles: ['http://dummy/en.vtt']
+      });
+      assert.deepEqual(urls(source.getSelection({audio: [], subtitles: ['http://dummy/fr.vtt', 'http://dummy/en.vtt']})), {
+        audio: [],
+        subtitles: ['http://dummy/en.vtt', 'http://dummy/fr.vtt']
+      });
+    });
+
+  });
+
+  describe('#setThumbnail', function() {
+
+    it('should only accept image data URLs', function() {
+      const thumbnail = 'data:image/jpeg;base64,AAAA';
+      assert.equal(new VideoSource(undefined, {url: 'http://dummy/', thumbnail: 'http://dummy/poster.jpg'}).thumbnail, undefined);
+      const source = new VideoSource(undefined, {url: 'http://dummy/', thumbnail});
+      assert.equal(source.thumbnail, thumbnail);
+      assert.equal(source.setThumbnail(thumbnail), false);
+      assert.equal(source.setThumbnail('data:text/html,<b>'), false);
+      assert.equal(source.setThumbnail('data:image/png;base64,BBBB'), true);
+      assert.equal(source.thumbnail, 'data:image/png;base64,BBBB');
+    });
+
+  });
+
+  describe('#getDefaultExtension', function() {
+
+    it('should depend on audio-only source content type', function() {
+      assert.equal(new VideoSource(undefined, {url: 'http://dummy/'}).getDefaultExtension(), 'mp4');
+      assert.equal(new VideoSource(undefined, {url: 'http://dummy/', audioOnly: true}).getDefaultExtension(), 'm4a');
+      assert.equal(new VideoSource(undefined, {url: 'http://dummy/', audioOnly: true, mimeType: 'audio/mpeg'}).getDefaultExtension(), 'mp3');
+      assert.equal(new VideoSource(undefined, {url: 'http://dummy/', audioOnly: true, mimeType: 'audio/mpegurl'}).getDefaultExtension(), 'm4a');
+      // Namer uses it when there is no extension.
+      const source = new VideoSource(undefined, {url: 'http://dummy/episode', audioOnly: true, mimeType: 'audio/mpeg'});
+      assert.equal(new VideoSourceNamer(source).filename, 'episode.mp3');
+    });
+
+  });
+
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+import * as assert from 'assert';
+import * as xml from '../common/xml.js';
+
+
+describe('xml', function() {
+
+  describe('parseXML', function() {
+
+    it('should parse elements, attributes and text', function() {
+      const root = xml.parseXML(`<?xml version="1.0" encoding="UTF-8"?>
+<!-- comment -->
+<root xmlns:ns="urn:test" a="1" b='two &amp; &#x33;'>
+  <ns:child c="&lt;3&gt;"/>
+  <child>  some &quot;text&quot; <![CDATA[<raw>]]> </child>
+</root>
+`);
+      assert.deepEqual(root, {
+        name: 'root',
+        attributes: {
+          'xmlns:ns': 'urn:test',
+          a: '1',
+          b: 'two & 3'
+        },
+        children: [{
+          name: 'child',
+          attributes: {c: '<3>'},
+          children: [],
+          text: ''
+        }, {
+          name: 'child',
+          attributes: {},
+          children: [],
+          text: 'some "text" <raw>'
+        }],
+        text: ''
+      });
+    });
+
+    it('should keep mixed content when requested', function() {
+      const root = xml.parseXML('<p begin="1s">Line <span a="b">one</span><br/>line &amp; <![CDATA[two]]></p>', {mixed: true});
+      assert.equal(root.text, 'Line line & two');
+      assert.deepEqual(root.content.map(node => (typeof(node) === 'string') ? node : node.name), ['Line ', 'span', 'br', 'line & two']);
+      assert.deepEqual(root.children[0].content, ['one']);
+      assert.deepEqual(root.children[1].content, []);
+      // Not present by default.
+      assert.equal(xml.parseXML('<p>text</p>').content, undefined);
+    });
+
+    it('should reject invalid content', function() {
+      assert.throws(() => xml.parseXML(''));
+      assert.throws(() => xml.parseXML('not xml'));
+      assert.throws(() => xml.parseXML('<a><b></a>'));
+      assert.throws(() => xml.parseXML('<a>'));
+      assert.throws(() => xml.parseXML('<a/><b/>'));
+      assert.throws(() => xml.parseXML('<a>1 < 2</a>'));
+    });
+
+  });
+
+});
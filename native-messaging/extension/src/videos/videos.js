@@ -0,0 +1,290 @@
+'use strict';
+
+import { constants } from '../common/constants.js';
+import * as util from '../common/util.js';
+import { WebExtension } from '../common/messaging.js';
+import * as codecs from '../common/stream-codecs.js';
+
+
+// Handles received extension messages.
+// Note: 'async' so that we don't block and process the code asynchronously.
+async function onMessage(extension, msg, sender) {
+  switch (msg._routing?.kind) {
+    case constants.KIND_DL_UPDATE_TAB_VIDEOS:
+      return dl_updateTabVideos(msg.tab);
+
+    default:
+      return unhandledMessage(msg, sender);
+  }
+}
+
+// Logs unhandled messages received.
+function unhandledMessage(msg, sender) {
+  console.warn('Videos page received unhandled message %o from %o', msg, sender);
+  return {
+    error: 'Message is not handled by videos page',
+    message: msg
+  };
+}
+
+// Gets and displays sources of all tabs.
+async function dl_updateVideos() {
+  const tabs = await webext.sendMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_GET_DL_VIDEOS_ALL_TABS
+    }
+  });
+  for (const tabId of Object.keys(tabsNodes)) {
+    // Reminder: object keys are strings, we need tabId as an integer.
+    removeTab(Number(tabId));
+  }
+  if (!tabs || !Array.isArray(tabs)) return;
+  for (const tab of tabs) {
+    dl_updateTabVideos(tab);
+  }
+}
+
+// Displays (updated) sources of a tab.
+function dl_updateTabVideos(tab) {
+  if (!tab.sources?.length) {
+    removeTab(tab.tabId);
+    return;
+  }
+  let tabNode = tabsNodes[tab.tabId];
+  if (!tabNode) {
+    tabNode = tabsNodes[tab.tabId] = cloneNode(tabItemNode);
+    tabNode.querySelector('.panel-title').addEventListener('click', () => {
+      showTab(tabNode.tab);
+    });
+    tabsNode.appendChild(tabNode);
+  }
+  tabNode.tab = tab;
+  tabNode.querySelector('.panel-title').textContent = tab.title || tab.url || `Tab ${tab.tabId}`;
+  tabNode.querySelector('.panel-subtitle').textContent = tab.url || '';
+  const bodyNode = tabNode.querySelector('.panel-body');
+  bodyNode.querySelectorAll(':scope > .list-item').forEach(node => {
+    node.remove();
+  });
+  const downloadIds = new Set();
+  for (const source of tab.sources) {
+    for (const download of source.downloads) {
+      downloadIds.add(download.source.downloadId);
+      bodyNode.appendChild(setupDownloadEntry(source, download));
+    }
+  }
+  // Forget selected entries that are not there anymore.
+  for (const [downloadId, selected] of selection.entries()) {
+    if ((selected.tabId === tab.tabId) && !downloadIds.has(downloadId)) selection.delete(downloadId);
+  }
+  updateStatus();
+}
+
+function removeTab(tabId) {
+  const tabNode = tabsNodes[tabId];
+  if (!tabNode) return;
+  tabNode.remove();
+  delete(tabsNodes[tabId]);
+  for (const [downloadId, selected] of selection.entries()) {
+    if (selected.tabId === tabId) selection.delete(downloadId);
+  }
+  updateStatus();
+}
+
+// Activates the tab, and focuses its window.
+async function showTab(tab) {
+  try {
+    await browser.tabs.update(tab.tabId, {active: true});
+    await browser.windows.update(tab.windowId, {focused: true});
+  } catch (error) {
+    console.log(`Failed to show tab=<${tab.tabId}>:`, error);
+  }
+}
+
+function getTrackLabel(track) {
+  let label = track.name || track.lang || '?';
+  if (track.lang && (track.lang !== label)) label = `${label} (${track.lang})`;
+  return label;
+}
+
+function setupDownloadEntry(source, download) {
+  const node = cloneNode(listItemNode);
+  const downloadId = download.source.downloadId;
+  const audioTracks = source.audioTracks || [];
+  const subtitles = source.subtitles || [];
+  const subtitle = [];
+  const content = [];
+
+  const { name, extension } = util.getFilenameExtension(download.details.file);
+  node.querySelector('.list-item-title').textContent = name;
+
+  if ('size' in source) subtitle.push(util.getSizeText(source.size));
+  else if (download.details.size) subtitle.push(`${download.details.sizeQualifier || ''}${util.getSizeText(download.details.size)}`);
+  if (source.best) subtitle.unshift('⭐');
+  // Audio-only sources are marked as such instead of video.
+  const streamMarker = source.audioOnly ? codecs.STREAM_KIND_AUDIO : codecs.STREAM_KIND_VIDEO;
+  if (source.hls) {
+    // DASH streams are handled as HLS, with extra DASH information.
+    const dash = source.hls.dash;
+    const tag = source.hls.tag;
+    let s = streamMarker;
+    if (source.hls.protection) s += '🔒';
+    if (source.live) s += '🔴';
+    s += source.hls.name;
+    subtitle.push(s);
+    const quality = [];
+    const resolution = tag?.attributes['RESOLUTION'] || dash;
+    if (resolution?.width && resolution?.height) quality.push(`${resolution.width}x${resolution.height}`);
+    const framerate = tag?.attributes['FRAME-RATE'] || dash?.frameRate;
+    if (framerate) quality.push(`${framerate}fps`);
+    const bandwidth = tag?.attributes['BANDWIDTH'] || dash?.bandwidth;
+    if (bandwidth) quality.push(`≤${util.getSizeText(bandwidth)}bps`);
+    if (source.hls.duration) quality.push(util.getTimeText(source.hls.duration));
+    if (source.hls.codecs) quality.push(source.hls.codecs.split(',').map(v => codecs.StreamCodec.parse(v.trim()).desc()).join(', '));
+    if (quality.length) content.push(`${streamMarker}${quality.join(' - ')}`);
+  } else if (extension || source.audioOnly) {
+    subtitle.push(`${source.audioOnly ? streamMarker : ''}${extension || ''}`);
+  }
+  if (audioTracks.length) {
+    const selected = new Set(source.selection?.audio);
+    content.push(`${codecs.STREAM_KIND_AUDIO}${audioTracks.map(track => `${getTrackLabel(track)}${selected.has(track.url) ? '✔' : ''}`).join(', ')}`);
+  }
+  if (subtitles.length) {
+    const selected = new Set(source.selection?.subtitles);
+    subtitle.push(`${codecs.STREAM_KIND_SUBTITLES}${subtitles.length}`);
+    content.push(`${codecs.STREAM_KIND_SUBTITLES}${subtitles.map(track => `${getTrackLabel(track)}${selected.has(track.url) ? '✔' : ''}`).join(', ')}`);
+  }
+  subtitle.push((new URL(source.url).hostname).split('.').slice(-3).join('.'));
+
+  node.querySelector('.list-item-subtitle').textContent = subtitle.join(' - ');
+  util.setHtml(node.querySelector('.list-item-content'), content.map(s => util.textToHtml(s)).join('<br>'));
+  node.setAttribute('title', [source.url, source.actualUrl, source.forceUrl].filter(v => v).map(v => util.limitText(v, TEXT_LIMIT_TOOLTIP)).join('\n'));
+
+  // Selection is kept across updates: refresh the selected entry.
+  const selected = {
+    tabId: download.source.tabId,
+    source,
+    download
+  };
+  const input = node.querySelector('input');
+  input.checked = selection.has(downloadId);
+  if (input.checked) selection.set(downloadId, selected);
+  input.addEventListener('change', () => {
+    if (input.checked) selection.set(downloadId, selected);
+    else selection.delete(downloadId);
+    updateStatus();
+  });
+  // Clicking anywhere on the entry (un)selects it.
+  node.addEventListener('click', data => {
+    if (data.target.closest('.form-checkbox')) return;
+    input.checked = !input.checked;
+    input.dispatchEvent(new Event('change'));
+  });
+  return node;
+}
+
+function updateStatus() {
+  const count = selection.size;
+  selectedCountNode.textContent = count ? `${count} selected` : '';
+  for (const button of [downloadSelectedButton, removeSelectedButton, ignoreSelectedButton]) {
+    button.disabled = !count;
+  }
+  noVideosNode.classList.toggle('hidden', !!Object.keys(tabsNodes).length);
+}
+
+function select(selected) {
+  tabsNode.querySelectorAll('.list-item input').forEach(input => {
+    if (input.checked === selected) return;
+    input.checked = selected;
+    input.dispatchEvent(new Event('change'));
+  });
+}
+
+// Downloads selected videos, with their default tracks selection.
+function dl_downloadSelected(auto) {
+  for (const { source, download } of selection.values()) {
+    webext.postMessage({
+      _routing: {
+        target: constants.TARGET_BACKGROUND_PAGE,
+        kind: constants.KIND_DL_VIDEO
+      },
+      details: {
+        auto,
+        audio: source.selection?.audio || [],
+        subtitles: source.selection?.subtitles || []
+      },
+      source: download.source
+    });
+  }
+}
+
+// Removes (and optionally ignores) selected videos.
+// Background script notifies us of the updated tabs sources.
+function dl_removeSelected(ignore) {
+  webext.postMessage({
+    _routing: {
+      target: constants.TARGET_BACKGROUND_PAGE,
+      kind: constants.KIND_DL_REMOVE_VIDEOS
+    },
+    sources: [...selection.values()].map(selected => selected.download.source),
+    ignore
+  });
+}
+
+class TabsObserver {
+
+  constructor(webext) {
+    webext.observeTabsEvents(this);
+  }
+
+  tabRemoved(details) {
+    removeTab(details.tabId);
+  }
+
+}
+
+const TEXT_LIMIT_TOOLTIP = 120;
+
+// Displayed tabs nodes, per tab id.
+const tabsNodes = {};
+// Selected entries, per download id.
+const selection = new Map();
+
+const tabsNode = document.querySelector('#tabs');
+const noVideosNode = document.querySelector('#noVideos');
+const tabItemNode = document.querySelector('#tab-item');
+const listItemNode = document.querySelector('#list-item');
+const selectedCountNode = document.querySelector('#selectedCount');
+const downloadSelectedButton = document.querySelector('#downloadSelected');
+const removeSelectedButton = document.querySelector('#removeSelected');
+const ignoreSelectedButton = document.querySelector('#ignoreSelected');
+
+// Extension handler
+const webext = new WebExtension({ target: constants.TARGET_VIDEOS_PAGE, onMessage });
+new TabsObserver(webext);
+
+function cloneNode(node) {
+  const cloned = node.cloneNode(true);
+  cloned.removeAttribute('id');
+  return cloned;
+}
+
+document.querySelector('#selectAll').addEventListener('click', () => {
+  select(true);
+});
+document.querySelector('#selectNone').addEventListener('click', () => {
+  select(false);
+});
+// Auto-download enabled by default, unless using 'Ctrl' key.
+downloadSelectedButton.addEventListener('click', data => {
+  dl_downloadSelected(!data.ctrlKey);
+});
+removeSelectedButton.addEventListener('click', () => {
+  dl_removeSelected(false);
+});
+ignoreSelectedButton.addEventListener('click', () => {
+  dl_removeSelected(true);
+});
+
+updateStatus();
+dl_updateVideos();
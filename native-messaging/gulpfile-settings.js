@@ -17,11 +17,20 @@ export const win32 = {
   // dl-mngr interpreter (binary to execute script)
   dlMngrInterpreter: 'pythonw.exe',
   // dl-mngr script
-  dlMngrPath: path.join('C:', 'Progs', 'dl-mngr', 'dl-mngr.py')
+  dlMngrPath: path.join('C:', 'Progs', 'dl-mngr', 'dl-mngr.py'),
+  // Root directories in which file operations (e.g. TiddlyWiki or file saving)
+  // are allowed.
+  // Relative paths to save are resolved against the first one.
+  allowedRoots: [path.join(os.homedir(), 'Downloads'), path.join(os.homedir(), 'Documents')],
+  // TiddlyWiki backups retention: number of most recent backups to keep, and
+  // number of days/weeks for which the most recent backup is kept.
+  twBackupRetention: { keep: 10, daily: 7, weekly: 4 }
 };
 // Linux settings
 export const linux = {
   appInstallPath: path.join(os.homedir(), 'progs', 'webext-native-messaging'),
   dlMngrInterpreter: 'python',
-  dlMngrPath: path.join(os.homedir(), 'progs', 'dl-mngr', 'dl-mngr.py')
+  dlMngrPath: path.join(os.homedir(), 'progs', 'dl-mngr', 'dl-mngr.py'),
+  allowedRoots: [path.join(os.homedir(), 'Downloads'), path.join(os.homedir(), 'Documents')],
+  twBackupRetention: { keep: 10, daily: 7, weekly: 4 }
 };
@@ -19,7 +19,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 
-export const install = gulp.series(lint, deployApp, installApp, _buildExt('development', false));
+export const install = gulp.series(lint, unitTestApp, deployApp, installApp, _buildExt('development', false));
 export const buildExt = _buildExt('development', true);
 export const watch = gulp.series(install, watchChanges);
 export default install;
@@ -76,7 +76,9 @@ function installApp() {
   return util.spawn('yarn', ['install'], { cwd: settings.appInstallPath }).then(() => {
     return util.spawn('node', ['install.js',
       '--application-id', settings.applicationId, '--extension-id', settings.extensionId,
-      '--dl-mngr-interpreter', settings.dlMngrInterpreter, '--dl-mngr-path', settings.dlMngrPath],
+      '--dl-mngr-interpreter', settings.dlMngrInterpreter, '--dl-mngr-path', settings.dlMngrPath]
+      .concat((settings.allowedRoots || []).flatMap(root => ['--allowed-root', root]))
+      .concat(Object.entries(settings.twBackupRetention || {}).flatMap(([key, value]) => [`--tw-backup-${key}`, `${value}`])),
       { cwd: settings.appInstallPath });
   });
 }
@@ -115,7 +117,8 @@ async function webpackBundle(mode) {
       'background': path.resolve(extensionPath, 'src', 'background', 'background.js'),
       'content-script': path.resolve(extensionPath, 'src', 'content-script', 'content-script.js'),
       'browser-action': path.resolve(extensionPath, 'src', 'browser-action', 'browser-action.js'),
-      'options-ui': path.resolve(extensionPath, 'src', 'options-ui', 'options-ui.js')
+      'options-ui': path.resolve(extensionPath, 'src', 'options-ui', 'options-ui.js'),
+      'videos': path.resolve(extensionPath, 'src', 'videos', 'videos.js')
     },
     output: {
       // Use a more recent (and non-legacy) hash function.
@@ -180,12 +183,20 @@ export async function unitTestExt() {
     { cwd: extensionPath });
 }
 
+export async function unitTestApp() {
+  const files = await glob(path.posix.join('unit-test', '**', '*.js'), { cwd: appPath });
+  await util.spawn('node',
+    [path.join(__dirname, 'node_modules', 'mocha', 'bin', 'mocha')].concat(files),
+    { cwd: appPath });
+}
+
 export async function lint() {
   await util.spawn('node', [
       path.join(__dirname, 'node_modules', 'eslint', 'bin', 'eslint.js'),
       'gulpfile-settings.js',
       'gulpfile.js',
       'app/src/**/*.js',
+      'app/unit-test/**/*.js',
       'extension/src/**/*.js',
       '--cache'
     ], { cwd: __dirname }